@@ -36,6 +36,7 @@ const initDatabase = async () => {
                 name VARCHAR(100) NOT NULL,
                 register_id VARCHAR(50) UNIQUE,
                 can_change_password BOOLEAN DEFAULT TRUE,
+                must_change_password BOOLEAN DEFAULT FALSE,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )
         `);
@@ -54,7 +55,8 @@ const initDatabase = async () => {
         await client.query(`
             ALTER TABLE users 
             ADD COLUMN IF NOT EXISTS register_id VARCHAR(50),
-            ADD COLUMN IF NOT EXISTS can_change_password BOOLEAN DEFAULT TRUE
+            ADD COLUMN IF NOT EXISTS can_change_password BOOLEAN DEFAULT TRUE,
+            ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT FALSE
         `);
 
         // Classes table with year and section
@@ -139,13 +141,71 @@ const initDatabase = async () => {
                 class_id INTEGER REFERENCES classes(id),
                 period_id INTEGER REFERENCES timetable_periods(id),
                 date DATE NOT NULL,
-                status VARCHAR(1) NOT NULL CHECK(status IN ('P', 'A')),
+                status VARCHAR(2) NOT NULL CHECK(status IN ('P', 'A', 'L', 'OD', 'ML', 'E')),
                 marked_by INTEGER REFERENCES users(id),
+                late_reason TEXT,
+                marked_at TIMESTAMP,
+                scheduled_teacher_id INTEGER REFERENCES users(id),
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 UNIQUE(student_id, date, period_id)
             )
         `);
         
+        // Reason given when attendance is marked after the period's grace window
+        await client.query(`
+            ALTER TABLE attendance
+            ADD COLUMN IF NOT EXISTS late_reason TEXT,
+            ADD COLUMN IF NOT EXISTS marked_at TIMESTAMP
+        `);
+        
+        // Timetable owner of the period when someone else (a substitute) marked it
+        await client.query(`
+            ALTER TABLE attendance
+            ADD COLUMN IF NOT EXISTS scheduled_teacher_id INTEGER REFERENCES users(id)
+        `);
+        
+        // Extended statuses: Late, On-Duty, Medical Leave and Excused alongside P/A
+        await client.query(`
+            ALTER TABLE attendance ALTER COLUMN status TYPE VARCHAR(2)
+        `);
+        
+        await client.query(`
+            ALTER TABLE attendance DROP CONSTRAINT IF EXISTS attendance_status_check
+        `);
+        
+        await client.query(`
+            ALTER TABLE attendance ADD CONSTRAINT attendance_status_check
+            CHECK (status IN ('P', 'A', 'L', 'OD', 'ML', 'E'))
+        `);
+        
+        // How each status counts towards attendance percentages:
+        // 'present' and 'absent' count in the total, 'excluded' is left out of it
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS attendance_status_weights (
+                status VARCHAR(2) PRIMARY KEY,
+                label VARCHAR(50) NOT NULL,
+                weight VARCHAR(10) NOT NULL CHECK(weight IN ('present', 'absent', 'excluded')),
+                sort_order INTEGER DEFAULT 0
+            )
+        `);
+        
+        const defaultStatusWeights = [
+            { status: 'P', label: 'Present', weight: 'present', order: 1 },
+            { status: 'A', label: 'Absent', weight: 'absent', order: 2 },
+            { status: 'L', label: 'Late', weight: 'present', order: 3 },
+            { status: 'OD', label: 'On-Duty', weight: 'present', order: 4 },
+            { status: 'ML', label: 'Medical Leave', weight: 'excluded', order: 5 },
+            { status: 'E', label: 'Excused', weight: 'excluded', order: 6 }
+        ];
+        
+        for (const sw of defaultStatusWeights) {
+            await client.query(`
+                INSERT INTO attendance_status_weights (status, label, weight, sort_order)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (status) DO NOTHING
+            `, [sw.status, sw.label, sw.weight, sw.order]);
+        }
+        
         // Add period_id column to existing attendance table if it doesn't exist
         await client.query(`
             ALTER TABLE attendance 
@@ -352,6 +412,245 @@ const initDatabase = async () => {
             )
         `);
         
+        // Leave / absence excuse requests raised by students.
+        // Flow: pending -> teacher_approved -> approved (HOD), or rejected at either step
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS leave_requests (
+                id SERIAL PRIMARY KEY,
+                student_id INTEGER REFERENCES students(id) ON DELETE CASCADE,
+                from_date DATE NOT NULL,
+                to_date DATE NOT NULL,
+                leave_type VARCHAR(20) DEFAULT 'personal' CHECK(leave_type IN ('medical', 'personal', 'other')),
+                reason TEXT NOT NULL,
+                attachment_name VARCHAR(255),
+                attachment_type VARCHAR(100),
+                attachment_data BYTEA,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'teacher_approved', 'approved', 'rejected')),
+                teacher_id INTEGER REFERENCES users(id),
+                teacher_remarks TEXT,
+                teacher_actioned_at TIMESTAMP,
+                hod_id INTEGER REFERENCES users(id),
+                hod_remarks TEXT,
+                hod_actioned_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                CHECK(to_date >= from_date)
+            )
+        `);
+        
+        // Corrections to a single attendance record requested by the student.
+        // Resolved by the teacher who owns the timetable period: open -> accepted / rejected
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS attendance_disputes (
+                id SERIAL PRIMARY KEY,
+                student_id INTEGER REFERENCES students(id) ON DELETE CASCADE,
+                class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+                period_id INTEGER REFERENCES timetable_periods(id) ON DELETE CASCADE,
+                date DATE NOT NULL,
+                recorded_status VARCHAR(2),
+                requested_status VARCHAR(2) NOT NULL,
+                comment TEXT NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'accepted', 'rejected')),
+                resolved_by INTEGER REFERENCES users(id),
+                resolution_remarks TEXT,
+                resolved_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Only one open dispute per attendance record
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS attendance_disputes_open_unique
+            ON attendance_disputes (student_id, date, period_id)
+            WHERE status = 'open'
+        `);
+        
+        // One-day substitute teacher for a timetable period (assigned by the HOD or the period's teacher)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS period_substitutions (
+                id SERIAL PRIMARY KEY,
+                period_id INTEGER REFERENCES timetable_periods(id) ON DELETE CASCADE,
+                date DATE NOT NULL,
+                substitute_teacher_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                assigned_by INTEGER REFERENCES users(id),
+                reason TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(period_id, date)
+            )
+        `);
+        
+        // One-off extra / makeup sessions held outside the weekly timetable
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS extra_sessions (
+                id SERIAL PRIMARY KEY,
+                class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+                subject_id INTEGER REFERENCES subjects(id),
+                teacher_id INTEGER REFERENCES users(id),
+                date DATE NOT NULL,
+                start_time TIME NOT NULL,
+                end_time TIME NOT NULL,
+                topic TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Attendance marked for an extra session has no timetable period
+        await client.query(`
+            ALTER TABLE attendance
+            ADD COLUMN IF NOT EXISTS extra_session_id INTEGER REFERENCES extra_sessions(id) ON DELETE CASCADE
+        `);
+        
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS attendance_extra_session_unique
+            ON attendance (student_id, extra_session_id)
+            WHERE extra_session_id IS NOT NULL
+        `);
+        
+        // Named student batches per class (e.g. B1/B2) for lab periods
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS class_batches (
+                id SERIAL PRIMARY KEY,
+                class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+                batch_name VARCHAR(20) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(class_id, batch_name)
+            )
+        `);
+        
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS batch_students (
+                batch_id INTEGER REFERENCES class_batches(id) ON DELETE CASCADE,
+                student_id INTEGER REFERENCES students(id) ON DELETE CASCADE,
+                PRIMARY KEY (batch_id, student_id)
+            )
+        `);
+        
+        // A lab period taken by one batch only; NULL means the whole class
+        await client.query(`
+            ALTER TABLE timetable_periods
+            ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES class_batches(id) ON DELETE SET NULL
+        `);
+        
+        // Students enrolled in elective subjects (may span several sections)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS subject_enrollments (
+                subject_id INTEGER REFERENCES subjects(id) ON DELETE CASCADE,
+                student_id INTEGER REFERENCES students(id) ON DELETE CASCADE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (subject_id, student_id)
+            )
+        `);
+        
+        // Combined-section periods: one row per extra class, linked to the primary period
+        await client.query(`
+            ALTER TABLE timetable_periods
+            ADD COLUMN IF NOT EXISTS linked_period_id INTEGER REFERENCES timetable_periods(id) ON DELETE CASCADE
+        `);
+        
+        // Date ranges of a class's attendance frozen by the HOD (a month, a term, ...)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS attendance_locks (
+                id SERIAL PRIMARY KEY,
+                class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+                start_date DATE NOT NULL,
+                end_date DATE NOT NULL,
+                label VARCHAR(100),
+                locked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Teacher requests to edit locked attendance; an approved request reopens the range for them
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS attendance_unlock_requests (
+                id SERIAL PRIMARY KEY,
+                teacher_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+                start_date DATE NOT NULL,
+                end_date DATE NOT NULL,
+                reason TEXT NOT NULL,
+                status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+                decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                decision_remarks TEXT,
+                decided_at TIMESTAMP,
+                expires_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Append-only history of every attendance status change. No foreign keys, so entries
+        // outlive the students, periods and users they mention.
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS attendance_audit_log (
+                id SERIAL PRIMARY KEY,
+                student_id INTEGER NOT NULL,
+                class_id INTEGER,
+                date DATE NOT NULL,
+                period_id INTEGER,
+                extra_session_id INTEGER,
+                old_status VARCHAR(10),
+                new_status VARCHAR(10),
+                changed_by INTEGER,
+                changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                source VARCHAR(100) NOT NULL,
+                reason TEXT
+            )
+        `);
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS attendance_audit_log_record
+            ON attendance_audit_log (student_id, date)
+        `);
+        
+        // What was taught in each conducted period. Combined-section periods keep one entry,
+        // on the primary timetable row.
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS lesson_logs (
+                id SERIAL PRIMARY KEY,
+                period_id INTEGER REFERENCES timetable_periods(id) ON DELETE CASCADE,
+                date DATE NOT NULL,
+                class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+                subject_id INTEGER REFERENCES subjects(id) ON DELETE SET NULL,
+                teacher_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                topic VARCHAR(255) NOT NULL,
+                homework TEXT,
+                notes TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(period_id, date)
+            )
+        `);
+        
+        // Syllabus for each subject: numbered units, each holding an ordered list of topics
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS syllabus_units (
+                id SERIAL PRIMARY KEY,
+                subject_id INTEGER REFERENCES subjects(id) ON DELETE CASCADE,
+                unit_number INTEGER NOT NULL,
+                title VARCHAR(255) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS syllabus_topics (
+                id SERIAL PRIMARY KEY,
+                unit_id INTEGER REFERENCES syllabus_units(id) ON DELETE CASCADE,
+                title VARCHAR(255) NOT NULL,
+                sort_order INTEGER DEFAULT 0
+            )
+        `);
+        
+        // Topics a teacher has ticked off as covered, per class
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS topic_coverage (
+                topic_id INTEGER REFERENCES syllabus_topics(id) ON DELETE CASCADE,
+                class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+                covered_on DATE NOT NULL,
+                period_id INTEGER REFERENCES timetable_periods(id) ON DELETE SET NULL,
+                teacher_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (topic_id, class_id)
+            )
+        `);
+        
         // Fix sequences for all tables to prevent primary key conflicts
         await client.query(`
             SELECT setval('classes_id_seq', COALESCE((SELECT MAX(id) FROM classes), 1))
@@ -2,11 +2,34 @@ require('dotenv').config();
 // Force server timezone to IST if not provided by environment
 process.env.TZ = process.env.TZ || 'Asia/Kolkata';
 const TIME_OFFSET_MINUTES = parseInt(process.env.TIME_OFFSET_MINUTES || '0', 10) || 0;
+// Minimum attendance percentage required for exam eligibility
+const ATTENDANCE_THRESHOLD = parseFloat(process.env.ATTENDANCE_THRESHOLD || '75') || 75;
+// First and last working day of the current term (YYYY-MM-DD). Report totals ignore days before the
+// start (defaults to the first attendance taken); the end is used to project remaining periods
+const TERM_START_DATE = process.env.TERM_START_DATE || null;
+const TERM_END_DATE = process.env.TERM_END_DATE || null;
+// Last day of each internal exam this term (comma-separated YYYY-MM-DD), for the "since last internal exam" report period
+const INTERNAL_EXAM_DATES = (process.env.INTERNAL_EXAM_DATES || '').split(',').map(d => d.trim()).filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d));
+// Minutes before a period starts / after it ends during which attendance can still be marked normally
+const ATTENDANCE_GRACE_BEFORE_MINUTES = parseInt(process.env.ATTENDANCE_GRACE_BEFORE_MINUTES || '5', 10) || 0;
+const ATTENDANCE_GRACE_AFTER_MINUTES = parseInt(process.env.ATTENDANCE_GRACE_AFTER_MINUTES || '15', 10) || 0;
+// Attendance older than this many days is locked (0 disables it); approved unlocks last ATTENDANCE_UNLOCK_HOURS
+const ATTENDANCE_LOCK_DAYS = parseInt(process.env.ATTENDANCE_LOCK_DAYS || '7', 10) || 0;
+const ATTENDANCE_UNLOCK_HOURS = parseInt(process.env.ATTENDANCE_UNLOCK_HOURS || '48', 10) || 48;
+// Seconds each QR check-in code stays on screen before it rotates, and the key the codes are signed with.
+// QR check-in stays off until QR_CHECKIN_SECRET is set: it must be private and shared by every instance.
+const QR_CHECKIN_ROTATE_SECONDS = parseInt(process.env.QR_CHECKIN_ROTATE_SECONDS || '10', 10) || 10;
+const QR_CHECKIN_SECRET = process.env.QR_CHECKIN_SECRET || null;
+// Hours an offline mark may wait in the attendance page's queue; older marks are refused at sync
+const OFFLINE_MARK_MAX_AGE_HOURS = parseInt(process.env.OFFLINE_MARK_MAX_AGE_HOURS || '12', 10) || 12;
+// Days back the teacher dashboard looks for periods with no attendance taken (0 turns the inbox off)
+const PENDING_ATTENDANCE_DAYS = parseInt(process.env.PENDING_ATTENDANCE_DAYS || '7', 10) || 0;
 const express = require('express');
 const session = require('express-session');
 const bodyParser = require('body-parser');
 const bcrypt = require('bcryptjs');
 const path = require('path');
+const crypto = require('crypto');
 const { query, queryOne, queryAll, initDatabase } = require('./config/postgres');
 
 const app = express();
@@ -14,7 +37,7 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(bodyParser.urlencoded({ extended: true }));
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '5mb' })); // leave requests carry base64 attachments
 app.use(express.static('public'));
 
 app.use(session({
@@ -30,6 +53,18 @@ app.use(session({
     rolling: true // Reset expiration on each request
 }));
 
+// Users flagged to change their password may only reach the change-password page until they do
+app.use((req, res, next) => {
+    const user = req.session.user;
+    if (!user || !user.mustChangePassword || req.path === '/change-password' || req.path === '/logout') {
+        return next();
+    }
+    if (isApiRequest(req)) {
+        return res.status(403).json({ success: false, error: 'Password change required' });
+    }
+    res.redirect('/change-password');
+});
+
 // Set view engine
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
@@ -72,6 +107,39 @@ const requireAdmin = (req, res, next) => {
     }
 };
 
+const requireStudent = (req, res, next) => {
+    if (req.session.user && req.session.user.role === 'student') {
+        next();
+    } else {
+        if (isApiRequest(req)) {
+            return res.status(401).json({ success: false, error: 'Session expired or not authenticated' });
+        }
+        res.redirect('/login');
+    }
+};
+
+const getDashboardPath = (role) => {
+    if (role === 'admin') return '/admin/dashboard';
+    if (role === 'teacher') return '/teacher/dashboard';
+    return '/student/dashboard';
+};
+
+// Password policy for self-service changes. Returns an error message, or null when the password is acceptable.
+const PASSWORD_MIN_LENGTH = 8;
+const validatePasswordPolicy = (password, user) => {
+    if (!password || password.length < PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`;
+    }
+    if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+        return 'Password must contain at least one letter and one number';
+    }
+    const lowered = password.toLowerCase();
+    if (lowered === (user.username || '').toLowerCase() || lowered === (user.register_id || '').toLowerCase()) {
+        return 'Password cannot be your username or register ID';
+    }
+    return null;
+};
+
 // Helper functions for timetable-based functionality
 const formatDateLocal = (dateInput) => {
     const d = dateInput instanceof Date ? dateInput : new Date(dateInput);
@@ -80,6 +148,11 @@ const formatDateLocal = (dateInput) => {
     const day = String(d.getDate()).padStart(2, '0');
     return `${year}-${month}-${day}`;
 };
+// Parse a YYYY-MM-DD string as a local (IST) date rather than UTC midnight
+const parseDateLocal = (dateStr) => {
+    const [year, month, day] = String(dateStr).split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
 // Better timezone handling for consistent time across environments
 const getNowIST = () => {
     // Get current UTC time and convert to IST
@@ -99,6 +172,14 @@ const getCurrentDayOfWeek = () => {
     return dayOfWeek === 0 ? 7 : dayOfWeek;
 };
 
+const getCurrentDateIST = () => {
+    // Get current date (YYYY-MM-DD) in IST, consistent with getCurrentDayOfWeek
+    const now = new Date();
+    const utcTime = now.getTime();
+    const istTime = utcTime + (5.5 * 60 * 60 * 1000) + (TIME_OFFSET_MINUTES * 60 * 1000);
+    return new Date(istTime).toISOString().split('T')[0];
+};
+
 const getCurrentTime = () => {
     // Get current time in IST
     const now = new Date();
@@ -110,6 +191,19 @@ const getCurrentTime = () => {
     return `${hours}:${minutes}`;
 };
 
+// IST date (YYYY-MM-DD), time (HH:MM) and day of week (1 = Monday) of a given instant
+const getISTDateTime = (instant) => {
+    const istDate = new Date(new Date(instant).getTime() + (5.5 * 60 * 60 * 1000) + (TIME_OFFSET_MINUTES * 60 * 1000));
+    const dayOfWeek = istDate.getUTCDay();
+    const hours = String(istDate.getUTCHours()).padStart(2, '0');
+    const minutes = String(istDate.getUTCMinutes()).padStart(2, '0');
+    return {
+        date: istDate.toISOString().split('T')[0],
+        time: `${hours}:${minutes}`,
+        dayOfWeek: dayOfWeek === 0 ? 7 : dayOfWeek
+    };
+};
+
 // Debug endpoint to verify server time in production
 app.get('/debug/time', (req, res) => {
     const now = new Date();
@@ -156,6 +250,64 @@ const getCurrentPeriod = async (classId) => {
     }
 };
 
+// SQL condition: period tp is taken by teacher $teacherParam on date $dateParam, i.e. the teacher
+// owns it and nobody substitutes that day, or the teacher is that day's substitute
+const teacherTakesPeriodSql = (teacherParam, dateParam) => `(
+    (tp.teacher_id = ${teacherParam} AND NOT EXISTS (
+        SELECT 1 FROM period_substitutions ps WHERE ps.period_id = tp.id AND ps.date = ${dateParam}
+    ))
+    OR EXISTS (
+        SELECT 1 FROM period_substitutions ps
+        WHERE ps.period_id = tp.id AND ps.date = ${dateParam} AND ps.substitute_teacher_id = ${teacherParam}
+    )
+)`;
+
+// SQL condition: subject $subjectRef is taken by student $studentRef. Elective subjects are
+// only taken by enrolled students; every other subject by the whole class.
+const studentTakesSubjectSql = (subjectRef, studentRef) => `(
+    NOT EXISTS (
+        SELECT 1 FROM subjects sj WHERE sj.id = ${subjectRef} AND sj.subject_type = 'elective'
+    )
+    OR EXISTS (
+        SELECT 1 FROM subject_enrollments se WHERE se.subject_id = ${subjectRef} AND se.student_id = ${studentRef}
+    )
+)`;
+
+// SQL condition: period tp applies to student $studentRef. Lab periods attached to a batch
+// only apply to that batch's members, and elective periods to enrolled students.
+const studentTakesPeriodSql = (studentRef) => `(
+    (tp.batch_id IS NULL OR EXISTS (
+        SELECT 1 FROM batch_students bs WHERE bs.batch_id = tp.batch_id AND bs.student_id = ${studentRef}
+    ))
+    AND ${studentTakesSubjectSql('tp.subject_id', studentRef)}
+)`;
+
+const studentTakesPeriod = async (periodId, studentId) => {
+    const row = await queryOne(
+        `SELECT tp.id FROM timetable_periods tp WHERE tp.id = $1 AND ${studentTakesPeriodSql('$2')}`,
+        [periodId, studentId]
+    );
+    return !!row;
+};
+
+// SQL query: elective periods class $classRef takes in another section's timetable. An elective group
+// can draw students from sections that have no period of their own for it; those students are marked
+// on the hosting (primary, whole-class) period, each under their own class.
+const hostedElectivePeriodsSql = (classRef) => `
+    SELECT tp.*
+    FROM timetable_periods tp
+    JOIN subjects sj ON sj.id = tp.subject_id AND sj.subject_type = 'elective'
+    WHERE tp.class_id <> ${classRef}
+    AND tp.linked_period_id IS NULL AND tp.batch_id IS NULL AND tp.is_break = false
+    AND EXISTS (
+        SELECT 1 FROM subject_enrollments se JOIN students est ON se.student_id = est.id
+        WHERE se.subject_id = tp.subject_id AND est.class_id = ${classRef}
+    )
+    AND NOT EXISTS (
+        SELECT 1 FROM timetable_periods op WHERE op.class_id = ${classRef} AND op.subject_id = tp.subject_id
+    )
+`;
+
 const getTeacherCurrentClasses = async (teacherId) => {
     const currentDay = getCurrentDayOfWeek();
     const currentTime = getCurrentTime();
@@ -164,7 +316,11 @@ const getTeacherCurrentClasses = async (teacherId) => {
         const currentClasses = await queryAll(`
             SELECT DISTINCT 
                 c.*,
-                COALESCE(student_counts.student_count, 0) as total_students,
+                CASE WHEN tp.batch_id IS NOT NULL OR s.subject_type = 'elective'
+                    THEN (SELECT COUNT(*) FROM students st WHERE st.class_id = c.id AND ${studentTakesPeriodSql('st.id')})
+                    ELSE COALESCE(student_counts.student_count, 0)
+                END as total_students,
+                b.batch_name,
                 tp.id as period_id,
                 tp.period_number,
                 tp.start_time,
@@ -172,22 +328,33 @@ const getTeacherCurrentClasses = async (teacherId) => {
                 tp.is_break,
                 tp.break_name,
                 s.subject_name,
-                s.subject_code
+                s.subject_code,
+                (tp.teacher_id IS DISTINCT FROM $1) as is_substitution,
+                owner.name as scheduled_teacher_name,
+                (
+                    SELECT STRING_AGG(lc.class_name, ' + ' ORDER BY lc.year, lc.section)
+                    FROM timetable_periods lp
+                    JOIN classes lc ON lp.class_id = lc.id
+                    WHERE lp.linked_period_id = tp.id
+                ) as combined_with
             FROM classes c
             JOIN timetable_periods tp ON c.id = tp.class_id
             LEFT JOIN subjects s ON tp.subject_id = s.id
+            LEFT JOIN users owner ON tp.teacher_id = owner.id
+            LEFT JOIN class_batches b ON tp.batch_id = b.id
             LEFT JOIN (
                 SELECT class_id, COUNT(*) as student_count 
                 FROM students 
                 GROUP BY class_id
             ) student_counts ON c.id = student_counts.class_id
-            WHERE tp.teacher_id = $1 
+            WHERE ${teacherTakesPeriodSql('$1', '$4')}
             AND tp.day_of_week = $2 
             AND tp.start_time <= $3 
             AND tp.end_time >= $3
             AND tp.is_break = false
+            AND tp.linked_period_id IS NULL
             ORDER BY c.year, c.section
-        `, [teacherId, currentDay, currentTime]);
+        `, [teacherId, currentDay, currentTime, getCurrentDateIST()]);
         
         return currentClasses;
     } catch (error) {
@@ -196,328 +363,3647 @@ const getTeacherCurrentClasses = async (teacherId) => {
     }
 };
 
-// Routes
-app.get('/', (req, res) => {
-    if (req.session.user) {
-        if (req.session.user.role === 'teacher') {
-            res.redirect('/teacher/dashboard');
-        } else {
-            res.redirect('/student/dashboard');
-        }
-    } else {
-        res.redirect('/login');
+const timeToMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Periods in a class this teacher takes today (own periods not handed over, plus substitutions)
+const getTeacherPeriodsToday = async (classId, teacherId) => {
+    return getTeacherPeriodsOn(classId, teacherId, getCurrentDateIST(), getCurrentDayOfWeek());
+};
+
+// The teacher's periods in a class on a given date (dayOfWeek: 1 = Monday), substitutions included
+const getTeacherPeriodsOn = async (classId, teacherId, date, dayOfWeek) => {
+    return queryAll(`
+        SELECT 
+            tp.*,
+            s.subject_name,
+            s.subject_code,
+            owner.name as scheduled_teacher_name,
+            b.batch_name
+        FROM timetable_periods tp
+        LEFT JOIN subjects s ON tp.subject_id = s.id
+        LEFT JOIN users owner ON tp.teacher_id = owner.id
+        LEFT JOIN class_batches b ON tp.batch_id = b.id
+        WHERE tp.class_id = $1 
+        AND ${teacherTakesPeriodSql('$2', '$4')}
+        AND tp.day_of_week = $3 
+        AND tp.is_break = false
+        ORDER BY tp.period_number
+    `, [classId, teacherId, dayOfWeek, date]);
+};
+
+// All timetable rows of a combined-section period: the primary row plus the rows linked to it
+// for the other classes taught together. A period that is not combined is a group of one.
+const getCombinedPeriods = async (periodId) => {
+    return queryAll(`
+        SELECT tp.*, c.class_name
+        FROM timetable_periods tp
+        JOIN classes c ON tp.class_id = c.id
+        WHERE COALESCE(tp.linked_period_id, tp.id) = (
+            SELECT COALESCE(linked_period_id, id) FROM timetable_periods WHERE id = $1
+        )
+        ORDER BY c.year, c.section
+    `, [periodId]);
+};
+
+// Earliest date a period of an earlier day can still be marked late: the pending-attendance inbox's window
+const getEarliestLateEntryDate = () => {
+    const day = parseDateLocal(getCurrentDateIST());
+    day.setDate(day.getDate() - PENDING_ATTENDANCE_DAYS);
+    return formatDateLocal(day);
+};
+
+// Periods the teacher took (own or substituted) in the last PENDING_ATTENDANCE_DAYS days, and today's
+// periods that have ended, with no attendance recorded. Days bookmarked as holidays for the class are
+// skipped; a combined-section period is listed once, under its primary class.
+const getPendingAttendance = async (teacherId) => {
+    if (PENDING_ATTENDANCE_DAYS <= 0) {
+        return [];
     }
-});
+    const today = getCurrentDateIST();
+    const nowMinutes = timeToMinutes(getCurrentTime());
+    const pending = [];
 
-app.get('/login', (req, res) => {
-    res.render('login', { error: null });
-});
+    for (let daysAgo = PENDING_ATTENDANCE_DAYS; daysAgo >= 0; daysAgo--) {
+        const day = parseDateLocal(today);
+        day.setDate(day.getDate() - daysAgo);
+        const date = formatDateLocal(day);
+        const dayOfWeek = day.getDay() === 0 ? 7 : day.getDay();
 
-app.post('/login', async (req, res) => {
-    const { username, password } = req.body;
+        const periods = await queryAll(`
+            SELECT tp.id, tp.class_id, tp.period_number, tp.start_time, tp.end_time,
+                   c.class_name, s.subject_name, s.subject_code, b.batch_name,
+                   (SELECT STRING_AGG(lc.class_name, ' + ' ORDER BY lc.year, lc.section)
+                    FROM timetable_periods lp JOIN classes lc ON lp.class_id = lc.id
+                    WHERE lp.linked_period_id = tp.id) as linked_class_names
+            FROM timetable_periods tp
+            JOIN classes c ON tp.class_id = c.id
+            LEFT JOIN subjects s ON tp.subject_id = s.id
+            LEFT JOIN class_batches b ON tp.batch_id = b.id
+            WHERE tp.day_of_week = $2
+            AND tp.is_break = false
+            AND tp.linked_period_id IS NULL
+            AND ${teacherTakesPeriodSql('$1', '$3')}
+            AND NOT EXISTS (SELECT 1 FROM bookmarks bk WHERE bk.class_id = tp.class_id AND bk.date = $3)
+            AND NOT EXISTS (
+                SELECT 1 FROM attendance a
+                JOIN timetable_periods gp ON a.period_id = gp.id
+                WHERE COALESCE(gp.linked_period_id, gp.id) = tp.id AND a.date = $3
+            )
+            ORDER BY tp.start_time, c.year, c.section
+        `, [teacherId, dayOfWeek, date]);
+
+        periods
+            .filter(p => daysAgo > 0 || timeToMinutes(p.end_time) < nowMinutes)
+            .forEach(p => pending.push({ ...p, date }));
+    }
+    return pending;
+};
+
+// The periods of the same session as the given one (a double period or a lab): those on the same
+// day with the same subject and batch whose period numbers follow on without a gap, in order
+const getSessionPeriods = (periods, period) => {
+    const byNumber = new Map(periods
+        .filter(p => p.day_of_week === period.day_of_week && p.subject_id === period.subject_id && p.batch_id === period.batch_id)
+        .map(p => [p.period_number, p]));
+    const sessionPeriods = [period];
+    for (let n = period.period_number - 1; byNumber.has(n); n--) {
+        sessionPeriods.unshift(byNumber.get(n));
+    }
+    for (let n = period.period_number + 1; byNumber.has(n); n++) {
+        sessionPeriods.push(byNumber.get(n));
+    }
+    return sessionPeriods;
+};
+
+// The period attendance is being taken for right now: the running period, otherwise one whose
+// grace window (ATTENDANCE_GRACE_BEFORE/AFTER_MINUTES) covers the current time (or the HH:MM given)
+const findActivePeriod = (periods, atTime = getCurrentTime()) => {
+    const now = timeToMinutes(atTime);
+    const running = periods.find(p => timeToMinutes(p.start_time) <= now && timeToMinutes(p.end_time) >= now);
+    if (running) {
+        return running;
+    }
+    return periods.find(p =>
+        timeToMinutes(p.start_time) - ATTENDANCE_GRACE_BEFORE_MINUTES <= now &&
+        timeToMinutes(p.end_time) + ATTENDANCE_GRACE_AFTER_MINUTES >= now
+    ) || null;
+};
+
+// QR check-in codes are "<periodId>.<date>.<slot>.<signature>", where slot is the rotation window
+// the code was issued in. A code is accepted during its own window and the one after it.
+const getCheckInSlot = () => Math.floor(Date.now() / 1000 / QR_CHECKIN_ROTATE_SECONDS);
+
+const signCheckIn = (periodId, date, slot) => {
+    return crypto.createHmac('sha256', QR_CHECKIN_SECRET).update(`${periodId}.${date}.${slot}`).digest('hex').slice(0, 32);
+};
+
+const createCheckInToken = (periodId, date) => {
+    const slot = getCheckInSlot();
+    return `${periodId}.${date}.${slot}.${signCheckIn(periodId, date, slot)}`;
+};
+
+// Returns { periodId, date } for a valid, unexpired code, otherwise null
+const verifyCheckInToken = (token) => {
+    const parts = String(token || '').split('.');
+    if (!QR_CHECKIN_SECRET || parts.length !== 4) {
+        return null;
+    }
+    const [periodId, date, slot, signature] = parts;
+    const expected = signCheckIn(periodId, date, slot);
+    // Hex of the expected length only, so both buffers are the same size for timingSafeEqual
+    if (!/^[0-9a-f]+$/.test(signature) || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+    const age = getCheckInSlot() - parseInt(slot, 10);
+    if (!(age >= 0 && age <= 1)) {
+        return null;
+    }
+    return { periodId: parseInt(periodId, 10), date };
+};
+
+// Whether a class's attendance on a date (YYYY-MM-DD) is locked for a user: older than
+// ATTENDANCE_LOCK_DAYS or inside an HOD lock, and not reopened by an approved unlock request.
+// Returns an error message, or null when the date can be edited.
+const getAttendanceLockError = async (classId, date, userId) => {
+    let locked = false;
+    if (ATTENDANCE_LOCK_DAYS > 0) {
+        const cutoff = parseDateLocal(getCurrentDateIST());
+        cutoff.setDate(cutoff.getDate() - ATTENDANCE_LOCK_DAYS);
+        locked = date < formatDateLocal(cutoff);
+    }
+    const lock = await queryOne(
+        'SELECT label FROM attendance_locks WHERE class_id = $1 AND $2 BETWEEN start_date AND end_date LIMIT 1',
+        [classId, date]
+    );
+    if (!locked && !lock) {
+        return null;
+    }
     
-    try {
-        const user = await queryOne('SELECT * FROM users WHERE username = $1', [username]);
-        
-        if (!user) {
-            return res.render('login', { error: 'Invalid username or password' });
-        }
-        
-        const match = await bcrypt.compare(password, user.password);
-        if (!match) {
-            return res.render('login', { error: 'Invalid username or password' });
+    const unlock = await queryOne(`
+        SELECT id FROM attendance_unlock_requests
+        WHERE teacher_id = $1 AND class_id = $2 AND $3 BETWEEN start_date AND end_date
+        AND status = 'approved' AND expires_at > CURRENT_TIMESTAMP
+        LIMIT 1
+    `, [userId, classId, date]);
+    if (unlock) {
+        return null;
+    }
+    const why = lock ? `locked by the HOD${lock.label ? ` (${lock.label})` : ''}` : `older than ${ATTENDANCE_LOCK_DAYS} days`;
+    return `Attendance for ${date} is ${why}. Request an unlock from the HOD to edit it.`;
+};
+
+// Lesson log entry of a period on a date; combined-section periods share the primary row's entry
+const getLessonLog = async (periodId, date) => {
+    return queryOne(`
+        SELECT ll.*
+        FROM lesson_logs ll
+        JOIN timetable_periods tp ON ll.period_id = COALESCE(tp.linked_period_id, tp.id)
+        WHERE tp.id = $1 AND ll.date = $2
+    `, [periodId, date]);
+};
+
+// Units of a subject's syllabus, each with its topics. Pass classId to include when each
+// topic was covered in that class (covered_on is null for topics not yet covered).
+const getSyllabus = async (subjectId, classId = null) => {
+    const units = await queryAll(
+        'SELECT * FROM syllabus_units WHERE subject_id = $1 ORDER BY unit_number, id',
+        [subjectId]
+    );
+    const topics = await queryAll(`
+        SELECT t.*, tc.covered_on
+        FROM syllabus_topics t
+        JOIN syllabus_units u ON t.unit_id = u.id
+        LEFT JOIN topic_coverage tc ON tc.topic_id = t.id AND tc.class_id = $2
+        WHERE u.subject_id = $1
+        ORDER BY t.sort_order, t.id
+    `, [subjectId, classId]);
+    units.forEach(unit => {
+        unit.topics = topics.filter(t => t.unit_id === unit.id);
+    });
+    return units;
+};
+
+// Syllabus coverage of every class/subject pair with a syllabus defined (only the pairs the
+// teacher is timetabled for when teacherId is given): topics covered, periods conducted so far
+// and periods still scheduled until TERM_END_DATE (null when no term end date is configured).
+const getSyllabusCoverage = async (teacherId = null) => {
+    const pairs = await queryAll(`
+        SELECT DISTINCT tp.class_id, c.class_name, c.year, c.section, tp.subject_id, s.subject_name, s.subject_code
+        FROM timetable_periods tp
+        JOIN classes c ON tp.class_id = c.id
+        JOIN subjects s ON tp.subject_id = s.id
+        WHERE tp.is_break = false
+        AND EXISTS (
+            SELECT 1 FROM syllabus_topics t JOIN syllabus_units u ON t.unit_id = u.id
+            WHERE u.subject_id = tp.subject_id
+        )
+        ${teacherId ? 'AND tp.teacher_id = $1' : ''}
+        ORDER BY c.year, c.section, s.subject_name
+    `, teacherId ? [teacherId] : []);
+    if (pairs.length === 0) {
+        return [];
+    }
+
+    const topicTotals = await queryAll(`
+        SELECT u.subject_id, COUNT(t.id) as count
+        FROM syllabus_units u
+        JOIN syllabus_topics t ON t.unit_id = u.id
+        GROUP BY u.subject_id
+    `);
+    const coveredCounts = await queryAll(`
+        SELECT tc.class_id, u.subject_id, COUNT(*) as count
+        FROM topic_coverage tc
+        JOIN syllabus_topics t ON tc.topic_id = t.id
+        JOIN syllabus_units u ON t.unit_id = u.id
+        GROUP BY tc.class_id, u.subject_id
+    `);
+    // A period counts as conducted once any attendance has been taken for it on a date
+    const conductedCounts = await queryAll(`
+        SELECT class_id, subject_id, COUNT(*) as count
+        FROM (
+            SELECT DISTINCT a.class_id, tp.subject_id, a.period_id, a.date
+            FROM attendance a
+            JOIN timetable_periods tp ON a.period_id = tp.id
+            UNION ALL
+            SELECT DISTINCT a.class_id, es.subject_id, a.extra_session_id, a.date
+            FROM attendance a
+            JOIN extra_sessions es ON a.extra_session_id = es.id
+        ) conducted
+        GROUP BY class_id, subject_id
+    `);
+    const countFor = (rows, classId, subjectId) => {
+        const row = rows.find(r => r.class_id === classId && r.subject_id === subjectId);
+        return row ? parseInt(row.count) : 0;
+    };
+
+    const remainingByClass = {};
+    for (const pair of pairs) {
+        if (!(pair.class_id in remainingByClass)) {
+            remainingByClass[pair.class_id] = await getRemainingScheduledPeriods(pair.class_id);
         }
-        
-        req.session.user = {
-            id: user.id,
-            username: user.username,
-            role: user.role,
-            name: user.name
+    }
+
+    return pairs.map(pair => {
+        const totalRow = topicTotals.find(r => r.subject_id === pair.subject_id);
+        const totalTopics = totalRow ? parseInt(totalRow.count) : 0;
+        const coveredTopics = countFor(coveredCounts, pair.class_id, pair.subject_id);
+        const remaining = remainingByClass[pair.class_id];
+        return {
+            ...pair,
+            totalTopics,
+            coveredTopics,
+            coveragePercent: totalTopics > 0 ? Math.round(coveredTopics / totalTopics * 100) : 0,
+            periodsConducted: countFor(conductedCounts, pair.class_id, pair.subject_id),
+            periodsRemaining: remaining ? (remaining[pair.subject_id] || 0) : null
         };
-        
-        if (user.role === 'admin') {
-            res.redirect('/admin/dashboard');
-        } else if (user.role === 'teacher') {
-            res.redirect('/teacher/dashboard');
+    });
+};
+
+// Append an entry to the attendance audit log: { studentId, classId, date, periodId, extraSessionId,
+// oldStatus, newStatus, changedBy, source (the route), reason }. Saving an unchanged status is not logged.
+const logAttendanceChange = async (entry) => {
+    const oldStatus = entry.oldStatus || null;
+    const newStatus = entry.newStatus || null;
+    if (oldStatus === newStatus) {
+        return;
+    }
+    await query(`
+        INSERT INTO attendance_audit_log
+        (student_id, class_id, date, period_id, extra_session_id, old_status, new_status, changed_by, source, reason)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [entry.studentId, entry.classId, entry.date, entry.periodId || null, entry.extraSessionId || null,
+        oldStatus, newStatus, entry.changedBy, entry.source, entry.reason || null]);
+};
+
+// Delete every attendance record of a class, of a student, or of timetable periods (column 'class_id',
+// 'student_id' or 'period_id'), writing an audit entry for each record in the same statement.
+// For 'period_id', id may be an array, and the records of the periods' combined-section copies go too:
+// deleting a period cascades to its copies and to attendance, so call this before deleting periods.
+// Returns the number of records deleted.
+const deleteAttendanceAudited = async (column, id, changedBy, source, reason) => {
+    const conditions = {
+        class_id: 'class_id = $1',
+        student_id: 'student_id = $1',
+        period_id: 'period_id IN (SELECT id FROM timetable_periods WHERE id = ANY($1::int[]) OR linked_period_id = ANY($1::int[]))'
+    };
+    if (!conditions[column]) {
+        throw new Error(`Cannot delete attendance by ${column}`);
+    }
+    const result = await query(`
+        WITH deleted AS (
+            DELETE FROM attendance WHERE ${conditions[column]}
+            RETURNING student_id, class_id, date, period_id, extra_session_id, status
+        )
+        INSERT INTO attendance_audit_log
+        (student_id, class_id, date, period_id, extra_session_id, old_status, new_status, changed_by, source, reason)
+        SELECT student_id, class_id, date, period_id, extra_session_id, status, NULL, $2, $3, $4
+        FROM deleted
+    `, [column === 'period_id' ? [].concat(id) : id, changedBy, source, reason]);
+    return result.rowCount;
+};
+
+// Delete (audited) the attendance taken in a class's timetable periods, including that of students of
+// other classes in them (combined-section copies, hosted electives), before the periods are deleted
+const deleteClassPeriodAttendanceAudited = async (classId, changedBy, source, reason) => {
+    const periods = await queryAll('SELECT id FROM timetable_periods WHERE class_id = $1', [classId]);
+    return deleteAttendanceAudited('period_id', periods.map(p => p.id), changedBy, source, reason);
+};
+
+// Record a student's status for a timetable period. Combined-section periods are recorded against
+// the row of the student's own class. Options: lateReason, markedAt (defaults to now) and source,
+// the route logged in the audit trail. Returns an error message, or null on success.
+// marked_at has no time zone, so it is always written from the app clock (a JS Date, stored as IST
+// wall-clock) and never from the database's CURRENT_TIMESTAMP, which is UTC on the database session.
+const savePeriodAttendance = async (period, studentId, date, status, markedBy, { lateReason = null, markedAt = null, source } = {}) => {
+    const student = await queryOne('SELECT class_id FROM students WHERE id = $1', [studentId]);
+    let studentPeriod = student && (await getCombinedPeriods(period.id)).find(p => p.class_id === student.class_id);
+    if (student && !studentPeriod) {
+        // An elective student from a section that takes this elective here (see hostedElectivePeriodsSql)
+        studentPeriod = await queryOne(`
+            SELECT h.id, h.subject_id, h.teacher_id, $1::int as class_id
+            FROM (${hostedElectivePeriodsSql('$1')}) h
+            WHERE h.id = (SELECT COALESCE(linked_period_id, id) FROM timetable_periods WHERE id = $2)
+        `, [student.class_id, period.id]);
+    }
+    if (!studentPeriod) {
+        return 'This student is not in a class taking this period';
+    }
+    if (!(await studentTakesPeriod(studentPeriod.id, studentId))) {
+        return 'This student does not take this period (other batch or not enrolled in the elective)';
+    }
+    const lockError = await getAttendanceLockError(studentPeriod.class_id, date, markedBy);
+    if (lockError) {
+        return lockError;
+    }
+    
+    const existing = await queryOne(
+        'SELECT status FROM attendance WHERE student_id = $1 AND date = $2 AND period_id = $3',
+        [studentId, date, studentPeriod.id]
+    );
+    await query(`
+        INSERT INTO attendance (student_id, class_id, period_id, date, status, marked_by, late_reason, marked_at, scheduled_teacher_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $9, $8)
+        ON CONFLICT (student_id, date, period_id) 
+        DO UPDATE SET status = $5, marked_by = $6, late_reason = $7, marked_at = $9, scheduled_teacher_id = $8
+    `, [studentId, studentPeriod.class_id, studentPeriod.id, date, status, markedBy, lateReason, studentPeriod.teacher_id, markedAt || new Date()]);
+    await logAttendanceChange({
+        studentId, classId: studentPeriod.class_id, date, periodId: studentPeriod.id,
+        oldStatus: existing && existing.status, newStatus: status, changedBy: markedBy, source, reason: lateReason
+    });
+    return null;
+};
+
+// Record a student's status for an extra session. Options: markedAt (defaults to now) and source,
+// the route logged in the audit trail. Returns an error message, or null on success.
+const saveExtraSessionAttendance = async (extraSession, studentId, status, markedBy, { markedAt = null, source } = {}) => {
+    const enrolled = await queryOne(`SELECT 1 as ok WHERE ${studentTakesSubjectSql('$1', '$2')}`, [extraSession.subject_id, studentId]);
+    if (!enrolled) {
+        return 'This student is not enrolled in this elective';
+    }
+    const lockError = await getAttendanceLockError(extraSession.class_id, formatDateLocal(extraSession.date), markedBy);
+    if (lockError) {
+        return lockError;
+    }
+    
+    const existing = await queryOne(
+        'SELECT status FROM attendance WHERE student_id = $1 AND extra_session_id = $2',
+        [studentId, extraSession.id]
+    );
+    await query(`
+        INSERT INTO attendance (student_id, class_id, date, status, marked_by, marked_at, extra_session_id)
+        VALUES ($1, $2, $3, $4, $5, $7, $6)
+        ON CONFLICT (student_id, extra_session_id) WHERE extra_session_id IS NOT NULL
+        DO UPDATE SET status = $4, marked_by = $5, marked_at = $7
+    `, [studentId, extraSession.class_id, formatDateLocal(extraSession.date), status, markedBy, extraSession.id, markedAt || new Date()]);
+    await logAttendanceChange({
+        studentId, classId: extraSession.class_id, date: formatDateLocal(extraSession.date), extraSessionId: extraSession.id,
+        oldStatus: existing && existing.status, newStatus: status, changedBy: markedBy, source
+    });
+    return null;
+};
+
+// Attendance statuses and how each one counts (present / absent / excluded), in display order
+const getAttendanceStatuses = async () => {
+    return queryAll('SELECT status, label, weight FROM attendance_status_weights ORDER BY sort_order, status');
+};
+
+const isValidAttendanceStatus = async (status) => {
+    const row = await queryOne('SELECT status FROM attendance_status_weights WHERE status = $1', [status]);
+    return !!row;
+};
+
+// Apply one attendance change ({ studentId, date, periodId, status }) for a class.
+// An empty status removes the record. Shared by bulk editing and accepted disputes;
+// source (the route) and reason go to the audit trail. marked_at is set from the app clock,
+// as in savePeriodAttendance, so an offline mark recorded before this edit cannot replace it.
+const applyAttendanceChange = async (classId, change, teacherId, source, reason = null) => {
+    const { studentId, date, periodId, status } = change;
+    const markedAt = new Date();
+    // The timetabled teacher is kept alongside the one making the change, as savePeriodAttendance does
+    const period = periodId ? await queryOne('SELECT teacher_id FROM timetable_periods WHERE id = $1', [periodId]) : null;
+
+    const existing = periodId
+        ? await queryOne('SELECT status FROM attendance WHERE student_id = $1 AND date = $2 AND period_id = $3', [studentId, date, periodId])
+        : await queryOne('SELECT status FROM attendance WHERE student_id = $1 AND date = $2 AND period_id IS NULL AND extra_session_id IS NULL', [studentId, date]);
+
+    if (periodId) {
+        // This is a period-specific update
+        if (!status || status === '') {
+            await query('DELETE FROM attendance WHERE student_id = $1 AND date = $2 AND period_id = $3', [studentId, date, periodId]);
         } else {
-            res.redirect('/student/dashboard');
+            await query(`
+                INSERT INTO attendance (student_id, class_id, period_id, date, status, marked_by, marked_at, scheduled_teacher_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                ON CONFLICT (student_id, date, period_id)
+                DO UPDATE SET status = $5, marked_by = $6, marked_at = $7, scheduled_teacher_id = $8
+            `, [studentId, classId, periodId, date, status, teacherId, markedAt, period ? period.teacher_id : null]);
+        }
+    } else {
+        // This is a general, non-period update (manual entry for a day without a scheduled class)
+        if (!status || status === '') {
+            // Delete records for this student/date where there is no period
+            await query('DELETE FROM attendance WHERE student_id = $1 AND date = $2 AND period_id IS NULL AND extra_session_id IS NULL', [studentId, date]);
+        } else {
+            const existingRecord = await queryOne(
+                'SELECT id FROM attendance WHERE student_id = $1 AND date = $2 AND period_id IS NULL AND extra_session_id IS NULL',
+                [studentId, date]
+            );
+
+            if (existingRecord) {
+                await query(
+                    'UPDATE attendance SET status = $1, marked_by = $2, marked_at = $3 WHERE id = $4',
+                    [status, teacherId, markedAt, existingRecord.id]
+                );
+            } else {
+                await query(
+                    'INSERT INTO attendance (student_id, class_id, date, status, marked_by, marked_at) VALUES ($1, $2, $3, $4, $5, $6)',
+                    [studentId, classId, date, status, teacherId, markedAt]
+                );
+            }
         }
-    } catch (err) {
-        console.error('Login error:', err);
-        res.render('login', { error: 'Database error' });
     }
-});
 
-app.get('/logout', (req, res) => {
-    req.session.destroy();
-    res.redirect('/login');
-});
+    // Logged once the write has gone through, so a failed write leaves no audit entry
+    await logAttendanceChange({
+        studentId, classId, date, periodId,
+        oldStatus: existing && existing.status, newStatus: status, changedBy: teacherId, source, reason
+    });
+};
 
-// Teacher routes
-app.get('/teacher/dashboard', requireTeacher, async (req, res) => {
-    try {
-        // Add cache control headers to prevent caching
-        res.set({
-            'Cache-Control': 'no-cache, no-store, must-revalidate',
-            'Pragma': 'no-cache',
-            'Expires': '0'
-        });
-        
-        console.log(`[${new Date().toISOString()}] Teacher dashboard accessed by: ${req.session.user.name} (ID: ${req.session.user.id})`);
-        
-        // Get current classes for this teacher based on timetable
-        const currentClasses = await getTeacherCurrentClasses(req.session.user.id);
-        
-        // Get current day and time for display
-        const currentDay = getCurrentDayOfWeek();
-        const currentTime = getCurrentTime();
-        const dayNames = ['', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-        const currentDayName = dayNames[currentDay];
-        
-        console.log(`[${new Date().toISOString()}] Current day: ${currentDayName}, Time: ${currentTime}`);
-        console.log(`[${new Date().toISOString()}] Found ${currentClasses.length} current classes for teacher ${req.session.user.name}`);
-        
-        // If no current classes, show only the classes assigned to this teacher (from their timetable)
-        let allClasses = [];
-        if (currentClasses.length === 0) {
-            allClasses = await queryAll(`
-                SELECT DISTINCT c.*, COALESCE(student_counts.student_count, 0) as total_students
-                FROM classes c
-                JOIN timetable_periods tp ON c.id = tp.class_id
-                LEFT JOIN (
-                    SELECT class_id, COUNT(*) as student_count 
-                    FROM students 
-                    GROUP BY class_id
-                ) student_counts ON c.id = student_counts.class_id
-                WHERE tp.teacher_id = $1 AND tp.is_break = false
-                ORDER BY c.year, c.section
-            `, [req.session.user.id]);
-            console.log(`[${new Date().toISOString()}] No current classes found, showing ${allClasses.length} assigned classes for teacher ${req.session.user.name}`);
+// Student record (with class name) linked to a student login
+const getStudentForUser = async (userId) => {
+    return queryOne(`
+        SELECT s.*, c.class_name
+        FROM students s
+        JOIN classes c ON s.class_id = c.id
+        WHERE s.user_id = $1
+    `, [userId]);
+};
+
+// Members of each batch in a class, as batch_id -> Set of student ids
+const getBatchMembers = async (classId) => {
+    const rows = await queryAll(`
+        SELECT bs.batch_id, bs.student_id
+        FROM batch_students bs
+        JOIN class_batches b ON bs.batch_id = b.id
+        WHERE b.class_id = $1
+    `, [classId]);
+    const members = {};
+    rows.forEach(row => {
+        if (!members[row.batch_id]) {
+            members[row.batch_id] = new Set();
         }
-        
-        // If teacher has no timetable assignments at all, show all available classes as a fallback
-        if (allClasses.length === 0) {
-            allClasses = await queryAll(`
-                SELECT DISTINCT c.*, COALESCE(student_counts.student_count, 0) as total_students
-                FROM classes c
-                LEFT JOIN (
-                    SELECT class_id, COUNT(*) as student_count 
-                    FROM students 
-                    GROUP BY class_id
-                ) student_counts ON c.id = student_counts.class_id
-                ORDER BY c.year, c.section
-            `);
-            console.log(`[${new Date().toISOString()}] Teacher has no timetable assignments, showing ${allClasses.length} available classes as fallback`);
+        members[row.batch_id].add(row.student_id);
+    });
+    return members;
+};
+
+// Students enrolled in each elective subject, as subject_id -> Set of student ids.
+// Every elective has an entry, so an elective nobody enrolled in maps to an empty set.
+const getElectiveEnrollments = async () => {
+    const rows = await queryAll(`
+        SELECT s.id as subject_id, se.student_id
+        FROM subjects s
+        LEFT JOIN subject_enrollments se ON se.subject_id = s.id
+        WHERE s.subject_type = 'elective'
+    `);
+    const members = {};
+    rows.forEach(row => {
+        if (!members[row.subject_id]) {
+            members[row.subject_id] = new Set();
         }
-        
-        // Get schedule data for all classes assigned to this teacher
-        let allAssignedClasses = await queryAll(`
-            SELECT DISTINCT c.*, COALESCE(student_counts.student_count, 0) as total_students
-            FROM classes c
-            JOIN timetable_periods tp ON c.id = tp.class_id
-            LEFT JOIN (
-                SELECT class_id, COUNT(*) as student_count 
-                FROM students 
-                GROUP BY class_id
-            ) student_counts ON c.id = student_counts.class_id
-            WHERE tp.teacher_id = $1 AND tp.is_break = false
+        if (row.student_id) {
+            members[row.subject_id].add(row.student_id);
+        }
+    });
+    return members;
+};
+
+// Who takes which period of a class: lab periods attached to a batch are taken by its members,
+// elective periods and sessions by enrolled students, everything else by the whole class.
+// Works on timetable_periods and extra_sessions rows alike.
+const getPeriodAudience = async (classId) => {
+    const batchMembers = await getBatchMembers(classId);
+    const electiveMembers = await getElectiveEnrollments();
+    return {
+        isRestricted: (p) => !!p.batch_id || !!electiveMembers[p.subject_id],
+        takesPeriod: (p, studentId) =>
+            (!p.batch_id || (!!batchMembers[p.batch_id] && batchMembers[p.batch_id].has(studentId))) &&
+            (!electiveMembers[p.subject_id] || electiveMembers[p.subject_id].has(studentId))
+    };
+};
+
+// Report period presets, in the order the report pages offer them ('full' is the current semester)
+const REPORT_PERIODS = [
+    { value: 'week', label: 'This Week' },
+    { value: '2weeks', label: 'Last 2 Weeks' },
+    { value: 'month', label: 'This Month' },
+    { value: 'last-month', label: 'Last Month' },
+    { value: 'since-exam', label: 'Since Last Internal Exam' },
+    { value: 'full', label: 'This Semester' }
+];
+
+// Longest custom report range, in days. Reports walk the range day by day, so it is kept to about a year.
+const REPORT_RANGE_MAX_DAYS = 366;
+
+// Latest internal exam in INTERNAL_EXAM_DATES that finished before today, or null
+const getLastInternalExamDate = () => {
+    const today = getCurrentDateIST();
+    const past = INTERNAL_EXAM_DATES.filter(d => d < today).sort();
+    return past.length > 0 ? past[past.length - 1] : null;
+};
+
+// Presets to offer right now; 'since-exam' only once an internal exam has been held
+const getReportPeriodOptions = () => REPORT_PERIODS.filter(p => p.value !== 'since-exam' || getLastInternalExamDate());
+
+// Report window asked for in a query string: a preset (?period=month) or a custom range
+// (?period=custom&from=YYYY-MM-DD&to=YYYY-MM-DD; from/to alone also mean custom). Returns the period to
+// hand to getSubjectReportRange, the preset ('custom' for a range) and dates to echo back into the
+// page, and an error when the dates are unusable or span more than REPORT_RANGE_MAX_DAYS, in which
+// case the default period is reported instead.
+const parseReportRangeQuery = (reqQuery, defaultPeriod) => {
+    const from = typeof reqQuery.from === 'string' ? reqQuery.from : '';
+    const to = typeof reqQuery.to === 'string' ? reqQuery.to : '';
+    if (reqQuery.period === 'custom' || (!reqQuery.period && (from || to))) {
+        const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && formatDateLocal(parseDateLocal(value)) === value;
+        if (!(isDate(from) && isDate(to) && from <= to)) {
+            return { period: defaultPeriod, preset: defaultPeriod, from, to, error: 'Choose both a from and a to date, with from on or before to' };
+        }
+        const days = Math.round((parseDateLocal(to) - parseDateLocal(from)) / (24 * 60 * 60 * 1000)) + 1;
+        if (days > REPORT_RANGE_MAX_DAYS) {
+            return { period: defaultPeriod, preset: defaultPeriod, from, to, error: `Choose a range of at most ${REPORT_RANGE_MAX_DAYS} days` };
+        }
+        return { period: { from, to }, preset: 'custom', from, to, error: null };
+    }
+    const preset = getReportPeriodOptions().some(p => p.value === reqQuery.period) ? reqQuery.period : defaultPeriod;
+    return { period: preset, preset, from: '', to: '', error: null };
+};
+
+// Heading for a report window, e.g. "This Month (1 Oct 2026 - 19 Oct 2026)"
+const getReportRangeLabel = (period, { startDate, endDate }) => {
+    const preset = typeof period === 'string' && REPORT_PERIODS.find(p => p.value === period);
+    const name = preset ? preset.label : 'Custom Range';
+    if (!startDate || !endDate) {
+        return name;
+    }
+    const formatDate = (d) => d.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+    return `${name} (${formatDate(startDate)} - ${formatDate(endDate)})`;
+};
+
+// Date window for a report period: a REPORT_PERIODS preset, or a custom { from, to } as YYYY-MM-DD.
+// Presets end today (IST). Windows never reach back before the start of the term.
+const getSubjectReportRange = async (classId, period) => {
+    const range = await getUnclampedReportRange(classId, period);
+    if (TERM_START_DATE && range.startDate && range.startDate < parseDateLocal(TERM_START_DATE)) {
+        range.startDate = parseDateLocal(TERM_START_DATE);
+    }
+    return range;
+};
+
+const getUnclampedReportRange = async (classId, period) => {
+    const today = parseDateLocal(getCurrentDateIST());
+
+    // Custom range: { from, to } as YYYY-MM-DD
+    if (period && typeof period === 'object') {
+        return { startDate: parseDateLocal(period.from), endDate: parseDateLocal(period.to) };
+    }
+
+    if (period === 'week' || period === '2weeks') {
+        const dayOfWeek = today.getDay();
+        const daysToCurrentMonday = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
+        const startDate = new Date(today);
+        startDate.setDate(today.getDate() + daysToCurrentMonday);
+        if (period === '2weeks') {
+            // Include the previous week as well
+            startDate.setDate(startDate.getDate() - 7);
+        }
+        return { startDate, endDate: today };
+    }
+
+    if (period === 'month') {
+        return { startDate: new Date(today.getFullYear(), today.getMonth(), 1), endDate: today };
+    }
+
+    if (period === 'last-month') {
+        return {
+            startDate: new Date(today.getFullYear(), today.getMonth() - 1, 1),
+            endDate: new Date(today.getFullYear(), today.getMonth(), 0)
+        };
+    }
+
+    // The day after the last internal exam; with none held yet this is the whole semester
+    const lastExam = period === 'since-exam' && getLastInternalExamDate();
+    if (lastExam) {
+        const startDate = parseDateLocal(lastExam);
+        startDate.setDate(startDate.getDate() + 1);
+        return { startDate, endDate: today };
+    }
+
+    // The semester runs from TERM_START_DATE, or else from the first attendance ever recorded for
+    // the class, up to today or TERM_END_DATE once it has passed
+    const endDate = TERM_END_DATE && parseDateLocal(TERM_END_DATE) < today ? parseDateLocal(TERM_END_DATE) : today;
+    if (TERM_START_DATE) {
+        return { startDate: parseDateLocal(TERM_START_DATE), endDate };
+    }
+    const firstAttendance = await queryOne(`SELECT MIN(date) as min_date FROM attendance WHERE class_id = $1`, [classId]);
+    if (firstAttendance && firstAttendance.min_date) {
+        return { startDate: new Date(firstAttendance.min_date), endDate };
+    }
+    return { startDate: null, endDate: null };
+};
+
+// Sessions-held calendar for a class over a date window. Returns a check for a timetable period
+// (or extra session, by id) on a date: it counts if attendance was taken for it, and otherwise only
+// if it fell on a working day - not a holiday bookmarked for the class, not in the future, and for
+// today only once it has ended.
+const getHeldSessionCheck = async (classId, startDate, endDate) => {
+    const rangeStart = formatDateLocal(startDate);
+    const rangeEnd = formatDateLocal(endDate);
+    const holidays = await queryAll(`
+        SELECT date::date as date
+        FROM bookmarks
+        WHERE class_id = $1 AND date >= $2 AND date <= $3
+    `, [classId, rangeStart, rangeEnd]);
+    const conducted = await queryAll(`
+        SELECT DISTINCT date::date as date, period_id, extra_session_id
+        FROM attendance
+        WHERE class_id = $1 AND date >= $2 AND date <= $3
+    `, [classId, rangeStart, rangeEnd]);
+
+    const holidayDates = new Set(holidays.map(h => formatDateLocal(h.date)));
+    const conductedKeys = new Set(conducted.map(r => `${formatDateLocal(r.date)}|${r.extra_session_id ? 'es' + r.extra_session_id : r.period_id}`));
+    const today = getCurrentDateIST();
+    const nowMinutes = timeToMinutes(getCurrentTime());
+
+    return (p, dateStr, isExtraSession = false) => {
+        if (conductedKeys.has(`${dateStr}|${isExtraSession ? 'es' + p.id : p.id}`)) {
+            return true;
+        }
+        if (dateStr > today || holidayDates.has(dateStr)) {
+            return false;
+        }
+        return dateStr < today || timeToMinutes(p.end_time) < nowMinutes;
+    };
+};
+
+// Subject-wise attended/held counts for a class.
+// Totals come from walking the timetable over the date window plus any extra
+// sessions in it, keeping only those held (see getHeldSessionCheck); attended counts
+// come from records whose status is weighted as present. Records weighted as
+// excluded (and approved leave) are taken out of that student's total via `excused`, as are
+// batch and elective periods the student does not take. Pass studentId to restrict the per-student counts to one student.
+const getSubjectWiseAttendance = async (classId, period, studentId = null) => {
+    const subjects = await queryAll(`
+        SELECT DISTINCT s.id, s.subject_name, s.subject_code
+        FROM subjects s
+        WHERE s.id IN (
+            SELECT subject_id FROM timetable_periods WHERE class_id = $1
+            UNION
+            SELECT subject_id FROM extra_sessions WHERE class_id = $1
+            UNION
+            SELECT subject_id FROM (${hostedElectivePeriodsSql('$1')}) h
+        )
+        ORDER BY s.subject_name
+    `, [classId]);
+
+    const { startDate, endDate } = await getSubjectReportRange(classId, period);
+
+    const extraSessions = (startDate && endDate) ? await queryAll(`
+        SELECT id, subject_id, date::date as date, end_time
+        FROM extra_sessions
+        WHERE class_id = $1 AND date >= $2 AND date <= $3
+    `, [classId, formatDateLocal(startDate), formatDateLocal(endDate)]) : [];
+
+    // Get timetable for the class to calculate total scheduled periods
+    // Including elective periods the class's students take in another section's timetable
+    const timetablePeriods = await queryAll(`
+        SELECT id, subject_id, day_of_week, batch_id, end_time
+        FROM timetable_periods
+        WHERE class_id = $1 AND is_break = false
+        UNION ALL
+        SELECT id, subject_id, day_of_week, batch_id, end_time
+        FROM (${hostedElectivePeriodsSql('$1')}) h
+    `, [classId]);
+    const isHeld = (startDate && endDate) ? await getHeldSessionCheck(classId, startDate, endDate) : null;
+
+    const { isRestricted, takesPeriod } = await getPeriodAudience(classId);
+    const restrictedOccurrences = [];
+
+    const totals = {};
+    subjects.forEach(s => {
+        totals[s.id] = 0;
+    });
+
+    if (startDate && endDate) {
+        // Iterate through dates and count periods
+        for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
+            const dayOfWeek = d.getDay(); // 0 for Sunday, 1 for Monday, etc.
+            const adjustedDayOfWeek = dayOfWeek === 0 ? 7 : dayOfWeek; // 1 for Monday, ..., 7 for Sunday
+            const dateStr = formatDateLocal(d);
+
+            timetablePeriods.forEach(p => {
+                if (p.day_of_week === adjustedDayOfWeek && p.subject_id && totals[p.subject_id] !== undefined && isHeld(p, dateStr)) {
+                    totals[p.subject_id]++;
+                    if (isRestricted(p)) {
+                        restrictedOccurrences.push(p);
+                    }
+                }
+            });
+        }
+
+        extraSessions.forEach(es => {
+            if (totals[es.subject_id] !== undefined && isHeld(es, formatDateLocal(es.date), true)) {
+                totals[es.subject_id]++;
+                if (isRestricted(es)) {
+                    restrictedOccurrences.push(es);
+                }
+            }
+        });
+    }
+
+    // Get attended and excluded counts for each student and subject
+    let attendedQuery = `
+        SELECT a.student_id, COALESCE(tp.subject_id, es.subject_id) as subject_id,
+               SUM(CASE WHEN sw.weight = 'present' THEN 1 ELSE 0 END) as attended,
+               SUM(CASE WHEN sw.weight = 'excluded' THEN 1 ELSE 0 END) as excluded
+        FROM attendance a
+        LEFT JOIN timetable_periods tp ON a.period_id = tp.id
+        LEFT JOIN extra_sessions es ON a.extra_session_id = es.id
+        JOIN attendance_status_weights sw ON a.status = sw.status
+        WHERE a.class_id = $1 AND sw.weight IN ('present', 'excluded')
+        AND (tp.id IS NOT NULL OR es.id IS NOT NULL)
+    `;
+    const attendedParams = [classId];
+
+    if (startDate && endDate) {
+        attendedParams.push(formatDateLocal(startDate), formatDateLocal(endDate));
+        attendedQuery += ` AND a.date >= $2 AND a.date <= $3`;
+    }
+
+    if (studentId) {
+        attendedParams.push(studentId);
+        attendedQuery += ` AND a.student_id = $${attendedParams.length}`;
+    }
+
+    attendedQuery += ` GROUP BY a.student_id, COALESCE(tp.subject_id, es.subject_id)`;
+
+    const attendedRows = await queryAll(attendedQuery, attendedParams);
+
+    const attended = {};
+    const excused = {};
+    attendedRows.forEach(row => {
+        if (!attended[row.student_id]) {
+            attended[row.student_id] = {};
+            excused[row.student_id] = {};
+        }
+        attended[row.student_id][row.subject_id] = parseInt(row.attended);
+        excused[row.student_id][row.subject_id] = parseInt(row.excluded);
+    });
+
+    // Batch and elective periods only count against the students who take them
+    if (restrictedOccurrences.length > 0) {
+        const classStudents = studentId
+            ? [{ id: parseInt(studentId) }]
+            : await queryAll('SELECT id FROM students WHERE class_id = $1', [classId]);
+        classStudents.forEach(st => {
+            restrictedOccurrences
+                .filter(p => !takesPeriod(p, st.id))
+                .forEach(p => {
+                    if (!excused[st.id]) {
+                        excused[st.id] = {};
+                    }
+                    excused[st.id][p.subject_id] = (excused[st.id][p.subject_id] || 0) + 1;
+                });
+        });
+    }
+
+    // Approved leave is not an absence: held periods that fall on a student's
+    // leave days (and were not already attended or excluded) are removed from their total
+    if (startDate && endDate) {
+        const rangeStart = formatDateLocal(startDate);
+        const rangeEnd = formatDateLocal(endDate);
+        const leaveParams = [classId, rangeStart, rangeEnd];
+        let leaveQuery = `
+            SELECT lr.student_id, lr.from_date, lr.to_date
+            FROM leave_requests lr
+            JOIN students st ON lr.student_id = st.id
+            WHERE st.class_id = $1 AND lr.status = 'approved'
+            AND lr.to_date >= $2 AND lr.from_date <= $3
+        `;
+        if (studentId) {
+            leaveParams.push(studentId);
+            leaveQuery += ` AND lr.student_id = $4`;
+        }
+        const leaves = await queryAll(leaveQuery, leaveParams);
+
+        if (leaves.length > 0) {
+            const presentRows = await queryAll(`
+                SELECT a.student_id, a.date::date as date, a.period_id, a.extra_session_id
+                FROM attendance a
+                JOIN attendance_status_weights sw ON a.status = sw.status
+                WHERE a.class_id = $1 AND sw.weight IN ('present', 'excluded')
+                AND a.date >= $2 AND a.date <= $3
+                AND a.student_id = ANY($4::int[])
+            `, [classId, rangeStart, rangeEnd, [...new Set(leaves.map(l => l.student_id))]]);
+            const presentKeys = new Set(presentRows.map(r => `${r.student_id}|${formatDateLocal(r.date)}|${r.extra_session_id ? 'es' + r.extra_session_id : r.period_id}`));
+            const counted = new Set(); // overlapping leave requests must not double count
+
+            leaves.forEach(leave => {
+                const from = formatDateLocal(leave.from_date) > rangeStart ? formatDateLocal(leave.from_date) : rangeStart;
+                const to = formatDateLocal(leave.to_date) < rangeEnd ? formatDateLocal(leave.to_date) : rangeEnd;
+                for (let d = parseDateLocal(from); formatDateLocal(d) <= to; d.setDate(d.getDate() + 1)) {
+                    const dateStr = formatDateLocal(d);
+                    const dayOfWeek = d.getDay() === 0 ? 7 : d.getDay();
+                    timetablePeriods.forEach(p => {
+                        const key = `${leave.student_id}|${dateStr}|${p.id}`;
+                        if (p.day_of_week !== dayOfWeek || totals[p.subject_id] === undefined || !isHeld(p, dateStr) || !takesPeriod(p, leave.student_id) || presentKeys.has(key) || counted.has(key)) {
+                            return;
+                        }
+                        counted.add(key);
+                        if (!excused[leave.student_id]) {
+                            excused[leave.student_id] = {};
+                        }
+                        excused[leave.student_id][p.subject_id] = (excused[leave.student_id][p.subject_id] || 0) + 1;
+                    });
+                    extraSessions.forEach(es => {
+                        const key = `${leave.student_id}|${dateStr}|es${es.id}`;
+                        if (formatDateLocal(es.date) !== dateStr || totals[es.subject_id] === undefined || !isHeld(es, dateStr, true) || !takesPeriod(es, leave.student_id) || presentKeys.has(key) || counted.has(key)) {
+                            return;
+                        }
+                        counted.add(key);
+                        if (!excused[leave.student_id]) {
+                            excused[leave.student_id] = {};
+                        }
+                        excused[leave.student_id][es.subject_id] = (excused[leave.student_id][es.subject_id] || 0) + 1;
+                    });
+                }
+            });
+        }
+    }
+
+    return { subjects, totals, attended, excused, startDate, endDate };
+};
+
+// Periods a student is accountable for in a subject (scheduled minus approved leave)
+const getStudentSubjectTotal = (report, studentId, subjectId) => {
+    const excusedCount = (report.excused[studentId] && report.excused[studentId][subjectId]) || 0;
+    return Math.max(0, (report.totals[subjectId] || 0) - excusedCount);
+};
+
+// Number of periods per subject still scheduled for a class from tomorrow until TERM_END_DATE,
+// including extra sessions already planned in that window. Pass studentId to skip batch periods
+// the student is not part of. Returns null when no term end date is configured.
+const getRemainingScheduledPeriods = async (classId, studentId = null) => {
+    if (!TERM_END_DATE) {
+        return null;
+    }
+
+    const timetablePeriods = await queryAll(`
+        SELECT tp.subject_id, tp.day_of_week
+        FROM timetable_periods tp
+        WHERE tp.class_id = $1 AND tp.is_break = false AND tp.subject_id IS NOT NULL
+        ${studentId ? `AND ${studentTakesPeriodSql('$2')}` : ''}
+    `, studentId ? [classId, studentId] : [classId]);
+
+    const remaining = {};
+    // Both ends at local midnight, so the term's last day is walked too
+    const termEnd = parseDateLocal(TERM_END_DATE);
+    const start = parseDateLocal(getCurrentDateIST());
+    start.setDate(start.getDate() + 1);
+
+    for (let d = new Date(start); d <= termEnd; d.setDate(d.getDate() + 1)) {
+        const dayOfWeek = d.getDay() === 0 ? 7 : d.getDay();
+        timetablePeriods.forEach(p => {
+            if (p.day_of_week === dayOfWeek) {
+                remaining[p.subject_id] = (remaining[p.subject_id] || 0) + 1;
+            }
+        });
+    }
+
+    const extraSessions = await queryAll(`
+        SELECT es.subject_id
+        FROM extra_sessions es
+        WHERE es.class_id = $1 AND es.date >= $2 AND es.date <= $3
+        ${studentId ? `AND ${studentTakesSubjectSql('es.subject_id', '$4')}` : ''}
+    `, studentId ? [classId, formatDateLocal(start), TERM_END_DATE, studentId] : [classId, formatDateLocal(start), TERM_END_DATE]);
+    extraSessions.forEach(es => {
+        remaining[es.subject_id] = (remaining[es.subject_id] || 0) + 1;
+    });
+
+    return remaining;
+};
+
+// How many more periods a student can miss while staying at or above the threshold,
+// and how many they must attend in a row to get back to it.
+// remaining is the number of periods left in the term, or null when unknown.
+const projectEligibility = (attended, total, remaining, threshold = ATTENDANCE_THRESHOLD) => {
+    const ratio = threshold / 100;
+    let canMiss;
+    if (remaining === null) {
+        // Open-ended: every missed period adds one to the denominator only
+        canMiss = Math.floor(attended / ratio - total + 1e-9);
+    } else {
+        canMiss = Math.min(remaining, Math.floor(attended + remaining - ratio * (total + remaining) + 1e-9));
+    }
+    canMiss = Math.max(0, canMiss);
+
+    let mustAttend = 0;
+    if (total > 0 && attended / total < ratio) {
+        mustAttend = ratio >= 1 ? Infinity : Math.ceil((ratio * total - attended) / (1 - ratio) - 1e-9);
+    }
+
+    return {
+        canMiss,
+        mustAttend,
+        recoverable: remaining === null || mustAttend <= remaining
+    };
+};
+
+// Routes
+app.get('/', (req, res) => {
+    if (req.session.user) {
+        if (req.session.user.role === 'teacher') {
+            res.redirect('/teacher/dashboard');
+        } else {
+            res.redirect('/student/dashboard');
+        }
+    } else {
+        res.redirect('/login');
+    }
+});
+
+app.get('/login', (req, res) => {
+    res.render('login', { error: null });
+});
+
+app.post('/login', async (req, res) => {
+    const { username, password } = req.body;
+    
+    try {
+        const user = await queryOne('SELECT * FROM users WHERE username = $1', [username]);
+        
+        if (!user) {
+            return res.render('login', { error: 'Invalid username or password' });
+        }
+        
+        const match = await bcrypt.compare(password, user.password);
+        if (!match) {
+            return res.render('login', { error: 'Invalid username or password' });
+        }
+        
+        // A forced change is only enforced when the account is allowed to change its password
+        const mustChangePassword = user.must_change_password === true && user.can_change_password !== false;
+        
+        req.session.user = {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            name: user.name,
+            mustChangePassword
+        };
+        
+        if (mustChangePassword) {
+            return res.redirect('/change-password');
+        }
+        
+        res.redirect(getDashboardPath(user.role));
+    } catch (err) {
+        console.error('Login error:', err);
+        res.render('login', { error: 'Database error' });
+    }
+});
+
+// Self-service password change (all roles)
+app.get('/change-password', requireAuth, async (req, res) => {
+    try {
+        const account = await queryOne('SELECT can_change_password FROM users WHERE id = $1', [req.session.user.id]);
+        res.render('change-password', {
+            user: req.session.user,
+            canChangePassword: !!account && account.can_change_password !== false,
+            minLength: PASSWORD_MIN_LENGTH,
+            error: null,
+            success: null
+        });
+    } catch (err) {
+        console.error('Change password page error:', err);
+        res.redirect(getDashboardPath(req.session.user.role));
+    }
+});
+
+app.post('/change-password', requireAuth, async (req, res) => {
+    const { current_password, new_password, confirm_password } = req.body;
+    const renderPage = (error, success = null, canChangePassword = true) => res.render('change-password', {
+        user: req.session.user,
+        canChangePassword,
+        minLength: PASSWORD_MIN_LENGTH,
+        error,
+        success
+    });
+
+    try {
+        const account = await queryOne(
+            'SELECT id, username, register_id, password, can_change_password FROM users WHERE id = $1',
+            [req.session.user.id]
+        );
+        if (!account) {
+            return res.redirect('/logout');
+        }
+        if (account.can_change_password === false) {
+            return renderPage('Password changes are disabled for your account. Please contact the HOD.', null, false);
+        }
+
+        const match = await bcrypt.compare(current_password || '', account.password);
+        if (!match) {
+            return renderPage('Current password is incorrect');
+        }
+        if (new_password !== confirm_password) {
+            return renderPage('New passwords do not match');
+        }
+        if (await bcrypt.compare(new_password || '', account.password)) {
+            return renderPage('New password must be different from the current password');
+        }
+        const policyError = validatePasswordPolicy(new_password, account);
+        if (policyError) {
+            return renderPage(policyError);
+        }
+
+        const hashedPassword = await bcrypt.hash(new_password, 10);
+        await query('UPDATE users SET password = $1, must_change_password = FALSE WHERE id = $2', [hashedPassword, account.id]);
+        console.log(`[${new Date().toISOString()}] Password changed by user ${account.username} (ID: ${account.id})`);
+
+        if (req.session.user.mustChangePassword) {
+            req.session.user.mustChangePassword = false;
+            return res.redirect(getDashboardPath(req.session.user.role));
+        }
+        renderPage(null, 'Password changed successfully');
+    } catch (err) {
+        console.error('Change password error:', err);
+        renderPage('Database error');
+    }
+});
+
+app.get('/logout', (req, res) => {
+    req.session.destroy();
+    res.redirect('/login');
+});
+
+// Teacher routes
+app.get('/teacher/dashboard', requireTeacher, async (req, res) => {
+    try {
+        // Add cache control headers to prevent caching
+        res.set({
+            'Cache-Control': 'no-cache, no-store, must-revalidate',
+            'Pragma': 'no-cache',
+            'Expires': '0'
+        });
+        
+        console.log(`[${new Date().toISOString()}] Teacher dashboard accessed by: ${req.session.user.name} (ID: ${req.session.user.id})`);
+        
+        // Get current classes for this teacher based on timetable
+        const currentClasses = await getTeacherCurrentClasses(req.session.user.id);
+        
+        // Get current day and time for display
+        const currentDay = getCurrentDayOfWeek();
+        const currentTime = getCurrentTime();
+        const dayNames = ['', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+        const currentDayName = dayNames[currentDay];
+        
+        console.log(`[${new Date().toISOString()}] Current day: ${currentDayName}, Time: ${currentTime}`);
+        console.log(`[${new Date().toISOString()}] Found ${currentClasses.length} current classes for teacher ${req.session.user.name}`);
+        
+        // If no current classes, show only the classes assigned to this teacher (from their timetable)
+        let allClasses = [];
+        if (currentClasses.length === 0) {
+            allClasses = await queryAll(`
+                SELECT DISTINCT c.*, COALESCE(student_counts.student_count, 0) as total_students
+                FROM classes c
+                JOIN timetable_periods tp ON c.id = tp.class_id
+                LEFT JOIN (
+                    SELECT class_id, COUNT(*) as student_count 
+                    FROM students 
+                    GROUP BY class_id
+                ) student_counts ON c.id = student_counts.class_id
+                WHERE tp.teacher_id = $1 AND tp.is_break = false
+                ORDER BY c.year, c.section
+            `, [req.session.user.id]);
+            console.log(`[${new Date().toISOString()}] No current classes found, showing ${allClasses.length} assigned classes for teacher ${req.session.user.name}`);
+        }
+        
+        // If teacher has no timetable assignments at all, show all available classes as a fallback
+        if (allClasses.length === 0) {
+            allClasses = await queryAll(`
+                SELECT DISTINCT c.*, COALESCE(student_counts.student_count, 0) as total_students
+                FROM classes c
+                LEFT JOIN (
+                    SELECT class_id, COUNT(*) as student_count 
+                    FROM students 
+                    GROUP BY class_id
+                ) student_counts ON c.id = student_counts.class_id
+                ORDER BY c.year, c.section
+            `);
+            console.log(`[${new Date().toISOString()}] Teacher has no timetable assignments, showing ${allClasses.length} available classes as fallback`);
+        }
+        
+        // Get schedule data for all classes assigned to this teacher
+        let allAssignedClasses = await queryAll(`
+            SELECT DISTINCT c.*, COALESCE(student_counts.student_count, 0) as total_students
+            FROM classes c
+            JOIN timetable_periods tp ON c.id = tp.class_id
+            LEFT JOIN (
+                SELECT class_id, COUNT(*) as student_count 
+                FROM students 
+                GROUP BY class_id
+            ) student_counts ON c.id = student_counts.class_id
+            WHERE tp.teacher_id = $1 AND tp.is_break = false
+            ORDER BY c.year, c.section
+        `, [req.session.user.id]);
+        
+        // If no assigned classes, use the fallback classes
+        if (allAssignedClasses.length === 0) {
+            allAssignedClasses = allClasses;
+        }
+        
+        // Get schedule details for each class
+        for (const cls of allAssignedClasses) {
+            // Try to get schedule for this class (will be empty if teacher has no timetable periods)
+            const schedule = await queryAll(`
+                SELECT 
+                    tp.day_of_week,
+                    tp.period_number,
+                    tp.start_time,
+                    tp.end_time,
+                    tp.is_break,
+                    s.subject_name,
+                    s.subject_code
+                FROM timetable_periods tp
+                LEFT JOIN subjects s ON tp.subject_id = s.id
+                WHERE tp.class_id = $1 AND tp.teacher_id = $2 AND tp.is_break = false
+                ORDER BY tp.day_of_week, tp.period_number
+            `, [cls.id, req.session.user.id]);
+            
+            cls.schedule = schedule;
+            if (schedule.length === 0) {
+                console.log(`[${new Date().toISOString()}] Class ${cls.class_name} has no timetable periods for this teacher`);
+            } else {
+                console.log(`[${new Date().toISOString()}] Class ${cls.class_name} schedule:`, schedule);
+            }
+        }
+        
+        // Calculate period-specific attendance for current classes (THIS TEACHER only)
+        const today = new Date().toISOString().split('T')[0];
+        for (const cls of currentClasses) {
+            // getTeacherCurrentClasses already resolved THIS TEACHER's current period (own or substituted)
+            if (cls.period_id) {
+                const attendanceCount = await queryOne(
+                    'SELECT COUNT(*) as count FROM attendance WHERE class_id = $1 AND date = $2 AND period_id = $3',
+                    [cls.id, today, cls.period_id]
+                );
+                cls.attendance_count = parseInt(attendanceCount.count);
+            } else {
+                cls.attendance_count = 0;
+            }
+        }
+        
+        // Open attendance disputes on periods this teacher owns
+        const openDisputes = await queryAll(`
+            SELECT d.id, d.date, d.recorded_status, d.requested_status, d.comment, d.created_at,
+                   st.student_name, st.roll_no, c.class_name, tp.period_number, s.subject_name
+            FROM attendance_disputes d
+            JOIN timetable_periods tp ON d.period_id = tp.id
+            JOIN students st ON d.student_id = st.id
+            JOIN classes c ON d.class_id = c.id
+            LEFT JOIN subjects s ON tp.subject_id = s.id
+            WHERE tp.teacher_id = $1 AND d.status = 'open'
+            ORDER BY d.created_at
+        `, [req.session.user.id]);
+        
+        const syllabusCoverage = await getSyllabusCoverage(req.session.user.id);
+        const pendingAttendance = await getPendingAttendance(req.session.user.id);
+        
+        res.render('teacher/dashboard', { 
+            classes: currentClasses.length > 0 ? currentClasses : allClasses,
+            currentClasses,
+            allClasses: allClasses.length > 0 ? allClasses : [],
+            allAssignedClasses: allAssignedClasses.length > 0 ? allAssignedClasses : [],
+            currentDayName,
+            currentTime,
+            isCurrentPeriod: currentClasses.length > 0,
+            openDisputes,
+            syllabusCoverage,
+            pendingAttendance,
+            pendingAttendanceDays: PENDING_ATTENDANCE_DAYS,
+            user: req.session.user, 
+            error: null 
+        });
+    } catch (err) {
+        console.error('Dashboard error:', err);
+        res.render('teacher/dashboard', { 
+            classes: [], 
+            currentClasses: [],
+            allClasses: [],
+            allAssignedClasses: [],
+            currentDayName: '',
+            currentTime: '',
+            isCurrentPeriod: false,
+            openDisputes: [],
+            syllabusCoverage: [],
+            pendingAttendance: [],
+            pendingAttendanceDays: PENDING_ATTENDANCE_DAYS,
+            user: req.session.user, 
+            error: 'Database error' 
+        });
+    }
+});
+
+// API route to refresh dashboard data
+app.get('/teacher/dashboard/refresh', requireTeacher, async (req, res) => {
+    try {
+        console.log(`[${new Date().toISOString()}] Dashboard refresh requested by: ${req.session.user.name}`);
+        
+        // Show only classes assigned to this teacher from their timetable
+        const classes = await queryAll(`
+            SELECT DISTINCT c.*, COALESCE(student_counts.student_count, 0) as total_students
+            FROM classes c
+            JOIN timetable_periods tp ON c.id = tp.class_id
+            LEFT JOIN (
+                SELECT class_id, COUNT(*) as student_count 
+                FROM students 
+                GROUP BY class_id
+            ) student_counts ON c.id = student_counts.class_id
+            WHERE tp.teacher_id = $1 AND tp.is_break = false
+            ORDER BY c.year, c.section
+        `, [req.session.user.id]);
+        
+        // Get schedule data for all classes assigned to this teacher
+        for (const cls of classes) {
+            const schedule = await queryAll(`
+                SELECT 
+                    tp.day_of_week,
+                    tp.period_number,
+                    tp.start_time,
+                    tp.end_time,
+                    tp.is_break,
+                    s.subject_name,
+                    s.subject_code
+                FROM timetable_periods tp
+                LEFT JOIN subjects s ON tp.subject_id = s.id
+                WHERE tp.class_id = $1 AND tp.teacher_id = $2 AND tp.is_break = false
+                ORDER BY tp.day_of_week, tp.period_number
+            `, [cls.id, req.session.user.id]);
+            
+            cls.schedule = schedule;
+        }
+        
+        // Calculate today's attendance statistics across all classes (period-specific)
+        const today = new Date().toISOString().split('T')[0];
+        let totalAttendanceToday = 0;
+        let totalStudentsToday = 0;
+        
+        for (const cls of classes) {
+            // Get current period for THIS TEACHER in this class
+            const currentPeriod = await queryOne(`
+                SELECT 
+                    tp.*,
+                    s.subject_name,
+                    s.subject_code
+                FROM timetable_periods tp
+                LEFT JOIN subjects s ON tp.subject_id = s.id
+                WHERE tp.class_id = $1 
+                AND tp.teacher_id = $2
+                AND tp.day_of_week = $3 
+                AND tp.start_time <= $4 
+                AND tp.end_time >= $4
+                AND tp.is_break = false
+                ORDER BY tp.period_number
+                LIMIT 1
+            `, [cls.id, req.session.user.id, getCurrentDayOfWeek(), getCurrentTime()]);
+            
+            if (currentPeriod) {
+                // Count attendance only for THIS TEACHER's current period
+                const attendanceCount = await queryOne(
+                    'SELECT COUNT(*) as count FROM attendance WHERE class_id = $1 AND date = $2 AND period_id = $3',
+                    [cls.id, today, currentPeriod.id]
+                );
+                totalAttendanceToday += parseInt(attendanceCount.count);
+            }
+            totalStudentsToday += cls.total_students;
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                totalClasses: classes.length,
+                totalStudents: classes.reduce((total, cls) => total + cls.total_students, 0),
+                attendanceToday: totalAttendanceToday,
+                studentsToday: totalStudentsToday,
+                classes: classes.map(cls => ({
+                    id: cls.id,
+                    name: cls.class_name,
+                    students: cls.total_students,
+                    year: cls.year,
+                    section: cls.section
+                })),
+                lastUpdated: new Date().toISOString()
+            }
+        });
+    } catch (err) {
+        console.error('Dashboard refresh error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+app.get('/teacher/class/:classId/attendance', requireTeacher, async (req, res) => {
+    const classId = req.params.classId;
+    // Periods of an earlier day in the inbox's window can be marked late from the pending-attendance inbox (?date=&period=)
+    const pastDate = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') && req.query.date < getCurrentDateIST() &&
+        req.query.date >= getEarliestLateEntryDate()
+        ? req.query.date
+        : null;
+    const today = pastDate || getCurrentDateIST();
+    const teacherId = req.session.user.id;
+    
+    try {
+        // First check if this teacher is assigned to teach this class
+        const teacherAssignment = await queryOne(`
+            SELECT DISTINCT tp.id
+            FROM timetable_periods tp
+            WHERE tp.class_id = $1 AND tp.teacher_id = $2 AND tp.is_break = false
+        `, [classId, teacherId]);
+        
+        // Substitutes may take attendance for the class on the day of their substitution
+        const pastDayOfWeek = pastDate ? parseDateLocal(pastDate).getDay() : null;
+        const todaysPeriods = pastDate
+            ? await getTeacherPeriodsOn(classId, teacherId, pastDate, pastDayOfWeek === 0 ? 7 : pastDayOfWeek)
+            : await getTeacherPeriodsToday(classId, teacherId);
+        
+        if (!teacherAssignment && todaysPeriods.length === 0) {
+            console.log(`[${new Date().toISOString()}] Teacher ${req.session.user.name} attempted to access class ${classId} without assignment`);
+            return res.redirect('/teacher/dashboard');
+        }
+        
+        // Get class info and students
+        const classInfo = await queryOne('SELECT * FROM classes WHERE id = $1', [classId]);
+        if (!classInfo) {
+            return res.redirect('/teacher/dashboard');
+        }
+        
+        // Current period for THIS TEACHER in this class, including the grace window around it
+        let currentPeriod = pastDate ? null : findActivePeriod(todaysPeriods);
+        
+        // Earlier periods today (or any period of a past date) can still be marked late, with a reason (?period=<id>)
+        const nowMinutes = timeToMinutes(getCurrentTime());
+        const latePeriods = todaysPeriods.filter(p =>
+            (pastDate || timeToMinutes(p.start_time) <= nowMinutes) && (!currentPeriod || p.id !== currentPeriod.id)
+        );
+        let lateEntry = false;
+        if (req.query.period) {
+            const chosenPeriod = latePeriods.find(p => String(p.id) === String(req.query.period));
+            if (chosenPeriod) {
+                currentPeriod = chosenPeriod;
+                lateEntry = true;
+            }
+        }
+        
+        // Get students with period-specific attendance for THIS TEACHER's period
+        // (only the period's batch when it is a batched lab). Combined-section periods
+        // list every linked class, each student against their own class's row.
+        let students;
+        let combinedClasses = [];
+        if (currentPeriod) {
+            const periodGroup = await getCombinedPeriods(currentPeriod.id);
+            if (periodGroup.length > 1) {
+                combinedClasses = periodGroup.map(p => p.class_name);
+            }
+            students = await queryAll(`
+                SELECT s.*, a.status, a.period_id, c.class_name
+                FROM timetable_periods tp
+                JOIN students s ON s.class_id = tp.class_id
+                JOIN classes c ON tp.class_id = c.id
+                LEFT JOIN attendance a ON s.id = a.student_id AND a.date = $1 AND a.period_id = tp.id
+                WHERE tp.id = ANY($2::int[])
+                AND ${studentTakesPeriodSql('s.id')}
+                ORDER BY c.year, c.section, s.roll_no
+            `, [today, periodGroup.map(p => p.id)]);
+            
+            // Elective students from sections that take this elective here, marked on the primary period
+            const primaryId = currentPeriod.linked_period_id || currentPeriod.id;
+            const hostedStudents = await queryAll(`
+                SELECT s.*, a.status, a.period_id, c.class_name
+                FROM students s
+                JOIN classes c ON s.class_id = c.id
+                JOIN subject_enrollments se ON se.student_id = s.id AND se.subject_id = $3
+                LEFT JOIN attendance a ON s.id = a.student_id AND a.date = $1 AND a.period_id = $2
+                WHERE EXISTS (SELECT 1 FROM (${hostedElectivePeriodsSql('s.class_id')}) h WHERE h.id = $2)
+                ORDER BY c.year, c.section, s.roll_no
+            `, [today, primaryId, currentPeriod.subject_id]);
+            if (hostedStudents.length > 0) {
+                students = students.concat(hostedStudents);
+                combinedClasses = [...new Set(students.map(s => s.class_name))];
+            }
+        } else {
+            // If no current period for THIS TEACHER, show students without attendance status
+            students = await queryAll(`
+                SELECT s.*, NULL as status, NULL as period_id
+                FROM students s 
+                WHERE s.class_id = $1 
+                ORDER BY s.roll_no
+            `, [classId]);
+        }
+        
+        // Get current period information for this teacher and class
+        const currentDay = getCurrentDayOfWeek();
+        const currentTime = getCurrentTime();
+        const currentPeriodInfo = currentPeriod;
+        
+        // Get teacher's upcoming period for this class (next 2 hours)
+        const nextTime = new Date();
+        nextTime.setHours(nextTime.getHours() + 2);
+        const nextTimeString = nextTime.toTimeString().slice(0, 5);
+        
+        const upcomingPeriod = pastDate ? null : await queryOne(`
+            SELECT 
+                tp.*,
+                s.subject_name,
+                s.subject_code
+            FROM timetable_periods tp
+            LEFT JOIN subjects s ON tp.subject_id = s.id
+            WHERE tp.class_id = $1 
+            AND tp.teacher_id = $2
+            AND tp.day_of_week = $3 
+            AND tp.start_time > $4
+            AND tp.start_time <= $5
+            AND tp.is_break = false
+            ORDER BY tp.start_time
+            LIMIT 1
+        `, [classId, teacherId, currentDay, currentTime, nextTimeString]);
+        
+        const dayNames = ['', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+        const currentDayName = dayNames[currentDay];
+        const attendanceStatuses = await getAttendanceStatuses();
+        const lessonLog = currentPeriod ? await getLessonLog(currentPeriod.id, today) : null;
+        // Syllabus ticking and copying across a session are only for today's periods
+        const syllabusUnits = currentPeriod && currentPeriod.subject_id && !pastDate
+            ? await getSyllabus(currentPeriod.subject_id, classId)
+            : [];
+        // Other periods of the same double period or lab, which this period's marks can be copied to
+        const sessionPeriods = currentPeriod && !pastDate
+            ? getSessionPeriods(todaysPeriods, currentPeriod).filter(p => p.id !== currentPeriod.id)
+            : [];
+        
+        res.render('teacher/attendance', { 
+            classInfo, 
+            students, 
+            attendanceStatuses,
+            date: today,
+            currentPeriodInfo,
+            combinedClasses,
+            lessonLog,
+            syllabusUnits,
+            sessionPeriods,
+            extraSession: null,
+            pastDate,
+            lateEntry,
+            latePeriods,
+            upcomingPeriod,
+            currentTime,
+            currentDayName,
+            user: req.session.user,
+            error: null 
+        });
+    } catch (err) {
+        console.error('Attendance page error:', err);
+        res.redirect('/teacher/dashboard');
+    }
+});
+
+// What a live mark from the attendance page is recorded against: the teacher's extra session,
+// their active period, or (with a reason) an earlier period of today as a late entry.
+// Returns { extraSession } or { period, reason }, or { error, lateEntryRequired } when it cannot be marked.
+const resolveMarkTarget = async ({ classId, date, periodId, lateReason, extraSessionId }, teacherId) => {
+    if (extraSessionId) {
+        // Extra sessions are marked against the session itself, on or after its date
+        const extraSession = await queryOne(
+            'SELECT id, class_id, subject_id, date::date as date FROM extra_sessions WHERE id = $1 AND teacher_id = $2',
+            [extraSessionId, teacherId]
+        );
+        if (!extraSession || String(extraSession.class_id) !== String(classId)) {
+            return { error: 'Extra session not found' };
+        }
+        if (formatDateLocal(extraSession.date) > getCurrentDateIST()) {
+            return { error: 'Attendance for an extra session can be marked from its date onwards.' };
+        }
+        return { extraSession };
+    }
+    
+    if (periodId && /^\d{4}-\d{2}-\d{2}$/.test(date || '') && date < getCurrentDateIST()) {
+        // Late entry for a period of an earlier day (from the pending-attendance inbox), within its window
+        if (date < getEarliestLateEntryDate()) {
+            return {
+                error: PENDING_ATTENDANCE_DAYS > 0
+                    ? `Late entry is only allowed for periods in the last ${PENDING_ATTENDANCE_DAYS} days.`
+                    : 'Late entry is only allowed for today\'s periods.'
+            };
+        }
+        const dayOfWeek = parseDateLocal(date).getDay();
+        const periods = await getTeacherPeriodsOn(classId, teacherId, date, dayOfWeek === 0 ? 7 : dayOfWeek);
+        const period = periods.find(p => String(p.id) === String(periodId));
+        if (!period) {
+            return { error: 'You did not take this period on that date.' };
+        }
+        if (!lateReason || !lateReason.trim()) {
+            return { error: 'Please give a reason for the late entry.', lateEntryRequired: true };
+        }
+        return { period, reason: lateReason.trim() };
+    }
+    
+    // Current period for THIS TEACHER in this class, including the grace window around it
+    const todaysPeriods = await getTeacherPeriodsToday(classId, teacherId);
+    let currentPeriod = findActivePeriod(todaysPeriods);
+    let reason = null;
+    
+    if (periodId && (!currentPeriod || String(currentPeriod.id) !== String(periodId))) {
+        // Late entry: an earlier period of the same day, outside its grace window
+        const now = timeToMinutes(getCurrentTime());
+        currentPeriod = todaysPeriods.find(p => String(p.id) === String(periodId) && timeToMinutes(p.start_time) <= now);
+        if (!currentPeriod) {
+            return { error: 'Late entry is only allowed for your periods in this class that have already started today.' };
+        }
+        if (date !== getCurrentDateIST()) {
+            return { error: 'Late entry is only allowed for today\'s periods.' };
+        }
+        if (!lateReason || !lateReason.trim()) {
+            return { error: 'Please give a reason for the late entry.', lateEntryRequired: true };
+        }
+        reason = lateReason.trim();
+    }
+    
+    if (!currentPeriod) {
+        return {
+            error: 'No active period found for you in this class. Choose one of today\'s periods and give a late-entry reason to mark it late.',
+            lateEntryRequired: true
+        };
+    }
+    return { period: currentPeriod, reason };
+};
+
+// Save one student's mark against a target from resolveMarkTarget. Returns an error message, or null.
+const saveMarkToTarget = async (target, studentId, date, status, markedBy, source) => {
+    if (target.extraSession) {
+        return saveExtraSessionAttendance(target.extraSession, studentId, status, markedBy, { source });
+    }
+    return savePeriodAttendance(target.period, studentId, date, status, markedBy, {
+        lateReason: target.reason,
+        source
+    });
+};
+
+app.post('/teacher/mark-attendance', requireTeacher, async (req, res) => {
+    const { studentId, status, date } = req.body;
+    
+    try {
+        if (!(await isValidAttendanceStatus(status))) {
+            return res.json({ success: false, error: `Invalid attendance status: ${status}` });
+        }
+        
+        const target = await resolveMarkTarget(req.body, req.session.user.id);
+        if (target.error) {
+            return res.json({ success: false, error: target.error, lateEntryRequired: target.lateEntryRequired });
+        }
+        
+        const saveError = await saveMarkToTarget(target, studentId, date, status, req.session.user.id, '/teacher/mark-attendance');
+        if (saveError) {
+            return res.json({ success: false, error: saveError });
+        }
+        
+        if (target.reason) {
+            console.log(`[${new Date().toISOString()}] Late entry by ${req.session.user.name} for period ${target.period.id}: ${target.reason}`);
+        }
+        
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Mark attendance error:', err);
+        res.json({ success: false, error: 'Failed to mark attendance' });
+    }
+});
+
+// Mark a whole period in one request: { classId, date, periodId, lateReason, extraSessionId,
+// marks: [{ studentId, status }] }. Each mark is saved on its own; results report any that failed.
+app.post('/teacher/mark-attendance/batch', requireTeacher, async (req, res) => {
+    const { date, marks } = req.body;
+    
+    if (!Array.isArray(marks) || marks.length === 0) {
+        return res.json({ success: false, error: 'No marks to save' });
+    }
+    
+    try {
+        const statuses = await getAttendanceStatuses();
+        const invalid = marks.find(m => !statuses.some(st => st.status === m.status));
+        if (invalid) {
+            return res.json({ success: false, error: `Invalid attendance status: ${invalid.status}` });
+        }
+        
+        const target = await resolveMarkTarget(req.body, req.session.user.id);
+        if (target.error) {
+            return res.json({ success: false, error: target.error, lateEntryRequired: target.lateEntryRequired });
+        }
+        
+        const results = [];
+        for (const mark of marks) {
+            const saveError = await saveMarkToTarget(target, mark.studentId, date, mark.status, req.session.user.id, '/teacher/mark-attendance/batch');
+            results.push({ studentId: mark.studentId, success: !saveError, error: saveError });
+        }
+        
+        const saved = results.filter(r => r.success).length;
+        console.log(`[${new Date().toISOString()}] ${req.session.user.name} saved ${saved}/${marks.length} marks for ${target.extraSession ? `extra session ${target.extraSession.id}` : `period ${target.period.id}`}${target.reason ? ` (late: ${target.reason})` : ''}`);
+        res.json({ success: true, results });
+    } catch (err) {
+        console.error('Batch mark attendance error:', err);
+        res.json({ success: false, error: 'Failed to save attendance' });
+    }
+});
+
+// Copy the marks of one of today's periods to other periods of the same session (double periods
+// and labs): { classId, fromPeriodId, toPeriodIds, exceptions }. Students listed in exceptions
+// (e.g. left early) are marked absent in the copied periods instead.
+app.post('/teacher/attendance/copy', requireTeacher, async (req, res) => {
+    const { classId, fromPeriodId, toPeriodIds, exceptions } = req.body;
+    const teacherId = req.session.user.id;
+    
+    if (!fromPeriodId || !Array.isArray(toPeriodIds) || toPeriodIds.length === 0) {
+        return res.json({ success: false, error: 'Choose the periods to copy attendance to' });
+    }
+    
+    try {
+        const today = getCurrentDateIST();
+        const todaysPeriods = await getTeacherPeriodsToday(classId, teacherId);
+        const fromPeriod = todaysPeriods.find(p => String(p.id) === String(fromPeriodId));
+        if (!fromPeriod || timeToMinutes(fromPeriod.start_time) > timeToMinutes(getCurrentTime()) + ATTENDANCE_GRACE_BEFORE_MINUTES) {
+            return res.json({ success: false, error: 'Attendance can only be copied from one of your periods in this class that has started today' });
+        }
+        const sessionPeriods = getSessionPeriods(todaysPeriods, fromPeriod);
+        const targets = toPeriodIds.map(id => sessionPeriods.find(p => String(p.id) === String(id) && p.id !== fromPeriod.id));
+        if (targets.some(p => !p)) {
+            return res.json({ success: false, error: 'Attendance can only be copied to the other periods of the same session' });
+        }
+        
+        const periodGroup = await getCombinedPeriods(fromPeriod.id);
+        const marks = await queryAll(
+            'SELECT student_id, status FROM attendance WHERE date = $1 AND period_id = ANY($2::int[])',
+            [today, periodGroup.map(p => p.id)]
+        );
+        if (marks.length === 0) {
+            return res.json({ success: false, error: 'Mark attendance for this period before copying it' });
+        }
+        const leftEarly = new Set((exceptions || []).map(String));
+        
+        let copied = 0;
+        const errors = [];
+        for (const target of targets) {
+            for (const mark of marks) {
+                const status = leftEarly.has(String(mark.student_id)) ? 'A' : mark.status;
+                const saveError = await savePeriodAttendance(target, mark.student_id, today, status, teacherId, {
+                    source: '/teacher/attendance/copy'
+                });
+                if (saveError) {
+                    errors.push(`Period ${target.period_number}: ${saveError}`);
+                } else {
+                    copied++;
+                }
+            }
+        }
+        
+        console.log(`[${new Date().toISOString()}] ${req.session.user.name} copied attendance of period ${fromPeriod.id} to ${targets.map(p => p.id).join(', ')} (${copied} marks)`);
+        res.json({ success: true, copied, errors: [...new Set(errors)] });
+    } catch (err) {
+        console.error('Copy attendance error:', err);
+        res.json({ success: false, error: 'Failed to copy attendance' });
+    }
+});
+
+// Apply one mark queued by the attendance page while it was offline. The mark is checked against
+// the period that was active when it was recorded, not at sync time, and only replaces a mark
+// recorded earlier. The recording time comes from the client, so it must lie within the last
+// OFFLINE_MARK_MAX_AGE_HOURS. Replaying a mark already applied is harmless. Returns a conflict message, or null.
+const applyQueuedMark = async (mark, teacher) => {
+    const { studentId, classId, status, periodId, extraSessionId, lateReason } = mark;
+    const markedAt = new Date(mark.markedAt);
+    if (isNaN(markedAt.getTime()) || markedAt.getTime() > Date.now() + 5 * 60 * 1000) {
+        return 'Invalid recording time';
+    }
+    if (markedAt.getTime() < Date.now() - OFFLINE_MARK_MAX_AGE_HOURS * 60 * 60 * 1000) {
+        return `Recorded more than ${OFFLINE_MARK_MAX_AGE_HOURS} hours ago; mark it again from the attendance page`;
+    }
+    if (!(await isValidAttendanceStatus(status))) {
+        return `Invalid attendance status: ${status}`;
+    }
+    const recorded = getISTDateTime(markedAt);
+    
+    // A mark already saved at or after the recorded time wins over the queued one
+    const isNewer = (existing) => existing && existing.marked_at && new Date(existing.marked_at) >= markedAt;
+    const newerConflict = (existing) => existing.status === status ? null : `A newer mark (${existing.status}) was already saved; kept it`;
+    
+    if (extraSessionId) {
+        const extraSession = await queryOne(
+            'SELECT id, class_id, subject_id, date::date as date FROM extra_sessions WHERE id = $1 AND teacher_id = $2',
+            [extraSessionId, teacher.id]
+        );
+        if (!extraSession || String(extraSession.class_id) !== String(classId)) {
+            return 'Extra session not found';
+        }
+        if (formatDateLocal(extraSession.date) > recorded.date) {
+            return 'Recorded before the extra session\'s date';
+        }
+        const existing = await queryOne(
+            'SELECT status, marked_at FROM attendance WHERE student_id = $1 AND extra_session_id = $2',
+            [studentId, extraSession.id]
+        );
+        if (isNewer(existing)) {
+            return newerConflict(existing);
+        }
+        return saveExtraSessionAttendance(extraSession, studentId, status, teacher.id, { markedAt, source: '/teacher/attendance/sync' });
+    }
+    
+    const periods = await getTeacherPeriodsOn(classId, teacher.id, recorded.date, recorded.dayOfWeek);
+    let period = findActivePeriod(periods, recorded.time);
+    let reason = null;
+    if (periodId && (!period || String(period.id) !== String(periodId))) {
+        // Late entry made offline: an earlier period of the day it was recorded on, with a reason
+        period = periods.find(p => String(p.id) === String(periodId) && timeToMinutes(p.start_time) <= timeToMinutes(recorded.time));
+        if (!period) {
+            return `Period was not yours or had not started at ${recorded.time} on ${recorded.date}`;
+        }
+        if (!lateReason || !String(lateReason).trim()) {
+            return 'Late entry recorded without a reason';
+        }
+        reason = String(lateReason).trim();
+    }
+    if (!period) {
+        return `No active period at ${recorded.time} on ${recorded.date}`;
+    }
+    
+    const periodGroup = await getCombinedPeriods(period.id);
+    const existing = await queryOne(
+        'SELECT status, marked_at FROM attendance WHERE student_id = $1 AND date = $2 AND period_id = ANY($3::int[])',
+        [studentId, recorded.date, periodGroup.map(p => p.id)]
+    );
+    if (isNewer(existing)) {
+        return newerConflict(existing);
+    }
+    return savePeriodAttendance(period, studentId, recorded.date, status, teacher.id, {
+        lateReason: reason,
+        markedAt,
+        source: '/teacher/attendance/sync'
+    });
+};
+
+// Replay marks queued offline by the attendance page; reports the outcome of each one. A mark that
+// fails on a server error is reported with retry set, so the page keeps it queued.
+app.post('/teacher/attendance/sync', requireTeacher, async (req, res) => {
+    const marks = Array.isArray(req.body.marks) ? req.body.marks : [];
+    
+    const results = [];
+    for (const mark of marks) {
+        try {
+            const conflict = await applyQueuedMark(mark, req.session.user);
+            results.push({ clientId: mark.clientId, success: !conflict, error: conflict });
+        } catch (err) {
+            console.error('Offline attendance sync error:', err);
+            results.push({ clientId: mark.clientId, success: false, error: 'Failed to save; will retry', retry: true });
+        }
+    }
+    
+    const conflicts = results.filter(r => !r.success && !r.retry).length;
+    const failed = results.filter(r => r.retry).length;
+    console.log(`[${new Date().toISOString()}] Offline sync by ${req.session.user.name}: ${marks.length} marks, ${conflicts} conflicts, ${failed} failed`);
+    res.json({ success: true, results });
+});
+
+// Save the topic taught, homework and notes for one of the teacher's periods on a date
+app.post('/teacher/lesson-log', requireTeacher, async (req, res) => {
+    const { classId, periodId, date, topic, homework, notes } = req.body;
+    const teacherId = req.session.user.id;
+    
+    if (!date || !periodId) {
+        return res.json({ success: false, error: 'Period and date are required' });
+    }
+    if (!topic || !topic.trim()) {
+        return res.json({ success: false, error: 'Please enter the topic covered' });
+    }
+    if (date > getCurrentDateIST()) {
+        return res.json({ success: false, error: 'A lesson can only be logged once the period has been conducted' });
+    }
+    
+    try {
+        const dayOfWeek = parseDateLocal(date).getDay();
+        const periods = await getTeacherPeriodsOn(classId, teacherId, date, dayOfWeek === 0 ? 7 : dayOfWeek);
+        const period = periods.find(p => String(p.id) === String(periodId));
+        if (!period) {
+            return res.status(403).json({ success: false, error: 'You did not take this period on that date' });
+        }
+        const primaryId = period.linked_period_id || period.id;
+        const primary = await queryOne('SELECT class_id, subject_id FROM timetable_periods WHERE id = $1', [primaryId]);
+        
+        await query(`
+            INSERT INTO lesson_logs (period_id, date, class_id, subject_id, teacher_id, topic, homework, notes)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (period_id, date)
+            DO UPDATE SET teacher_id = $5, topic = $6, homework = $7, notes = $8, updated_at = CURRENT_TIMESTAMP
+        `, [primaryId, date, primary.class_id, primary.subject_id, teacherId, topic.trim(),
+            (homework || '').trim() || null, (notes || '').trim() || null]);
+        
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Save lesson log error:', err);
+        res.json({ success: false, error: 'Failed to save lesson log' });
+    }
+});
+
+// Tick a syllabus topic off as covered (or untick it) in one of the teacher's periods today.
+// Combined-section periods record the topic for every linked class.
+app.post('/teacher/syllabus/coverage', requireTeacher, async (req, res) => {
+    const { classId, periodId, topicId, covered } = req.body;
+    const teacherId = req.session.user.id;
+    
+    if (!periodId || !topicId) {
+        return res.json({ success: false, error: 'Period and topic are required' });
+    }
+    
+    try {
+        const periods = await getTeacherPeriodsToday(classId, teacherId);
+        const period = periods.find(p => String(p.id) === String(periodId));
+        if (!period) {
+            return res.status(403).json({ success: false, error: 'You are not taking this period today' });
+        }
+        const topic = await queryOne(`
+            SELECT t.id, t.title
+            FROM syllabus_topics t
+            JOIN syllabus_units u ON t.unit_id = u.id
+            WHERE t.id = $1 AND u.subject_id = $2
+        `, [topicId, period.subject_id]);
+        if (!topic) {
+            return res.json({ success: false, error: 'Topic is not part of this subject\'s syllabus' });
+        }
+        
+        const today = getCurrentDateIST();
+        const periodGroup = await getCombinedPeriods(period.id);
+        for (const p of periodGroup) {
+            if (covered) {
+                await query(`
+                    INSERT INTO topic_coverage (topic_id, class_id, covered_on, period_id, teacher_id)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (topic_id, class_id) DO NOTHING
+                `, [topic.id, p.class_id, today, p.id, teacherId]);
+            } else {
+                await query('DELETE FROM topic_coverage WHERE topic_id = $1 AND class_id = $2', [topic.id, p.class_id]);
+            }
+        }
+        
+        console.log(`[${new Date().toISOString()}] Teacher ${req.session.user.name} marked topic "${topic.title}" as ${covered ? 'covered' : 'not covered'} for period ${period.id}`);
+        res.json({ success: true, coveredOn: covered ? today : null });
+    } catch (err) {
+        console.error('Syllabus coverage error:', err);
+        res.json({ success: false, error: 'Failed to update syllabus coverage' });
+    }
+});
+
+// Current QR check-in code for the teacher's active period, with the marks recorded so far
+app.get('/teacher/attendance/qr', requireTeacher, async (req, res) => {
+    const { classId, periodId } = req.query;
+    
+    if (!QR_CHECKIN_SECRET) {
+        return res.json({ success: false, error: 'QR check-in is not set up on this server (QR_CHECKIN_SECRET)' });
+    }
+    
+    try {
+        const todaysPeriods = await getTeacherPeriodsToday(classId, req.session.user.id);
+        const currentPeriod = findActivePeriod(todaysPeriods);
+        if (!currentPeriod || String(currentPeriod.id) !== String(periodId)) {
+            return res.json({ success: false, error: 'QR check-in is only available during your active period' });
+        }
+        
+        const today = getCurrentDateIST();
+        const periodGroup = await getCombinedPeriods(currentPeriod.id);
+        const marks = await queryAll(
+            'SELECT student_id, status FROM attendance WHERE date = $1 AND period_id = ANY($2::int[])',
+            [today, periodGroup.map(p => p.id)]
+        );
+        
+        res.json({
+            success: true,
+            token: createCheckInToken(currentPeriod.id, today),
+            rotateSeconds: QR_CHECKIN_ROTATE_SECONDS,
+            marks
+        });
+    } catch (err) {
+        console.error('QR check-in code error:', err);
+        res.json({ success: false, error: 'Failed to create check-in code' });
+    }
+});
+
+// Teacher timetable view
+app.get('/teacher/timetable', requireTeacher, async (req, res) => {
+    try {
+        const teacherId = req.session.user.id;
+        const currentDay = getCurrentDayOfWeek();
+        const currentTime = getCurrentTime();
+        const dayNames = ['', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+        const currentDayName = dayNames[currentDay];
+        
+        // Get all periods for this teacher
+        const allPeriods = await queryAll(`
+            SELECT 
+                tp.*,
+                s.subject_name,
+                s.subject_code,
+                c.class_name,
+                c.id as class_id
+            FROM timetable_periods tp
+            JOIN subjects s ON tp.subject_id = s.id
+            JOIN classes c ON tp.class_id = c.id
+            WHERE tp.teacher_id = $1 AND tp.is_break = false
+            ORDER BY tp.day_of_week, tp.period_number
+        `, [teacherId]);
+        
+        // Organize timetable by days
+        const timetable = {};
+        const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        
+        // Initialize days
+        days.forEach((day, index) => {
+            timetable[index + 1] = {
+                day: day,
+                periods: []
+            };
+        });
+        
+        // Add periods to appropriate days
+        allPeriods.forEach(period => {
+            if (timetable[period.day_of_week]) {
+                timetable[period.day_of_week].periods.push(period);
+            }
+        });
+        
+        // Get current period if any
+        const currentPeriodInfo = await queryOne(`
+            SELECT 
+                tp.*,
+                s.subject_name,
+                s.subject_code,
+                c.class_name
+            FROM timetable_periods tp
+            LEFT JOIN subjects s ON tp.subject_id = s.id
+            LEFT JOIN classes c ON tp.class_id = c.id
+            WHERE tp.teacher_id = $1 
+            AND tp.day_of_week = $2 
+            AND tp.start_time <= $3 
+            AND tp.end_time >= $3
+            AND tp.is_break = false
+            ORDER BY tp.period_number
+            LIMIT 1
+        `, [teacherId, currentDay, currentTime]);
+        
+        // Calculate statistics
+        const totalPeriods = allPeriods.length;
+        const uniqueClasses = new Set(allPeriods.map(p => p.class_id)).size;
+        const uniqueSubjects = new Set(allPeriods.map(p => p.subject_id)).size;
+        const todayPeriods = timetable[currentDay] ? timetable[currentDay].periods.length : 0;
+        
+        res.render('teacher/timetable', {
+            user: req.session.user,
+            timetable,
+            currentDayName,
+            currentTime,
+            currentPeriodInfo,
+            totalPeriods,
+            uniqueClasses,
+            uniqueSubjects,
+            todayPeriods
+        });
+    } catch (err) {
+        console.error('Teacher timetable error:', err);
+        res.render('teacher/timetable', {
+            user: req.session.user,
+            timetable: {},
+            currentDayName: '',
+            currentTime: '',
+            currentPeriodInfo: null,
+            totalPeriods: 0,
+            uniqueClasses: 0,
+            uniqueSubjects: 0,
+            todayPeriods: 0
+        });
+    }
+});
+
+// Get historical attendance management
+app.get('/teacher/attendance/:classId/history', requireTeacher, async (req, res) => {
+    const classId = req.params.classId;
+    const { view = 'week', date } = req.query;
+    const teacherId = req.session.user.id;
+    
+    try {
+        // First check if this teacher is assigned to teach this class
+        const teacherAssignment = await queryOne(`
+            SELECT DISTINCT tp.id
+            FROM timetable_periods tp
+            WHERE tp.class_id = $1 AND tp.teacher_id = $2 AND tp.is_break = false
+        `, [classId, teacherId]);
+        
+        if (!teacherAssignment) {
+            console.log(`[${new Date().toISOString()}] Teacher ${req.session.user.name} attempted to access attendance history for class ${classId} without assignment`);
+            return res.redirect('/teacher/dashboard');
+        }
+        
+        // Get class info
+        const classInfo = await queryOne('SELECT * FROM classes WHERE id = $1', [classId]);
+        if (!classInfo) {
+            return res.redirect('/teacher/dashboard');
+        }
+        
+        // Get all students in this class
+        const students = await queryAll(`
+            SELECT id, roll_no, student_name
+            FROM students 
+            WHERE class_id = $1 
+            ORDER BY roll_no
+        `, [classId]);
+        
+        // Calculate date range based on view type and selected date
+        const currentDate = date ? new Date(date) : new Date();
+        let startDate, endDate, dates = [];
+        
+        if (view === 'week') {
+            // Get week start (Monday) and end (Sunday)
+            const dayOfWeek = currentDate.getDay();
+            const daysToMonday = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
+            
+            startDate = new Date(currentDate);
+            startDate.setDate(currentDate.getDate() + daysToMonday);
+            
+            endDate = new Date(startDate);
+            endDate.setDate(startDate.getDate() + 6);
+            
+            // Generate week dates
+            for (let i = 0; i < 7; i++) {
+                const date = new Date(startDate);
+                date.setDate(startDate.getDate() + i);
+                dates.push({
+                    date: formatDateLocal(date),
+                    day: date.toLocaleDateString('en-US', { weekday: 'short' }),
+                    dayNum: date.getDate()
+                });
+            }
+        } else if (view === 'month') {
+            // Get month start and end
+            startDate = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
+            endDate = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
+            
+            // Generate month dates
+            const daysInMonth = endDate.getDate();
+            for (let i = 1; i <= daysInMonth; i++) {
+                const date = new Date(currentDate.getFullYear(), currentDate.getMonth(), i);
+                dates.push({
+                    date: formatDateLocal(date),
+                    day: date.toLocaleDateString('en-US', { weekday: 'short' }),
+                    dayNum: date.getDate()
+                });
+            }
+        }
+        
+        // Get teacher's timetable periods for this class to determine period-specific columns
+        const teacherPeriodsOnSameDays = await queryAll(`
+            SELECT DISTINCT tp.*, c.class_name, s.subject_name, s.subject_code, b.batch_name
+            FROM timetable_periods tp
+            JOIN classes c ON tp.class_id = c.id
+            LEFT JOIN subjects s ON tp.subject_id = s.id
+            LEFT JOIN class_batches b ON tp.batch_id = b.id
+            WHERE tp.teacher_id = $1
+            AND tp.class_id = $2
+            AND tp.is_break = false
+            ORDER BY tp.day_of_week, tp.period_number
+        `, [teacherId, classId]);
+        // Columns of the same double period or lab can be filled from one another
+        teacherPeriodsOnSameDays.forEach(period => {
+            period.session_period_ids = getSessionPeriods(teacherPeriodsOnSameDays, period).map(p => p.id);
+        });
+        
+        // Get attendance records for this class marked by THIS TEACHER only
+        const attendanceRecords = await queryAll(`
+            SELECT 
+                a.student_id, 
+                a.date::date as date, 
+                a.status,
+                a.class_id,
+                a.period_id,
+                tp.period_number,
+                tp.start_time,
+                tp.end_time,
+                s.subject_name,
+                s.subject_code
+            FROM attendance a
+            JOIN students st ON a.student_id = st.id
+            LEFT JOIN timetable_periods tp ON a.period_id = tp.id
+            LEFT JOIN subjects s ON tp.subject_id = s.id
+            WHERE st.class_id = $1 
+            AND a.date::date >= $2::date
+            AND a.date::date <= $3::date
+            AND tp.teacher_id = $4
+            ORDER BY a.date::date, st.roll_no
+        `, [classId, formatDateLocal(startDate), formatDateLocal(endDate), teacherId]);
+        
+        console.log(`[${new Date().toISOString()}] Teacher ${req.session.user.name} (ID: ${teacherId}) viewing attendance history for class ${classInfo.class_name} from ${formatDateLocal(startDate)} to ${formatDateLocal(endDate)}`);
+        console.log(`[${new Date().toISOString()}] Found ${attendanceRecords.length} attendance records marked by THIS TEACHER ONLY`);
+        
+        if (attendanceRecords.length > 0) {
+            console.log(`[${new Date().toISOString()}] Sample attendance record:`, attendanceRecords[0]);
+        }
+        
+        // Get bookmarks for the date range
+        const bookmarks = await queryAll(`
+            SELECT b.*, u.name as marked_by_name
+            FROM bookmarks b
+            LEFT JOIN users u ON b.marked_by = u.id
+            WHERE b.class_id = $1
+            AND b.date >= $2 
+            AND b.date <= $3
+            ORDER BY b.date
+        `, [classId, formatDateLocal(startDate), formatDateLocal(endDate)]);
+        
+        // Approved leave for the date range, keyed by student and date
+        const approvedLeaves = await queryAll(`
+            SELECT lr.student_id, lr.from_date, lr.to_date, lr.leave_type, lr.reason
+            FROM leave_requests lr
+            JOIN students st ON lr.student_id = st.id
+            WHERE st.class_id = $1 AND lr.status = 'approved'
+            AND lr.to_date >= $2 AND lr.from_date <= $3
+        `, [classId, formatDateLocal(startDate), formatDateLocal(endDate)]);
+        
+        const leaveGrid = {};
+        approvedLeaves.forEach(leave => {
+            if (!leaveGrid[leave.student_id]) {
+                leaveGrid[leave.student_id] = {};
+            }
+            dates.forEach(dateInfo => {
+                if (dateInfo.date >= formatDateLocal(leave.from_date) && dateInfo.date <= formatDateLocal(leave.to_date)) {
+                    leaveGrid[leave.student_id][dateInfo.date] = `${leave.leave_type} leave: ${leave.reason}`;
+                }
+            });
+        });
+        
+        // Students outside a lab period's batch or an elective's enrollment get no cell for that period
+        const { isRestricted, takesPeriod } = await getPeriodAudience(classId);
+        const periodStudentIds = {};
+        teacherPeriodsOnSameDays.filter(isRestricted).forEach(period => {
+            periodStudentIds[period.id] = students.filter(st => takesPeriod(period, st.id)).map(st => st.id);
+        });
+        
+        // Organize attendance by student, date, and period
+        const attendanceGrid = {};
+        students.forEach(student => {
+            attendanceGrid[student.id] = {};
+            // Initialize with the generated dates
+            dates.forEach(dateInfo => {
+                attendanceGrid[student.id][dateInfo.date] = {};
+                // Initialize with teacher's periods for this day
+                const dayOfWeek = new Date(dateInfo.date).getDay();
+                const adjustedDayOfWeek = dayOfWeek === 0 ? 7 : dayOfWeek;
+                const periodsForThisDay = teacherPeriodsOnSameDays.filter(period => period.day_of_week === adjustedDayOfWeek);
+                
+                if (periodsForThisDay.length > 0) {
+                    periodsForThisDay
+                        .filter(period => takesPeriod(period, student.id))
+                        .forEach(period => {
+                            attendanceGrid[student.id][dateInfo.date][period.id] = null;
+                        });
+                } else {
+                    // If no specific periods, use a general entry
+                    attendanceGrid[student.id][dateInfo.date]['general'] = null;
+                }
+            });
+        });
+        
+        console.log(`[${new Date().toISOString()}] Attendance grid initialized for ${students.length} students and ${dates.length} dates`);
+        
+        // Fill in actual attendance records
+        attendanceRecords.forEach(record => {
+            const recordDate = formatDateLocal(record.date); // Convert to YYYY-MM-DD format (local)
+            
+            // Ensure the student exists in the grid
+            if (!attendanceGrid[record.student_id]) {
+                console.log(`[${new Date().toISOString()}] Student ${record.student_id} not found in attendance grid`);
+                return;
+            }
+            
+            // Create the date entry if it doesn't exist
+            if (!attendanceGrid[record.student_id][recordDate]) {
+                attendanceGrid[record.student_id][recordDate] = {};
+            }
+            
+            // Store attendance by period if available, otherwise by general
+            if (record.period_id && attendanceGrid[record.student_id][recordDate][record.period_id] !== undefined) {
+                attendanceGrid[record.student_id][recordDate][record.period_id] = record.status;
+                console.log(`[${new Date().toISOString()}] Setting attendance for student ${record.student_id} on ${recordDate} for period ${record.period_id}: ${record.status}`);
+            } else {
+                // Fallback to general entry
+                attendanceGrid[record.student_id][recordDate]['general'] = record.status;
+                console.log(`[${new Date().toISOString()}] Setting attendance for student ${record.student_id} on ${recordDate}: ${record.status}`);
+            }
+        });
+        
+        console.log(`[${new Date().toISOString()}] Final attendance grid sample:`, Object.keys(attendanceGrid).slice(0, 2).map(studentId => ({
+            studentId,
+            dates: Object.keys(attendanceGrid[studentId]).slice(0, 3).map(date => ({
+                date,
+                status: attendanceGrid[studentId][date]
+            }))
+        })));
+        
+        // Calculate navigation dates
+        let prevDate, nextDate;
+        if (view === 'week') {
+            prevDate = new Date(startDate);
+            prevDate.setDate(startDate.getDate() - 7);
+            nextDate = new Date(startDate);
+            nextDate.setDate(startDate.getDate() + 7);
+        } else {
+            prevDate = new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
+            nextDate = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1);
+        }
+        
+        const attendanceStatuses = await getAttendanceStatuses();
+        
+        // Lesson log of each period shown, keyed "<date>-<periodId>"
+        const lessonLogRows = await queryAll(`
+            SELECT tp.id as period_id, ll.date, ll.topic, ll.homework, ll.notes
+            FROM lesson_logs ll
+            JOIN timetable_periods tp ON ll.period_id = COALESCE(tp.linked_period_id, tp.id)
+            WHERE tp.id = ANY($1::int[]) AND ll.date >= $2 AND ll.date <= $3
+        `, [teacherPeriodsOnSameDays.map(p => p.id), formatDateLocal(startDate), formatDateLocal(endDate)]);
+        const lessonLogs = {};
+        lessonLogRows.forEach(row => {
+            lessonLogs[`${formatDateLocal(row.date)}-${row.period_id}`] = row;
+        });
+        
+        res.render('teacher/attendance-history', {
+            classInfo,
+            attendanceStatuses,
+            students,
+            dates,
+            attendanceGrid,
+            leaveGrid,
+            lessonLogs,
+            bookmarks,
+            teacherPeriodsOnSameDays,
+            periodStudentIds,
+            view,
+            currentDate: formatDateLocal(currentDate),
+            prevDate: formatDateLocal(prevDate),
+            nextDate: formatDateLocal(nextDate),
+            startDate: formatDateLocal(startDate),
+            endDate: formatDateLocal(endDate),
+            user: req.session.user,
+            error: null
+        });
+    } catch (err) {
+        console.error('Historical attendance error:', err);
+        res.redirect('/teacher/dashboard');
+    }
+});
+
+
+// Bookmark/Festival Management Routes
+
+// Get bookmarks for a class and date range
+app.get('/api/bookmarks/:classId', requireTeacher, async (req, res) => {
+    const classId = req.params.classId;
+    const { startDate, endDate } = req.query;
+    
+    try {
+        let query = `
+            SELECT b.*, u.name as marked_by_name
+            FROM bookmarks b
+            LEFT JOIN users u ON b.marked_by = u.id
+            WHERE b.class_id = $1
+        `;
+        let params = [classId];
+        
+        if (startDate && endDate) {
+            query += ` AND b.date >= $2 AND b.date <= $3`;
+            params.push(startDate, endDate);
+        }
+        
+        query += ` ORDER BY b.date`;
+        
+        const bookmarks = await queryAll(query, params);
+        res.json({ success: true, bookmarks });
+    } catch (err) {
+        console.error('Get bookmarks error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Add or update bookmark
+app.post('/api/bookmarks', requireTeacher, async (req, res) => {
+    const { date, title, description, classId } = req.body;
+    const teacherId = req.session.user.id;
+    
+    try {
+        // Check if bookmark already exists for this date and class
+        const existingBookmark = await queryOne(
+            'SELECT id FROM bookmarks WHERE date = $1 AND class_id = $2',
+            [date, classId]
+        );
+        
+        let result;
+        if (existingBookmark) {
+            // Update existing bookmark
+            result = await query(`
+                UPDATE bookmarks 
+                SET title = $1, description = $2, marked_by = $3
+                WHERE date = $4 AND class_id = $5
+                RETURNING *
+            `, [title, description, teacherId, date, classId]);
+        } else {
+            // Create new bookmark
+            result = await query(`
+                INSERT INTO bookmarks (date, title, description, marked_by, class_id)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING *
+            `, [date, title, description, teacherId, classId]);
+        }
+        
+        res.json({ success: true, bookmark: result.rows[0] });
+    } catch (err) {
+        console.error('Save bookmark error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Delete bookmark
+app.delete('/api/bookmarks/:id', requireTeacher, async (req, res) => {
+    const bookmarkId = req.params.id;
+    
+    try {
+        await query('DELETE FROM bookmarks WHERE id = $1', [bookmarkId]);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete bookmark error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Update bulk attendance
+
+
+// Get attendance reports
+app.get('/teacher/reports/:classId', requireTeacher, async (req, res) => {
+    const classId = req.params.classId;
+    const range = parseReportRangeQuery(req.query, 'week');
+    const teacherId = req.session.user.id;
+    
+    try {
+        // First check if this teacher is assigned to teach this class
+        const teacherAssignment = await queryOne(`
+            SELECT DISTINCT tp.id
+            FROM timetable_periods tp
+            WHERE tp.class_id = $1 AND tp.teacher_id = $2 AND tp.is_break = false
+        `, [classId, teacherId]);
+        
+        if (!teacherAssignment) {
+            console.log(`[${new Date().toISOString()}] Teacher ${req.session.user.name} attempted to access reports for class ${classId} without assignment`);
+            return res.redirect('/teacher/dashboard');
+        }
+        const { startDate, endDate } = await getSubjectReportRange(classId, range.period);
+        let params = [classId, teacherId];
+        
+        // Statuses count according to attendance_status_weights. Excluded statuses and
+        // absences on days covered by approved leave are reported as excused and left
+        // out of the total, so they do not pull the percentage down
+        const onLeave = `EXISTS (
+            SELECT 1 FROM leave_requests lr
+            WHERE lr.student_id = s.id AND lr.status = 'approved'
+            AND a.date BETWEEN lr.from_date AND lr.to_date
+        )`;
+        const isPresent = `sw.weight = 'present'`;
+        const isAbsent = `(sw.weight = 'absent' AND NOT ${onLeave})`;
+        const isExcused = `(sw.weight = 'excluded' OR (sw.weight = 'absent' AND ${onLeave}))`;
+        let query = `
+            SELECT 
+                s.roll_no,
+                s.student_name,
+                SUM(CASE WHEN ${isPresent} OR ${isAbsent} THEN 1 ELSE 0 END) as total_days,
+                SUM(CASE WHEN ${isPresent} THEN 1 ELSE 0 END) as present_days,
+                SUM(CASE WHEN ${isAbsent} THEN 1 ELSE 0 END) as absent_days,
+                SUM(CASE WHEN ${isExcused} THEN 1 ELSE 0 END) as excused_days,
+                ROUND(
+                    (SUM(CASE WHEN ${isPresent} THEN 1 ELSE 0 END) * 100.0 / NULLIF(SUM(CASE WHEN ${isPresent} OR ${isAbsent} THEN 1 ELSE 0 END), 0)), 2
+                ) as attendance_percentage
+            FROM students s
+            LEFT JOIN attendance a ON s.id = a.student_id ${startDate ? 'AND a.date >= $3 AND a.date <= $4' : ''}
+            LEFT JOIN timetable_periods tp ON a.period_id = tp.id
+            LEFT JOIN extra_sessions es ON a.extra_session_id = es.id
+            LEFT JOIN attendance_status_weights sw ON a.status = sw.status
+            WHERE s.class_id = $1 
+            AND (tp.teacher_id = $2 OR es.teacher_id = $2 OR a.id IS NULL)
+        `;
+        
+        // The date window goes in the join so students with no records in it are still listed
+        if (startDate) {
+            params.push(formatDateLocal(startDate), formatDateLocal(endDate));
+        }
+        
+        query += ` GROUP BY s.id, s.roll_no, s.student_name ORDER BY s.roll_no`;
+        
+        console.log('Generated SQL query:', query);
+        console.log('Parameters:', params);
+        
+        const report = await queryAll(query, params);
+        
+        const classInfo = await queryOne('SELECT * FROM classes WHERE id = $1', [classId]);
+        
+        res.render('teacher/reports', { 
+            report, 
+            classInfo, 
+            period: range.preset, 
+            range: { from: range.from, to: range.to, label: getReportRangeLabel(range.period, { startDate, endDate }) },
+            reportPeriods: getReportPeriodOptions(),
+            user: req.session.user,
+            error: range.error 
+        });
+    } catch (err) {
+        console.error('Reports error:', err);
+        res.render('teacher/reports', { 
+            report: [], 
+            classInfo: { class_name: 'Unknown Class' }, 
+            period: range.preset, 
+            range: { from: range.from, to: range.to, label: '' },
+            reportPeriods: getReportPeriodOptions(),
+            user: req.session.user,
+            error: 'Database error' 
+        });
+    }
+});
+
+// Students of the given classes below the threshold percentage overall or in any subject, with the
+// same attended/scheduled counts as the subject-wise class report. period is any report period
+// getSubjectWiseAttendance accepts ('full', { from, to }, ...).
+const getDefaulters = async (classes, period, threshold) => {
+    const defaulters = [];
+    for (const cls of classes) {
+        const subjectReport = await getSubjectWiseAttendance(cls.id, period);
+        const students = await queryAll(`
+            SELECT st.id, st.roll_no, st.student_name, u.register_id
+            FROM students st
+            LEFT JOIN users u ON st.user_id = u.id
+            WHERE st.class_id = $1
+            ORDER BY st.roll_no
+        `, [cls.id]);
+
+        students.forEach(student => {
+            let attendedSum = 0;
+            let totalSum = 0;
+            const subjects = subjectReport.subjects.map(subject => {
+                const attended = (subjectReport.attended[student.id] && subjectReport.attended[student.id][subject.id]) || 0;
+                const total = getStudentSubjectTotal(subjectReport, student.id, subject.id);
+                attendedSum += attended;
+                totalSum += total;
+                return { ...subject, attended, total, percent: total > 0 ? attended / total * 100 : null };
+            }).filter(subject => subject.total > 0);
+
+            const percent = totalSum > 0 ? attendedSum / totalSum * 100 : null;
+            const belowSubjects = subjects.filter(subject => subject.percent < threshold);
+            if ((percent !== null && percent < threshold) || belowSubjects.length > 0) {
+                defaulters.push({
+                    ...student,
+                    class_name: cls.class_name,
+                    attended: attendedSum,
+                    total: totalSum,
+                    percent,
+                    belowSubjects
+                });
+            }
+        });
+    }
+    return defaulters;
+};
+
+// One CSV line; every field is quoted. Text that a spreadsheet would run as a formula (starting with
+// =, +, -, @, tab or carriage return) gets a leading ' so it opens as plain text; numbers are left alone.
+const toCsvLine = (fields) => fields.map(field => {
+    let value = String(field === null || field === undefined ? '' : field);
+    if (/^[=+\-@\t\r]/.test(value) && !/^-?\d+(\.\d+)?$/.test(value)) {
+        value = `'${value}`;
+    }
+    return `"${value.replace(/"/g, '""')}"`;
+}).join(',');
+
+// Minimal PDF for plain-text reports: A4 landscape pages of 9pt Courier lines (about 140 characters
+// wide), with a page number at the foot of each page. Characters outside printable ASCII become '?'.
+const buildTextPdf = (lines) => {
+    const pageWidth = 842;
+    const pageHeight = 595;
+    const margin = 36;
+    const fontSize = 9;
+    const lineHeight = 12;
+    const linesPerPage = Math.floor((pageHeight - 2 * margin - lineHeight) / lineHeight);
+    const escape = (text) => String(text).replace(/[^\x20-\x7e]/g, '?').replace(/([\\()])/g, '\\$1');
+
+    const pages = [];
+    for (let i = 0; i < lines.length; i += linesPerPage) {
+        pages.push(lines.slice(i, i + linesPerPage));
+    }
+    if (pages.length === 0) {
+        pages.push([]);
+    }
+
+    // Objects 1-3: catalog, page tree (filled in below) and font; then a content stream and page per page
+    const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null, '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>'];
+    const pageRefs = [];
+    pages.forEach((pageLines, index) => {
+        const content = [
+            `BT /F1 ${fontSize} Tf ${lineHeight} TL ${margin} ${pageHeight - margin - fontSize} Td`,
+            ...pageLines.map(line => `(${escape(line)}) Tj T*`),
+            'ET',
+            `BT /F1 ${fontSize} Tf ${pageWidth - margin - 90} ${margin - fontSize} Td (${escape(`Page ${index + 1} of ${pages.length}`)}) Tj ET`
+        ].join('\n');
+        objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length} 0 R >>`);
+        pageRefs.push(objects.length);
+    });
+    objects[1] = `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+};
+
+// Defaulter report for a set of classes the user may see: ?classId (a class or 'all'), the report
+// period (see parseReportRangeQuery), threshold and format (csv / pdf for the exam cell, otherwise the HTML page)
+const sendDefaulterReport = async (req, res, classes) => {
+    const range = parseReportRangeQuery(req.query, 'full');
+    const filters = {
+        classId: req.query.classId || 'all',
+        period: range.preset,
+        from: range.from,
+        to: range.to,
+        threshold: req.query.threshold || String(ATTENDANCE_THRESHOLD)
+    };
+    const render = (defaulters, rangeLabel, error) => res.render('defaulters', {
+        classes, filters, defaulters, rangeLabel, reportPeriods: getReportPeriodOptions(), user: req.session.user, error
+    });
+
+    const threshold = parseFloat(filters.threshold);
+    if (isNaN(threshold) || threshold <= 0 || threshold > 100) {
+        return render([], '', 'Threshold must be a percentage between 1 and 100');
+    }
+    if (range.error) {
+        return render([], '', range.error);
+    }
+    const selected = filters.classId === 'all' ? classes : classes.filter(c => String(c.id) === String(filters.classId));
+    if (selected.length === 0) {
+        return render([], '', 'Class not found');
+    }
+
+    // Without TERM_START_DATE the semester start differs per class, so a several-class label names no dates
+    const rangeLabel = getReportRangeLabel(range.period, await getSubjectReportRange(selected.length === 1 ? selected[0].id : null, range.period));
+    const defaulters = await getDefaulters(selected, range.period, threshold);
+
+    const scope = filters.classId === 'all' ? (req.session.user.role === 'admin' ? 'All classes' : 'All my classes') : selected[0].class_name;
+    const formatPercent = (value) => value === null ? '-' : value.toFixed(1);
+    const belowText = (student) => student.belowSubjects
+        .map(s => `${s.subject_code || s.subject_name} ${s.attended}/${s.total} (${formatPercent(s.percent)}%)`)
+        .join('; ');
+    const fileName = `defaulters-${scope.replace(/[^A-Za-z0-9]+/g, '-')}-${range.preset === 'custom' ? `${range.from}-${range.to}` : range.preset}`.toLowerCase();
+
+    if (req.query.format === 'csv') {
+        const lines = [toCsvLine(['S.No', 'Register ID', 'Roll No', 'Student Name', 'Class', 'Attended', 'Total', 'Overall %', `Subjects Below ${threshold}%`])];
+        defaulters.forEach((student, index) => {
+            lines.push(toCsvLine([index + 1, student.register_id, student.roll_no, student.student_name, student.class_name,
+                student.attended, student.total, formatPercent(student.percent), belowText(student)]));
+        });
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${fileName}.csv"`
+        });
+        return res.send(lines.join('\r\n') + '\r\n');
+    }
+
+    if (req.query.format === 'pdf') {
+        const pad = (value, width) => String(value === null || value === undefined ? '' : value).slice(0, width).padEnd(width);
+        const header = `${pad('S.No', 5)} ${pad('Register ID', 14)} ${pad('Roll', 5)} ${pad('Student Name', 24)} ${pad('Class', 12)} ${pad('Overall', 17)} Subjects below ${threshold}%`;
+        const belowWidth = 140 - header.indexOf('Subjects below');
+        const lines = [
+            'ATTENDANCE DEFAULTER LIST - IT DEPARTMENT',
+            '',
+            `Class: ${scope}    Period: ${rangeLabel}    Threshold: ${threshold}%    Generated: ${getCurrentDateIST()}`,
+            '',
+            header,
+            '-'.repeat(140)
+        ];
+        defaulters.forEach((student, index) => {
+            const overall = `${student.attended}/${student.total} ${formatPercent(student.percent)}%`;
+            // Wrap the subject list onto continuation lines under its own column
+            const below = student.belowSubjects.map(s => `${s.subject_code || s.subject_name} ${s.attended}/${s.total} (${formatPercent(s.percent)}%)`);
+            const chunks = [''];
+            below.forEach(item => {
+                const last = chunks.length - 1;
+                if (chunks[last] && (chunks[last] + '; ' + item).length > belowWidth) {
+                    chunks.push(item);
+                } else {
+                    chunks[last] = chunks[last] ? chunks[last] + '; ' + item : item;
+                }
+            });
+            lines.push(`${pad(index + 1, 5)} ${pad(student.register_id, 14)} ${pad(student.roll_no, 5)} ${pad(student.student_name, 24)} ${pad(student.class_name, 12)} ${pad(overall, 17)} ${chunks[0]}`);
+            chunks.slice(1).forEach(chunk => lines.push(' '.repeat(140 - belowWidth) + chunk));
+        });
+        if (defaulters.length === 0) {
+            lines.push('No students below the threshold.');
+        }
+        lines.push('', `Total defaulters: ${defaulters.length}`, '', '', '', `${pad('Class Teacher', 50)}${pad('HOD', 50)}Exam Cell`);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${fileName}.pdf"`
+        });
+        return res.send(buildTextPdf(lines));
+    }
+
+    render(defaulters, rangeLabel, null);
+};
+
+// Defaulter list for the classes this teacher teaches
+app.get('/teacher/defaulters', requireTeacher, async (req, res) => {
+    try {
+        const classes = await queryAll(`
+            SELECT DISTINCT c.id, c.class_name, c.year, c.section
+            FROM classes c
+            JOIN timetable_periods tp ON tp.class_id = c.id
+            WHERE tp.teacher_id = $1 AND tp.is_break = false
+            ORDER BY c.year, c.section
+        `, [req.session.user.id]);
+        await sendDefaulterReport(req, res, classes);
+    } catch (err) {
+        console.error('Teacher defaulters error:', err);
+        res.render('defaulters', { classes: [], filters: {}, defaulters: [], rangeLabel: '', reportPeriods: getReportPeriodOptions(), user: req.session.user, error: 'Database error' });
+    }
+});
+
+app.get('/teacher/class-report/:classId', requireTeacher, async (req, res) => {
+    const classId = req.params.classId;
+    const teacherId = req.session.user.id;
+    const range = parseReportRangeQuery(req.query, 'full');
+
+    try {
+        // First check if this teacher is assigned to teach this class
+        const teacherAssignment = await queryOne(`
+            SELECT DISTINCT tp.id
+            FROM timetable_periods tp
+            WHERE tp.class_id = $1 AND tp.teacher_id = $2 AND tp.is_break = false
+        `, [classId, teacherId]);
+
+        if (!teacherAssignment) {
+            return res.redirect('/teacher/dashboard');
+        }
+
+        // Get all students in the class
+        const students = await queryAll(`
+            SELECT id, roll_no, student_name
+            FROM students
+            WHERE class_id = $1
+            ORDER BY roll_no
+        `, [classId]);
+
+        const subjectReport = await getSubjectWiseAttendance(classId, range.period);
+        const { subjects, attended } = subjectReport;
+
+        const report = students.map(student => {
+            const studentReport = {
+                roll_no: student.roll_no,
+                student_name: student.student_name,
+                subjects: {}
+            };
+            subjects.forEach(subject => {
+                const attendedCount = (attended[student.id] && attended[student.id][subject.id]) || 0;
+                const total = getStudentSubjectTotal(subjectReport, student.id, subject.id);
+                studentReport.subjects[subject.subject_name] = `${attendedCount}/${total}`;
+            });
+            return studentReport;
+        });
+
+        const classInfo = await queryOne('SELECT * FROM classes WHERE id = $1', [classId]);
+
+        res.render('teacher/class-report', {
+            report,
+            classInfo,
+            subjects,
+            period: range.preset,
+            range: { from: range.from, to: range.to, label: getReportRangeLabel(range.period, subjectReport) },
+            reportPeriods: getReportPeriodOptions(),
+            user: req.session.user,
+            error: range.error
+        });
+    } catch (err) {
+        console.error('Reports error:', err);
+        res.render('teacher/class-report', {
+            report: [],
+            classInfo: { class_name: 'Unknown Class' },
+            subjects: [],
+            period: range.preset,
+            range: { from: range.from, to: range.to, label: '' },
+            reportPeriods: getReportPeriodOptions(),
+            user: req.session.user,
+            error: 'Database error'
+        });
+    }
+});
+
+// Admin (HOD) routes
+app.get('/admin/dashboard', requireAdmin, async (req, res) => {
+    try {
+        const stats = await queryOne(`
+            SELECT 
+                (SELECT COUNT(*) FROM users WHERE role = 'teacher') as teachers,
+                (SELECT COUNT(*) FROM users WHERE role = 'student') as students,
+                (SELECT COUNT(*) FROM classes) as classes,
+                (SELECT COUNT(*) FROM students) as total_students
+        `);
+        console.log('Dashboard stats:', stats); // Debug log
+        const syllabusCoverage = await getSyllabusCoverage();
+        res.render('admin/dashboard', { stats, syllabusCoverage, user: req.session.user, error: null });
+    } catch (err) {
+        console.error('Admin dashboard error:', err);
+        res.render('admin/dashboard', { stats: {}, syllabusCoverage: [], user: req.session.user, error: 'Database error' });
+    }
+});
+
+// Manage Classes
+app.get('/admin/classes', requireAdmin, async (req, res) => {
+    try {
+        // Prevent caching of this page
+        res.set({
+            'Cache-Control': 'no-cache, no-store, must-revalidate',
+            'Pragma': 'no-cache',
+            'Expires': '0'
+        });
+        
+        const classes = await queryAll(`
+            SELECT c.*, u.name as teacher_name 
+            FROM classes c 
+            LEFT JOIN users u ON c.teacher_id = u.id 
             ORDER BY c.year, c.section
-        `, [req.session.user.id]);
+        `);
+        const teachers = await queryAll('SELECT * FROM users WHERE role = \'teacher\' ORDER BY name');
+        res.render('admin/classes', { classes, teachers, user: req.session.user, error: null });
+    } catch (err) {
+        console.error('Classes error:', err);
+        res.render('admin/classes', { classes: [], teachers: [], user: req.session.user, error: 'Database error' });
+    }
+});
+
+// Assign teacher to class
+app.post('/admin/classes/assign-teacher', requireAdmin, async (req, res) => {
+    const { class_id, teacher_id } = req.body;
+    
+    try {
+        await query(
+            'UPDATE classes SET teacher_id = $1 WHERE id = $2',
+            [teacher_id, class_id]
+        );
+        
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Assign teacher error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Create new class
+app.post('/admin/classes/create', requireAdmin, async (req, res) => {
+    const { year, section } = req.body;
+    
+    console.log(`Attempting to create class: Year=${year}, Section=${section}`);
+    
+    try {
+        // Validate input
+        if (!year || !section) {
+            console.log('Missing year or section');
+            return res.redirect('/admin/classes?error=Year and Section are required');
+        }
+        
+        // Check if class already exists
+        const existingClass = await queryOne(
+            'SELECT id, class_name FROM classes WHERE year = $1 AND section = $2',
+            [year, section]
+        );
+        
+        if (existingClass) {
+            console.log(`Class already exists: ${existingClass.class_name}`);
+            return res.redirect('/admin/classes?error=Class already exists for this year and section');
+        }
+        
+        const className = `${year}${year == 1 ? 'st' : year == 2 ? 'nd' : year == 3 ? 'rd' : 'th'} Year IT-${section}`;
+        console.log(`Creating class: ${className}`);
+        
+        const result = await query(`
+            INSERT INTO classes (class_name, year, section, total_students)
+            VALUES ($1, $2, $3, 0)
+            RETURNING id, class_name
+        `, [className, year, section]);
+        
+        console.log(`Successfully created class: ${result.rows[0].class_name} with ID: ${result.rows[0].id}`);
+        res.redirect('/admin/classes?success=Class created successfully');
+        
+    } catch (err) {
+        console.error('Create class error:', err);
+        console.error('Error details:', err.message);
+        console.error('Error code:', err.code);
+        
+        let errorMessage = 'Failed to create class';
+        if (err.code === '23505') {
+            errorMessage = 'Class with this year and section already exists';
+        }
+        
+        res.redirect('/admin/classes?error=' + encodeURIComponent(errorMessage));
+    }
+});
+
+// Manage Subjects
+app.get('/admin/subjects', requireAdmin, async (req, res) => {
+    try {
+        const subjects = await queryAll('SELECT * FROM subjects ORDER BY subject_name');
+        res.render('admin/subjects', { subjects, user: req.session.user, error: null, success: null });
+    } catch (err) {
+        console.error('Subjects error:', err);
+        res.render('admin/subjects', { subjects: [], user: req.session.user, error: 'Database error', success: null });
+    }
+});
+
+// Create new subject
+app.post('/admin/subjects/create', requireAdmin, async (req, res) => {
+    const { subject_name, subject_code, subject_type } = req.body;
+    
+    try {
+        await query(`
+            INSERT INTO subjects (subject_name, subject_code, subject_type)
+            VALUES ($1, $2, $3)
+        `, [subject_name, subject_code, subject_type]);
+        
+        res.redirect('/admin/subjects?success=Subject created successfully');
+    } catch (err) {
+        console.error('Create subject error:', err);
+        res.redirect('/admin/subjects?error=Failed to create subject');
+    }
+});
+
+// Edit subject
+app.put('/admin/subjects/edit/:id', requireAdmin, async (req, res) => {
+    const subjectId = req.params.id;
+    const { subject_name, subject_code, subject_type } = req.body;
+    
+    try {
+        await query(`
+            UPDATE subjects 
+            SET subject_name = $1, subject_code = $2, subject_type = $3
+            WHERE id = $4
+        `, [subject_name, subject_code, subject_type, subjectId]);
+        
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Edit subject error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Delete subject
+app.delete('/admin/subjects/delete/:id', requireAdmin, async (req, res) => {
+    const subjectId = req.params.id;
+    
+    try {
+        // First check if subject is used in any timetables
+        const usageCheck = await queryOne(
+            'SELECT COUNT(*) as count FROM timetable_periods WHERE subject_id = $1', 
+            [subjectId]
+        );
+        
+        if (parseInt(usageCheck.count) > 0) {
+            return res.json({ success: false, error: 'Cannot delete subject as it is used in timetables' });
+        }
+        
+        const extraUsage = await queryOne('SELECT COUNT(*) as count FROM extra_sessions WHERE subject_id = $1', [subjectId]);
+        if (parseInt(extraUsage.count) > 0) {
+            return res.json({ success: false, error: 'Cannot delete subject as it is used in extra sessions' });
+        }
+        
+        await query('DELETE FROM subjects WHERE id = $1', [subjectId]);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete subject error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Timetable Management Routes
+
+// Get timetable management page
+app.get('/admin/timetable', requireAdmin, async (req, res) => {
+    try {
+        const classes = await queryAll(`
+            SELECT c.*, COUNT(s.id) as student_count 
+            FROM classes c 
+            LEFT JOIN students s ON c.id = s.class_id 
+            GROUP BY c.id, c.class_name, c.year, c.section, c.teacher_id, c.total_students, c.created_at 
+            ORDER BY c.year, c.section
+        `);
+        
+        const subjects = await queryAll('SELECT * FROM subjects ORDER BY subject_name');
+        const teachers = await queryAll('SELECT id, name FROM users WHERE role = \'teacher\' ORDER BY name');
+        
+        res.render('admin/timetable', { 
+            classes, 
+            subjects, 
+            teachers, 
+            user: req.session.user, 
+            error: null 
+        });
+    } catch (err) {
+        console.error('Timetable page error:', err);
+        res.render('admin/timetable', { 
+            classes: [], 
+            subjects: [], 
+            teachers: [], 
+            user: req.session.user, 
+            error: 'Database error' 
+        });
+    }
+});
+
+// Get timetable for a specific class
+app.get('/api/timetable/:classId', requireAdmin, async (req, res) => {
+    const classId = req.params.classId;
+    
+    try {
+        const timetable = await queryAll(`
+            SELECT 
+                tp.*,
+                s.subject_name,
+                s.subject_code,
+                s.subject_type,
+                u.name as teacher_name,
+                b.batch_name,
+                pc.class_name as primary_class_name,
+                linked.class_ids as linked_class_ids,
+                linked.class_names as linked_class_names
+            FROM timetable_periods tp
+            LEFT JOIN subjects s ON tp.subject_id = s.id
+            LEFT JOIN users u ON tp.teacher_id = u.id
+            LEFT JOIN class_batches b ON tp.batch_id = b.id
+            LEFT JOIN timetable_periods ptp ON tp.linked_period_id = ptp.id
+            LEFT JOIN classes pc ON ptp.class_id = pc.id
+            LEFT JOIN LATERAL (
+                SELECT ARRAY_AGG(ltp.class_id) as class_ids,
+                       STRING_AGG(lc.class_name, ', ' ORDER BY lc.year, lc.section) as class_names
+                FROM timetable_periods ltp
+                JOIN classes lc ON ltp.class_id = lc.id
+                WHERE ltp.linked_period_id = tp.id
+            ) linked ON true
+            WHERE tp.class_id = $1
+            ORDER BY tp.day_of_week, tp.period_number
+        `, [classId]);
+        
+        const batches = await queryAll('SELECT id, batch_name FROM class_batches WHERE class_id = $1 ORDER BY batch_name', [classId]);
+        
+        // Organize timetable by days
+        const organizedTimetable = {};
+        const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+        
+        days.forEach((day, index) => {
+            organizedTimetable[index + 1] = {
+                day: day,
+                periods: timetable.filter(period => period.day_of_week === index + 1)
+            };
+        });
+        
+        res.json({ success: true, timetable: organizedTimetable, batches });
+    } catch (err) {
+        console.error('Get timetable error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Check that every class a period is combined with has that slot free (or already holds this
+// period's linked copy). Returns an error message, or null on success.
+const validateCombinedClasses = async (primaryId, classId, dayOfWeek, periodNumber, linkedClassIds) => {
+    for (const linkedClassId of linkedClassIds) {
+        if (linkedClassId === parseInt(classId)) {
+            return 'A period cannot be combined with its own class';
+        }
+        const slot = await queryOne(`
+            SELECT c.class_name, tp.id, tp.linked_period_id
+            FROM classes c
+            LEFT JOIN timetable_periods tp ON tp.class_id = c.id AND tp.day_of_week = $2 AND tp.period_number = $3
+            WHERE c.id = $1
+        `, [linkedClassId, dayOfWeek, periodNumber]);
+        if (!slot) {
+            return 'Class not found';
+        }
+        if (slot.id && (!primaryId || slot.linked_period_id !== primaryId)) {
+            return `${slot.class_name} already has period ${periodNumber} on this day`;
+        }
+    }
+    return null;
+};
+
+// Keep the linked copies of a combined period in step with the primary: same time, subject
+// and teacher in every combined class. Copies for classes no longer combined are removed, along with
+// their attendance (audited as changed by changedBy).
+const syncCombinedPeriods = async (primary, linkedClassIds, changedBy) => {
+    const classIds = primary.is_break ? [] : linkedClassIds;
+    const removedCopies = await queryAll(
+        'SELECT id FROM timetable_periods WHERE linked_period_id = $1 AND NOT (class_id = ANY($2::int[]))',
+        [primary.id, classIds]
+    );
+    if (removedCopies.length > 0) {
+        await deleteAttendanceAudited('period_id', removedCopies.map(p => p.id), changedBy,
+            '/api/timetable/period', 'Class no longer combined with this period');
+    }
+    await query(
+        'DELETE FROM timetable_periods WHERE linked_period_id = $1 AND NOT (class_id = ANY($2::int[]))',
+        [primary.id, classIds]
+    );
+    for (const linkedClassId of classIds) {
+        const updated = await query(`
+            UPDATE timetable_periods
+            SET start_time = $3, end_time = $4, subject_id = $5, teacher_id = $6
+            WHERE linked_period_id = $1 AND class_id = $2
+        `, [primary.id, linkedClassId, primary.start_time, primary.end_time, primary.subject_id, primary.teacher_id]);
+        if (updated.rowCount === 0) {
+            await query(`
+                INSERT INTO timetable_periods
+                (class_id, day_of_week, period_number, start_time, end_time, subject_id, teacher_id, is_break, linked_period_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, false, $8)
+            `, [linkedClassId, primary.day_of_week, primary.period_number, primary.start_time, primary.end_time,
+                primary.subject_id, primary.teacher_id, primary.id]);
+        }
+    }
+};
+
+// Add or update timetable period
+app.post('/api/timetable/period', requireAdmin, async (req, res) => {
+    const { 
+        class_id, 
+        day_of_week, 
+        period_number, 
+        start_time, 
+        end_time, 
+        subject_id, 
+        teacher_id, 
+        is_break, 
+        break_name,
+        batch_id,
+        linked_class_ids
+    } = req.body;
+    
+    try {
+        // Only lab periods can be limited to one batch of the class
+        if (batch_id && !is_break) {
+            const batch = await queryOne('SELECT id FROM class_batches WHERE id = $1 AND class_id = $2', [batch_id, class_id]);
+            if (!batch) {
+                return res.json({ success: false, error: 'Batch not found for this class' });
+            }
+            const subject = await queryOne('SELECT subject_type FROM subjects WHERE id = $1', [subject_id || null]);
+            if (!subject || subject.subject_type !== 'lab') {
+                return res.json({ success: false, error: 'Batches can only be assigned to lab subjects' });
+            }
+        }
+        const periodBatchId = (batch_id && !is_break) ? batch_id : null;
         
-        // If no assigned classes, use the fallback classes
-        if (allAssignedClasses.length === 0) {
-            allAssignedClasses = allClasses;
+        // Check if period already exists
+        const existingPeriod = await queryOne(
+            'SELECT id, linked_period_id FROM timetable_periods WHERE class_id = $1 AND day_of_week = $2 AND period_number = $3',
+            [class_id, day_of_week, period_number]
+        );
+        if (existingPeriod && existingPeriod.linked_period_id) {
+            return res.json({ success: false, error: 'This is a combined period. Edit it from the class it is linked to.' });
+        }
+        
+        // Classes taught together with this one; keep the current ones when none are sent
+        let linkedClassIds;
+        if (Array.isArray(linked_class_ids)) {
+            linkedClassIds = [...new Set(linked_class_ids.map(id => parseInt(id)).filter(id => !isNaN(id)))];
+        } else {
+            const linkedRows = existingPeriod
+                ? await queryAll('SELECT class_id FROM timetable_periods WHERE linked_period_id = $1', [existingPeriod.id])
+                : [];
+            linkedClassIds = linkedRows.map(row => row.class_id);
+        }
+        if (linkedClassIds.length > 0 && !is_break) {
+            if (periodBatchId) {
+                return res.json({ success: false, error: 'A batch period cannot be combined with other classes' });
+            }
+            const combineError = await validateCombinedClasses(
+                existingPeriod ? existingPeriod.id : null, class_id, day_of_week, period_number, linkedClassIds
+            );
+            if (combineError) {
+                return res.json({ success: false, error: combineError });
+            }
+        }
+        
+        let result;
+        if (existingPeriod) {
+            // Update existing period
+            result = await query(`
+                UPDATE timetable_periods 
+                SET start_time = $1, end_time = $2, subject_id = $3, teacher_id = $4, 
+                    is_break = $5, break_name = $6, batch_id = $10
+                WHERE class_id = $7 AND day_of_week = $8 AND period_number = $9
+                RETURNING *
+            `, [start_time, end_time, subject_id || null, teacher_id || null, 
+                is_break || false, break_name || null, class_id, day_of_week, period_number, periodBatchId]);
+        } else {
+            // Create new period
+            result = await query(`
+                INSERT INTO timetable_periods 
+                (class_id, day_of_week, period_number, start_time, end_time, subject_id, teacher_id, is_break, break_name, batch_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                RETURNING *
+            `, [class_id, day_of_week, period_number, start_time, end_time, 
+                subject_id || null, teacher_id || null, is_break || false, break_name || null, periodBatchId]);
+        }
+        
+        await syncCombinedPeriods(result.rows[0], linkedClassIds, req.session.user.id);
+        
+        res.json({ success: true, period: result.rows[0] });
+    } catch (err) {
+        console.error('Save timetable period error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Delete timetable period with cascade deletion of attendance records
+app.delete('/api/timetable/period/:periodId', requireAdmin, async (req, res) => {
+    const periodId = req.params.periodId;
+    
+    try {
+        // First, get period details for logging
+        const periodDetails = await queryOne(`
+            SELECT tp.*, c.class_name, s.subject_name, u.name as teacher_name
+            FROM timetable_periods tp 
+            LEFT JOIN classes c ON tp.class_id = c.id 
+            LEFT JOIN subjects s ON tp.subject_id = s.id 
+            LEFT JOIN users u ON tp.teacher_id = u.id
+            WHERE tp.id = $1
+        `, [periodId]);
+        
+        if (!periodDetails) {
+            return res.status(404).json({ success: false, error: 'Period not found' });
+        }
+        
+        console.log(`[${new Date().toISOString()}] HOD deleting period: ${periodDetails.class_name} - ${periodDetails.subject_name || 'Break'} (Day ${periodDetails.day_of_week}, Period ${periodDetails.period_number})`);
+        
+        // Delete the period's attendance (and its combined copies') with an audit entry for each record,
+        // rather than leaving it to the CASCADE on attendance.period_id
+        const attendanceDeleted = await deleteAttendanceAudited('period_id', periodId, req.session.user.id, '/api/timetable/period', 'Timetable period deleted');
+        await query('DELETE FROM timetable_periods WHERE id = $1', [periodId]);
+        
+        console.log(`[${new Date().toISOString()}] Period and ${attendanceDeleted} attendance records deleted successfully`);
+        
+        res.json({ 
+            success: true, 
+            message: `Period deleted successfully. ${attendanceDeleted} attendance records were also removed.`,
+            deletedAttendanceCount: attendanceDeleted
+        });
+    } catch (err) {
+        console.error('Delete timetable period error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Lab batches: named subsets of a class that a lab period can be attached to
+app.get('/admin/batches', requireAdmin, async (req, res) => {
+    try {
+        const classes = await queryAll('SELECT id, class_name FROM classes ORDER BY year, section');
+        const classId = req.query.classId || (classes[0] && classes[0].id);
+        let students = [];
+        let batches = [];
+
+        if (classId) {
+            students = await queryAll('SELECT id, roll_no, student_name FROM students WHERE class_id = $1 ORDER BY roll_no', [classId]);
+            batches = await queryAll(`
+                SELECT b.id, b.batch_name,
+                       COALESCE(ARRAY_AGG(bs.student_id) FILTER (WHERE bs.student_id IS NOT NULL), '{}') as student_ids,
+                       (SELECT COUNT(*) FROM timetable_periods tp WHERE tp.batch_id = b.id) as period_count
+                FROM class_batches b
+                LEFT JOIN batch_students bs ON bs.batch_id = b.id
+                WHERE b.class_id = $1
+                GROUP BY b.id, b.batch_name
+                ORDER BY b.batch_name
+            `, [classId]);
+        }
+
+        res.render('admin/batches', { classes, classId: classId ? String(classId) : null, students, batches, user: req.session.user, error: null });
+    } catch (err) {
+        console.error('Batches page error:', err);
+        res.render('admin/batches', { classes: [], classId: null, students: [], batches: [], user: req.session.user, error: 'Database error' });
+    }
+});
+
+// Create a batch, optionally filled with a roll number range
+app.post('/admin/batches', requireAdmin, async (req, res) => {
+    const { class_id, batch_name, roll_from, roll_to } = req.body;
+    try {
+        if (!class_id || !batch_name || !batch_name.trim()) {
+            return res.json({ success: false, error: 'Class and batch name are required' });
+        }
+
+        const batch = await queryOne(
+            'INSERT INTO class_batches (class_id, batch_name) VALUES ($1, $2) RETURNING id',
+            [class_id, batch_name.trim()]
+        );
+
+        if (roll_from && roll_to) {
+            await query(`
+                INSERT INTO batch_students (batch_id, student_id)
+                SELECT $1, id FROM students
+                WHERE class_id = $2 AND roll_no BETWEEN $3 AND $4
+            `, [batch.id, class_id, roll_from, roll_to]);
+        }
+
+        res.json({ success: true, batchId: batch.id });
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.json({ success: false, error: 'A batch with this name already exists for the class' });
+        }
+        console.error('Create batch error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Replace the members of a batch with an explicit list of students
+app.post('/admin/batches/:id/members', requireAdmin, async (req, res) => {
+    const studentIds = Array.isArray(req.body.student_ids) ? req.body.student_ids : [];
+    try {
+        const batch = await queryOne('SELECT id, class_id FROM class_batches WHERE id = $1', [req.params.id]);
+        if (!batch) {
+            return res.json({ success: false, error: 'Batch not found' });
+        }
+
+        await query('DELETE FROM batch_students WHERE batch_id = $1', [batch.id]);
+        if (studentIds.length > 0) {
+            await query(`
+                INSERT INTO batch_students (batch_id, student_id)
+                SELECT $1, id FROM students
+                WHERE class_id = $2 AND id = ANY($3::int[])
+            `, [batch.id, batch.class_id, studentIds]);
+        }
+
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Update batch members error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+app.post('/admin/batches/:id/delete', requireAdmin, async (req, res) => {
+    try {
+        // Periods attached to the batch go back to the whole class (ON DELETE SET NULL)
+        await query('DELETE FROM class_batches WHERE id = $1', [req.params.id]);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete batch error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Elective enrollment: which students (from any section) take an elective subject
+app.get('/admin/enrollments', requireAdmin, async (req, res) => {
+    try {
+        const electives = await queryAll(`
+            SELECT s.id, s.subject_name, s.subject_code,
+                   (SELECT COUNT(*) FROM subject_enrollments se WHERE se.subject_id = s.id) as enrolled_count
+            FROM subjects s
+            WHERE s.subject_type = 'elective'
+            ORDER BY s.subject_name
+        `);
+        const subjectId = req.query.subjectId || (electives[0] && electives[0].id);
+        let students = [];
+
+        if (subjectId) {
+            students = await queryAll(`
+                SELECT st.id, st.roll_no, st.student_name, c.id as class_id, c.class_name, u.register_id,
+                       (se.student_id IS NOT NULL) as enrolled
+                FROM students st
+                JOIN classes c ON st.class_id = c.id
+                LEFT JOIN users u ON st.user_id = u.id
+                LEFT JOIN subject_enrollments se ON se.student_id = st.id AND se.subject_id = $1
+                ORDER BY c.year, c.section, st.roll_no
+            `, [subjectId]);
+        }
+
+        res.render('admin/enrollments', { electives, subjectId: subjectId ? String(subjectId) : null, students, user: req.session.user, error: null });
+    } catch (err) {
+        console.error('Enrollments page error:', err);
+        res.render('admin/enrollments', { electives: [], subjectId: null, students: [], user: req.session.user, error: 'Database error' });
+    }
+});
+
+// Replace the enrolled students of an elective
+app.post('/admin/enrollments/:subjectId', requireAdmin, async (req, res) => {
+    const studentIds = Array.isArray(req.body.student_ids) ? req.body.student_ids : [];
+    try {
+        const subject = await queryOne('SELECT id FROM subjects WHERE id = $1 AND subject_type = \'elective\'', [req.params.subjectId]);
+        if (!subject) {
+            return res.json({ success: false, error: 'Elective subject not found' });
+        }
+
+        await query('DELETE FROM subject_enrollments WHERE subject_id = $1', [subject.id]);
+        if (studentIds.length > 0) {
+            await query(`
+                INSERT INTO subject_enrollments (subject_id, student_id)
+                SELECT $1, id FROM students WHERE id = ANY($2::int[])
+            `, [subject.id, studentIds]);
+        }
+
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Save enrollments error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Bulk import: enroll students by register ID (one per line, or comma separated)
+app.post('/admin/enrollments/:subjectId/import', requireAdmin, async (req, res) => {
+    const registerIds = String(req.body.register_ids || '')
+        .split(/[\s,;]+/)
+        .map(id => id.trim())
+        .filter(Boolean);
+    try {
+        const subject = await queryOne('SELECT id FROM subjects WHERE id = $1 AND subject_type = \'elective\'', [req.params.subjectId]);
+        if (!subject) {
+            return res.json({ success: false, error: 'Elective subject not found' });
+        }
+        if (registerIds.length === 0) {
+            return res.json({ success: false, error: 'No register IDs given' });
+        }
+
+        const matched = await queryAll(`
+            SELECT st.id, u.register_id
+            FROM students st
+            JOIN users u ON st.user_id = u.id
+            WHERE u.register_id = ANY($1::text[])
+        `, [registerIds]);
+        const result = await query(`
+            INSERT INTO subject_enrollments (subject_id, student_id)
+            SELECT $1, UNNEST($2::int[])
+            ON CONFLICT DO NOTHING
+        `, [subject.id, matched.map(m => m.id)]);
+
+        const found = new Set(matched.map(m => m.register_id));
+        const notFound = registerIds.filter(id => !found.has(id));
+
+        console.log(`[${new Date().toISOString()}] Imported ${result.rowCount} enrollments for subject ${subject.id}`);
+        res.json({ success: true, added: result.rowCount, notFound });
+    } catch (err) {
+        console.error('Import enrollments error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Manage Teachers
+app.get('/admin/teachers', requireAdmin, async (req, res) => {
+    try {
+        const teachers = await queryAll('SELECT * FROM users WHERE role = \'teacher\' ORDER BY name');
+        res.render('admin/teachers', { teachers, user: req.session.user, error: null });
+    } catch (err) {
+        console.error('Teachers error:', err);
+        res.render('admin/teachers', { teachers: [], user: req.session.user, error: 'Database error' });
+    }
+});
+
+// Add new teacher
+app.post('/admin/teachers/create', requireAdmin, async (req, res) => {
+    const { name, register_id } = req.body;
+    try {
+        const username = register_id;
+        const password = await bcrypt.hash(register_id, 10); // Default password is register_id
+        
+        await query(`
+            INSERT INTO users (username, password, role, name, register_id)
+            VALUES ($1, $2, 'teacher', $3, $4)
+        `, [username, password, name, register_id]);
+        
+        res.redirect('/admin/teachers');
+    } catch (err) {
+        console.error('Create teacher error:', err);
+        res.redirect('/admin/teachers?error=Failed to create teacher');
+    }
+});
+
+// Manage Students
+app.get('/admin/students', requireAdmin, async (req, res) => {
+    try {
+        const classes = await queryAll('SELECT * FROM classes ORDER BY year, section');
+        const students = await queryAll(`
+            SELECT s.*, c.class_name, u.username 
+            FROM students s 
+            JOIN classes c ON s.class_id = c.id
+            LEFT JOIN users u ON s.user_id = u.id
+            ORDER BY c.year, c.section, s.roll_no
+        `);
+        res.render('admin/students', { classes, students, user: req.session.user, error: null });
+    } catch (err) {
+        console.error('Students error:', err);
+        res.render('admin/students', { classes: [], students: [], user: req.session.user, error: 'Database error' });
+    }
+});
+
+// Get students by class
+app.get('/admin/students/class/:classId', requireAdmin, async (req, res) => {
+    const classId = req.params.classId;
+    try {
+        const students = await queryAll(`
+            SELECT s.*, u.username, u.register_id
+            FROM students s 
+            LEFT JOIN users u ON s.user_id = u.id
+            WHERE s.class_id = $1 
+            ORDER BY s.roll_no
+        `, [classId]);
+        
+        res.json({ success: true, students });
+    } catch (err) {
+        console.error('Get students by class error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Get all classes with updated student counts for dropdown refresh
+app.get('/admin/classes/list', requireAdmin, async (req, res) => {
+    try {
+        const classes = await queryAll('SELECT * FROM classes ORDER BY year, section');
+        res.json({ success: true, classes });
+    } catch (err) {
+        console.error('Get classes list error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Delete all students in a class (and their attendance); HOD only
+app.delete('/admin/students/class/:classId', requireAdmin, async (req, res) => {
+    const classId = req.params.classId;
+    try {
+        // Delete attendance for all students of this class
+        await deleteAttendanceAudited('class_id', classId, req.session.user.id, '/admin/students/class', 'All students of the class deleted');
+        // Delete students of this class
+        await query(`DELETE FROM students WHERE class_id = $1`, [classId]);
+        // Update class student count to 0
+        await query(`UPDATE classes SET total_students = 0 WHERE id = $1`, [classId]);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete all students error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Fallback POST for environments that block DELETE
+app.post('/admin/students/class/:classId/delete-all', requireAdmin, async (req, res) => {
+    const classId = req.params.classId;
+    try {
+        await deleteAttendanceAudited('class_id', classId, req.session.user.id, '/admin/students/class', 'All students of the class deleted');
+        await query(`DELETE FROM students WHERE class_id = $1`, [classId]);
+        await query(`UPDATE classes SET total_students = 0 WHERE id = $1`, [classId]);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete all students (POST) error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Delete entire class with all related data (HOD only)
+app.delete('/api/admin/class/:classId', requireAdmin, async (req, res) => {
+    const classId = req.params.classId;
+    
+    try {
+        // Get class details for logging
+        const classDetails = await queryOne('SELECT * FROM classes WHERE id = $1', [classId]);
+        if (!classDetails) {
+            return res.json({ success: false, error: 'Class not found' });
         }
         
-        // Get schedule details for each class
-        for (const cls of allAssignedClasses) {
-            // Try to get schedule for this class (will be empty if teacher has no timetable periods)
-            const schedule = await queryAll(`
-                SELECT 
-                    tp.day_of_week,
-                    tp.period_number,
-                    tp.start_time,
-                    tp.end_time,
-                    tp.is_break,
-                    s.subject_name,
-                    s.subject_code
-                FROM timetable_periods tp
-                LEFT JOIN subjects s ON tp.subject_id = s.id
-                WHERE tp.class_id = $1 AND tp.teacher_id = $2 AND tp.is_break = false
-                ORDER BY tp.day_of_week, tp.period_number
-            `, [cls.id, req.session.user.id]);
-            
-            cls.schedule = schedule;
-            if (schedule.length === 0) {
-                console.log(`[${new Date().toISOString()}] Class ${cls.class_name} has no timetable periods for this teacher`);
-            } else {
-                console.log(`[${new Date().toISOString()}] Class ${cls.class_name} schedule:`, schedule);
-            }
-        }
+        // Count related records that will be deleted
+        const studentCount = await queryOne('SELECT COUNT(*) as count FROM students WHERE class_id = $1', [classId]);
+        const periodCount = await queryOne('SELECT COUNT(*) as count FROM timetable_periods WHERE class_id = $1', [classId]);
+        const attendanceCount = await queryOne('SELECT COUNT(*) as count FROM attendance WHERE class_id = $1', [classId]);
         
-        // Calculate period-specific attendance for current classes (THIS TEACHER only)
-        const today = new Date().toISOString().split('T')[0];
-        for (const cls of currentClasses) {
-            // Get current period for THIS TEACHER in this class
-            const currentPeriod = await queryOne(`
-                SELECT 
-                    tp.*,
-                    s.subject_name,
-                    s.subject_code
-                FROM timetable_periods tp
-                LEFT JOIN subjects s ON tp.subject_id = s.id
-                WHERE tp.class_id = $1 
-                AND tp.teacher_id = $2
-                AND tp.day_of_week = $3 
-                AND tp.start_time <= $4 
-                AND tp.end_time >= $4
-                AND tp.is_break = false
-                ORDER BY tp.period_number
-                LIMIT 1
-            `, [cls.id, req.session.user.id, getCurrentDayOfWeek(), getCurrentTime()]);
-            
-            if (currentPeriod) {
-                const attendanceCount = await queryOne(
-                    'SELECT COUNT(*) as count FROM attendance WHERE class_id = $1 AND date = $2 AND period_id = $3',
-                    [cls.id, today, currentPeriod.id]
-                );
-                cls.attendance_count = parseInt(attendanceCount.count);
-            } else {
-                cls.attendance_count = 0;
-            }
-        }
+        console.log(`[${new Date().toISOString()}] HOD deleting class: ${classDetails.class_name}`);
+        console.log(`[${new Date().toISOString()}] This will delete: ${studentCount.count} students, ${periodCount.count} periods, ${attendanceCount.count} attendance records`);
         
-        res.render('teacher/dashboard', { 
-            classes: currentClasses.length > 0 ? currentClasses : allClasses,
-            currentClasses,
-            allClasses: allClasses.length > 0 ? allClasses : [],
-            allAssignedClasses: allAssignedClasses.length > 0 ? allAssignedClasses : [],
-            currentDayName,
-            currentTime,
-            isCurrentPeriod: currentClasses.length > 0,
-            user: req.session.user, 
-            error: null 
+        // Delete in the correct order to avoid foreign key constraints
+        // 1. Delete attendance, with an audit entry for each record: the class's own and any taken in its periods
+        await deleteAttendanceAudited('class_id', classId, req.session.user.id, '/api/admin/class', 'Class deleted');
+        await deleteClassPeriodAttendanceAudited(classId, req.session.user.id, '/api/admin/class', 'Class deleted');
+        
+        // 2. Delete timetable periods
+        await query('DELETE FROM timetable_periods WHERE class_id = $1', [classId]);
+        
+        // 3. Delete students
+        await query('DELETE FROM students WHERE class_id = $1', [classId]);
+        
+        // 4. Finally delete the class
+        await query('DELETE FROM classes WHERE id = $1', [classId]);
+        
+        console.log(`[${new Date().toISOString()}] Class ${classDetails.class_name} and all related data deleted successfully`);
+        
+        res.json({ 
+            success: true, 
+            message: `Class "${classDetails.class_name}" deleted successfully.`,
+            deletedData: {
+                students: studentCount.count,
+                periods: periodCount.count,
+                attendance: attendanceCount.count
+            }
         });
     } catch (err) {
-        console.error('Dashboard error:', err);
-        res.render('teacher/dashboard', { 
-            classes: [], 
-            currentClasses: [],
-            allClasses: [],
-            allAssignedClasses: [],
-            currentDayName: '',
-            currentTime: '',
-            isCurrentPeriod: false,
-            user: req.session.user, 
-            error: 'Database error' 
-        });
+        console.error('Delete class error:', err);
+        res.json({ success: false, error: err.message });
     }
 });
 
-// API route to refresh dashboard data
-app.get('/teacher/dashboard/refresh', requireTeacher, async (req, res) => {
+// Delete all periods for a class (HOD only)
+app.delete('/api/admin/class/:classId/periods', requireAdmin, async (req, res) => {
+    const classId = req.params.classId;
+    
     try {
-        console.log(`[${new Date().toISOString()}] Dashboard refresh requested by: ${req.session.user.name}`);
+        // Get class details for logging
+        const classDetails = await queryOne('SELECT * FROM classes WHERE id = $1', [classId]);
+        if (!classDetails) {
+            return res.json({ success: false, error: 'Class not found' });
+        }
         
-        // Show only classes assigned to this teacher from their timetable
-        const classes = await queryAll(`
-            SELECT DISTINCT c.*, COALESCE(student_counts.student_count, 0) as total_students
-            FROM classes c
-            JOIN timetable_periods tp ON c.id = tp.class_id
-            LEFT JOIN (
-                SELECT class_id, COUNT(*) as student_count 
-                FROM students 
-                GROUP BY class_id
-            ) student_counts ON c.id = student_counts.class_id
-            WHERE tp.teacher_id = $1 AND tp.is_break = false
-            ORDER BY c.year, c.section
-        `, [req.session.user.id]);
+        // Count periods that will be deleted
+        const periodCount = await queryOne('SELECT COUNT(*) as count FROM timetable_periods WHERE class_id = $1', [classId]);
         
-        // Get schedule data for all classes assigned to this teacher
-        for (const cls of classes) {
-            const schedule = await queryAll(`
-                SELECT 
-                    tp.day_of_week,
-                    tp.period_number,
-                    tp.start_time,
-                    tp.end_time,
-                    tp.is_break,
-                    s.subject_name,
-                    s.subject_code
-                FROM timetable_periods tp
-                LEFT JOIN subjects s ON tp.subject_id = s.id
-                WHERE tp.class_id = $1 AND tp.teacher_id = $2 AND tp.is_break = false
-                ORDER BY tp.day_of_week, tp.period_number
-            `, [cls.id, req.session.user.id]);
-            
-            cls.schedule = schedule;
-        }
+        console.log(`[${new Date().toISOString()}] HOD deleting all periods for class: ${classDetails.class_name}`);
         
-        // Calculate today's attendance statistics across all classes (period-specific)
-        const today = new Date().toISOString().split('T')[0];
-        let totalAttendanceToday = 0;
-        let totalStudentsToday = 0;
+        // Delete the periods' attendance with an audit entry for each record, then the periods
+        const attendanceDeleted = await deleteClassPeriodAttendanceAudited(classId, req.session.user.id, '/api/admin/class/periods', 'All timetable periods of the class deleted');
+        await query('DELETE FROM timetable_periods WHERE class_id = $1', [classId]);
         
-        for (const cls of classes) {
-            // Get current period for THIS TEACHER in this class
-            const currentPeriod = await queryOne(`
-                SELECT 
-                    tp.*,
-                    s.subject_name,
-                    s.subject_code
-                FROM timetable_periods tp
-                LEFT JOIN subjects s ON tp.subject_id = s.id
-                WHERE tp.class_id = $1 
-                AND tp.teacher_id = $2
-                AND tp.day_of_week = $3 
-                AND tp.start_time <= $4 
-                AND tp.end_time >= $4
-                AND tp.is_break = false
-                ORDER BY tp.period_number
-                LIMIT 1
-            `, [cls.id, req.session.user.id, getCurrentDayOfWeek(), getCurrentTime()]);
-            
-            if (currentPeriod) {
-                // Count attendance only for THIS TEACHER's current period
-                const attendanceCount = await queryOne(
-                    'SELECT COUNT(*) as count FROM attendance WHERE class_id = $1 AND date = $2 AND period_id = $3',
-                    [cls.id, today, currentPeriod.id]
-                );
-                totalAttendanceToday += parseInt(attendanceCount.count);
-            }
-            totalStudentsToday += cls.total_students;
-        }
+        console.log(`[${new Date().toISOString()}] This deleted: ${periodCount.count} periods, ${attendanceDeleted} attendance records`);
         
-        res.json({
-            success: true,
-            data: {
-                totalClasses: classes.length,
-                totalStudents: classes.reduce((total, cls) => total + cls.total_students, 0),
-                attendanceToday: totalAttendanceToday,
-                studentsToday: totalStudentsToday,
-                classes: classes.map(cls => ({
-                    id: cls.id,
-                    name: cls.class_name,
-                    students: cls.total_students,
-                    year: cls.year,
-                    section: cls.section
-                })),
-                lastUpdated: new Date().toISOString()
+        console.log(`[${new Date().toISOString()}] All periods for class ${classDetails.class_name} deleted successfully`);
+        
+        res.json({ 
+            success: true, 
+            message: `All periods for class "${classDetails.class_name}" deleted successfully.`,
+            deletedData: {
+                periods: periodCount.count,
+                attendance: attendanceDeleted
             }
         });
     } catch (err) {
-        console.error('Dashboard refresh error:', err);
+        console.error('Delete all periods error:', err);
         res.json({ success: false, error: err.message });
     }
 });
 
-app.get('/teacher/class/:classId/attendance', requireTeacher, async (req, res) => {
-    const classId = req.params.classId;
-    const today = new Date().toISOString().split('T')[0];
+// Bulk update attendance records (for historical attendance editing)
+app.post('/api/attendance/bulk-update', requireTeacher, async (req, res) => {
+    const { classId, changes, reason } = req.body;
     const teacherId = req.session.user.id;
     
     try {
-        // First check if this teacher is assigned to teach this class
+        // For historical attendance editing, teachers can edit any attendance for classes they have access to
+        // Check if teacher has any assignment to this class (for security) - no period restrictions for historical editing
         const teacherAssignment = await queryOne(`
             SELECT DISTINCT tp.id
             FROM timetable_periods tp
@@ -525,1858 +4011,2206 @@ app.get('/teacher/class/:classId/attendance', requireTeacher, async (req, res) =
         `, [classId, teacherId]);
         
         if (!teacherAssignment) {
-            console.log(`[${new Date().toISOString()}] Teacher ${req.session.user.name} attempted to access class ${classId} without assignment`);
-            return res.redirect('/teacher/dashboard');
+            return res.status(403).json({ success: false, error: 'Access denied to this class' });
         }
         
-        // Get class info and students
-        const classInfo = await queryOne('SELECT * FROM classes WHERE id = $1', [classId]);
-        if (!classInfo) {
-            return res.redirect('/teacher/dashboard');
+        // Reject the whole batch up front if it contains an unknown status
+        const validStatuses = (await getAttendanceStatuses()).map(s => s.status);
+        const invalidChange = changes.find(change => change.status && !validStatuses.includes(change.status));
+        if (invalidChange) {
+            return res.status(400).json({ success: false, error: `Invalid attendance status: ${invalidChange.status}` });
         }
         
-        // Get current period for THIS TEACHER in this class
-        const currentPeriod = await queryOne(`
-            SELECT 
-                tp.*,
-                s.subject_name,
-                s.subject_code
-            FROM timetable_periods tp
-            LEFT JOIN subjects s ON tp.subject_id = s.id
-            WHERE tp.class_id = $1 
-            AND tp.teacher_id = $2
-            AND tp.day_of_week = $3 
-            AND tp.start_time <= $4 
-            AND tp.end_time >= $4
-            AND tp.is_break = false
-            ORDER BY tp.period_number
-            LIMIT 1
-        `, [classId, teacherId, getCurrentDayOfWeek(), getCurrentTime()]);
-        
-        // Get students with period-specific attendance for THIS TEACHER's period
-        let students;
-        if (currentPeriod) {
-            students = await queryAll(`
-                SELECT s.*, a.status, a.period_id
-                FROM students s 
-                LEFT JOIN attendance a ON s.id = a.student_id AND a.date = $1 AND a.period_id = $2
-                WHERE s.class_id = $3 
-                ORDER BY s.roll_no
-            `, [today, currentPeriod.id, classId]);
-        } else {
-            // If no current period for THIS TEACHER, show students without attendance status
-            students = await queryAll(`
-                SELECT s.*, NULL as status, NULL as period_id
-                FROM students s 
-                WHERE s.class_id = $1 
-                ORDER BY s.roll_no
-            `, [classId]);
+        // Every period edited must be one of this class's
+        const periodIds = [...new Set(changes.filter(change => change.periodId).map(change => String(change.periodId)))];
+        const classPeriods = periodIds.length > 0 && periodIds.every(id => /^\d+$/.test(id))
+            ? await queryAll('SELECT id FROM timetable_periods WHERE id = ANY($1::int[]) AND class_id = $2', [periodIds, classId])
+            : [];
+        if (classPeriods.length !== periodIds.length) {
+            return res.status(400).json({ success: false, error: 'One of the periods is not in this class' });
         }
         
-        // Get current period information for this teacher and class
-        const currentDay = getCurrentDayOfWeek();
-        const currentTime = getCurrentTime();
+        // Locked dates reject the whole batch unless the teacher has an approved unlock
+        for (const date of new Set(changes.map(change => change.date))) {
+            const lockError = await getAttendanceLockError(classId, date, teacherId);
+            if (lockError) {
+                return res.status(403).json({ success: false, error: lockError });
+            }
+        }
         
-        const currentPeriodInfo = await queryOne(`
-            SELECT 
-                tp.*,
-                s.subject_name,
-                s.subject_code
-            FROM timetable_periods tp
-            LEFT JOIN subjects s ON tp.subject_id = s.id
-            WHERE tp.class_id = $1 
-            AND tp.teacher_id = $2
-            AND tp.day_of_week = $3 
-            AND tp.start_time <= $4 
-            AND tp.end_time >= $4
-            AND tp.is_break = false
-            ORDER BY tp.period_number
-            LIMIT 1
-        `, [classId, teacherId, currentDay, currentTime]);
+        // Batched lab and elective periods can only be marked for the students who take them
+        for (const change of changes) {
+            if (change.periodId && change.status && !(await studentTakesPeriod(change.periodId, change.studentId))) {
+                return res.status(400).json({ success: false, error: 'A student does not take one of the periods (other batch or not enrolled in the elective)' });
+            }
+        }
         
-        // Get teacher's upcoming period for this class (next 2 hours)
-        const nextTime = new Date();
-        nextTime.setHours(nextTime.getHours() + 2);
-        const nextTimeString = nextTime.toTimeString().slice(0, 5);
+        let updatedCount = 0;
         
-        const upcomingPeriod = await queryOne(`
-            SELECT 
-                tp.*,
-                s.subject_name,
-                s.subject_code
-            FROM timetable_periods tp
-            LEFT JOIN subjects s ON tp.subject_id = s.id
-            WHERE tp.class_id = $1 
-            AND tp.teacher_id = $2
-            AND tp.day_of_week = $3 
-            AND tp.start_time > $4
-            AND tp.start_time <= $5
-            AND tp.is_break = false
-            ORDER BY tp.start_time
-            LIMIT 1
-        `, [classId, teacherId, currentDay, currentTime, nextTimeString]);
+        for (const change of changes) {
+            await applyAttendanceChange(classId, change, teacherId, '/api/attendance/bulk-update', reason && reason.trim());
+            updatedCount++;
+        }
         
-        const dayNames = ['', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-        const currentDayName = dayNames[currentDay];
+        console.log(`[${new Date().toISOString()}] Teacher ${req.session.user.name} updated ${updatedCount} attendance records for class ${classId}`);
         
-        res.render('teacher/attendance', { 
-            classInfo, 
-            students, 
-            date: today,
-            currentPeriodInfo,
-            upcomingPeriod,
-            currentTime,
-            currentDayName,
-            user: req.session.user,
-            error: null 
+        res.json({ 
+            success: true, 
+            updatedCount: updatedCount,
+            message: `Successfully updated ${updatedCount} attendance records`
         });
+        
     } catch (err) {
-        console.error('Attendance page error:', err);
-        res.redirect('/teacher/dashboard');
+        console.error('Bulk attendance update error:', err);
+        res.status(500).json({ success: false, error: err.message });
     }
 });
 
-app.post('/teacher/mark-attendance', requireTeacher, async (req, res) => {
-    const { studentId, classId, status, date } = req.body;
+// Audit trail of one attendance record (student, date and period, or the day's general entry)
+app.get('/api/attendance/audit', requireTeacher, async (req, res) => {
+    const { classId, studentId, date, periodId } = req.query;
     
     try {
-        // Get current period for THIS TEACHER in this class
-        const currentPeriod = await queryOne(`
-            SELECT 
-                tp.*,
-                s.subject_name,
-                s.subject_code
-            FROM timetable_periods tp
-            LEFT JOIN subjects s ON tp.subject_id = s.id
-            WHERE tp.class_id = $1 
-            AND tp.teacher_id = $2
-            AND tp.day_of_week = $3 
-            AND tp.start_time <= $4 
-            AND tp.end_time >= $4
-            AND tp.is_break = false
-            ORDER BY tp.period_number
-            LIMIT 1
-        `, [classId, req.session.user.id, getCurrentDayOfWeek(), getCurrentTime()]);
-        
-        if (!currentPeriod) {
-            return res.json({ 
-                success: false, 
-                error: 'No active period found for you in this class. Attendance can only be marked during your scheduled teaching periods.' 
-            });
+        const teacherAssignment = await queryOne(
+            'SELECT id FROM timetable_periods WHERE class_id = $1 AND teacher_id = $2 AND is_break = false LIMIT 1',
+            [classId, req.session.user.id]
+        );
+        if (!teacherAssignment) {
+            return res.status(403).json({ success: false, error: 'Access denied to this class' });
         }
         
-        // Only mark attendance for the current period when THIS TEACHER is teaching
-        await query(`
-            INSERT INTO attendance (student_id, class_id, period_id, date, status, marked_by)
-            VALUES ($1, $2, $3, $4, $5, $6)
-            ON CONFLICT (student_id, date, period_id) 
-            DO UPDATE SET status = $5, marked_by = $6
-        `, [studentId, classId, currentPeriod.id, date, status, req.session.user.id]);
-        
-        res.json({ success: true });
+        const params = [studentId, date];
+        let periodClause = 'AND l.period_id IS NULL AND l.extra_session_id IS NULL';
+        if (periodId) {
+            params.push(periodId);
+            periodClause = 'AND l.period_id = $3';
+        }
+        const entries = await queryAll(`
+            SELECT l.old_status, l.new_status, l.changed_at, l.source, l.reason, u.name as changed_by_name
+            FROM attendance_audit_log l
+            LEFT JOIN users u ON l.changed_by = u.id
+            WHERE l.student_id = $1 AND l.date = $2 ${periodClause}
+            ORDER BY l.changed_at, l.id
+        `, params);
+        
+        res.json({ success: true, entries });
     } catch (err) {
-        console.error('Mark attendance error:', err);
-        res.json({ success: false, error: 'Failed to mark attendance' });
+        console.error('Attendance audit error:', err);
+        res.json({ success: false, error: err.message });
     }
 });
 
-// Teacher timetable view
-app.get('/teacher/timetable', requireTeacher, async (req, res) => {
+// Add individual student
+app.post('/admin/students/add-individual', requireAdmin, async (req, res) => {
+    const { class_id, roll_no, name, register_id } = req.body;
+    
+    console.log('=== ADD INDIVIDUAL STUDENT REQUEST ===');
+    console.log('Request body:', { class_id, roll_no, name, register_id });
+    console.log('User:', req.session.user?.username);
+    
     try {
-        const teacherId = req.session.user.id;
-        const currentDay = getCurrentDayOfWeek();
-        const currentTime = getCurrentTime();
-        const dayNames = ['', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-        const currentDayName = dayNames[currentDay];
+        // Check if roll number already exists in the class
+        const existingStudent = await queryOne(
+            'SELECT id FROM students WHERE roll_no = $1 AND class_id = $2', 
+            [roll_no, class_id]
+        );
         
-        // Get all periods for this teacher
-        const allPeriods = await queryAll(`
-            SELECT 
-                tp.*,
-                s.subject_name,
-                s.subject_code,
-                c.class_name,
-                c.id as class_id
-            FROM timetable_periods tp
-            JOIN subjects s ON tp.subject_id = s.id
-            JOIN classes c ON tp.class_id = c.id
-            WHERE tp.teacher_id = $1 AND tp.is_break = false
-            ORDER BY tp.day_of_week, tp.period_number
-        `, [teacherId]);
+        if (existingStudent) {
+            return res.json({ success: false, error: 'Roll number already exists in this class' });
+        }
         
-        // Organize timetable by days
-        const timetable = {};
-        const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        // Check if register_id already exists
+        const existingRegister = await queryOne(
+            'SELECT id FROM users WHERE register_id = $1', 
+            [register_id]
+        );
         
-        // Initialize days
-        days.forEach((day, index) => {
-            timetable[index + 1] = {
-                day: day,
-                periods: []
-            };
-        });
+        if (existingRegister) {
+            return res.json({ success: false, error: 'Register ID already exists' });
+        }
         
-        // Add periods to appropriate days
-        allPeriods.forEach(period => {
-            if (timetable[period.day_of_week]) {
-                timetable[period.day_of_week].periods.push(period);
-            }
-        });
+        // Create user account for student
+        const username = register_id;
+        const password = await bcrypt.hash(register_id, 10);
         
-        // Get current period if any
-        const currentPeriodInfo = await queryOne(`
-            SELECT 
-                tp.*,
-                s.subject_name,
-                s.subject_code,
-                c.class_name
-            FROM timetable_periods tp
-            LEFT JOIN subjects s ON tp.subject_id = s.id
-            LEFT JOIN classes c ON tp.class_id = c.id
-            WHERE tp.teacher_id = $1 
-            AND tp.day_of_week = $2 
-            AND tp.start_time <= $3 
-            AND tp.end_time >= $3
-            AND tp.is_break = false
-            ORDER BY tp.period_number
-            LIMIT 1
-        `, [teacherId, currentDay, currentTime]);
+        const userResult = await query(`
+            INSERT INTO users (username, password, role, name, register_id)
+            VALUES ($1, $2, 'student', $3, $4)
+            RETURNING id
+        `, [username, password, name, register_id]);
         
-        // Calculate statistics
-        const totalPeriods = allPeriods.length;
-        const uniqueClasses = new Set(allPeriods.map(p => p.class_id)).size;
-        const uniqueSubjects = new Set(allPeriods.map(p => p.subject_id)).size;
-        const todayPeriods = timetable[currentDay] ? timetable[currentDay].periods.length : 0;
+        const userId = userResult.rows[0].id;
         
-        res.render('teacher/timetable', {
-            user: req.session.user,
-            timetable,
-            currentDayName,
-            currentTime,
-            currentPeriodInfo,
-            totalPeriods,
-            uniqueClasses,
-            uniqueSubjects,
-            todayPeriods
-        });
-    } catch (err) {
-        console.error('Teacher timetable error:', err);
-        res.render('teacher/timetable', {
-            user: req.session.user,
-            timetable: {},
-            currentDayName: '',
-            currentTime: '',
-            currentPeriodInfo: null,
-            totalPeriods: 0,
-            uniqueClasses: 0,
-            uniqueSubjects: 0,
-            todayPeriods: 0
-        });
+        // Add to students table
+        await query(`
+            INSERT INTO students (user_id, roll_no, class_id, student_name)
+            VALUES ($1, $2, $3, $4)
+        `, [userId, roll_no, class_id, name]);
+        
+        // Update class student count
+        await query(`
+            UPDATE classes SET total_students = (
+                SELECT COUNT(*) FROM students WHERE class_id = $1
+            ) WHERE id = $1
+        `, [class_id]);
+        
+        console.log('✅ Individual student added successfully:', name, 'Roll:', roll_no);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Add individual student error:', err);
+        res.json({ success: false, error: err.message });
     }
 });
 
-// Get historical attendance management
-app.get('/teacher/attendance/:classId/history', requireTeacher, async (req, res) => {
-    const classId = req.params.classId;
-    const { view = 'week', date } = req.query;
-    const teacherId = req.session.user.id;
+// Edit student
+app.put('/admin/students/edit/:studentId', requireAdmin, async (req, res) => {
+    const studentId = req.params.studentId;
+    const { roll_no, name, register_id } = req.body;
     
     try {
-        // First check if this teacher is assigned to teach this class
-        const teacherAssignment = await queryOne(`
-            SELECT DISTINCT tp.id
-            FROM timetable_periods tp
-            WHERE tp.class_id = $1 AND tp.teacher_id = $2 AND tp.is_break = false
-        `, [classId, teacherId]);
+        // Get current student info
+        const currentStudent = await queryOne(
+            'SELECT s.*, u.register_id as current_register_id FROM students s LEFT JOIN users u ON s.user_id = u.id WHERE s.id = $1', 
+            [studentId]
+        );
         
-        if (!teacherAssignment) {
-            console.log(`[${new Date().toISOString()}] Teacher ${req.session.user.name} attempted to access attendance history for class ${classId} without assignment`);
-            return res.redirect('/teacher/dashboard');
+        if (!currentStudent) {
+            return res.json({ success: false, error: 'Student not found' });
         }
         
-        // Get class info
-        const classInfo = await queryOne('SELECT * FROM classes WHERE id = $1', [classId]);
-        if (!classInfo) {
-            return res.redirect('/teacher/dashboard');
+        // Check if roll number conflicts with another student in the same class
+        if (roll_no !== currentStudent.roll_no) {
+            const existingRoll = await queryOne(
+                'SELECT id FROM students WHERE roll_no = $1 AND class_id = $2 AND id != $3', 
+                [roll_no, currentStudent.class_id, studentId]
+            );
+            
+            if (existingRoll) {
+                return res.json({ success: false, error: 'Roll number already exists in this class' });
+            }
         }
         
-        // Get all students in this class
-        const students = await queryAll(`
-            SELECT id, roll_no, student_name
-            FROM students 
-            WHERE class_id = $1 
-            ORDER BY roll_no
-        `, [classId]);
+        // Check if register_id conflicts with another user
+        if (register_id !== currentStudent.current_register_id) {
+            const existingRegister = await queryOne(
+                'SELECT id FROM users WHERE register_id = $1 AND id != $2', 
+                [register_id, currentStudent.user_id]
+            );
+            
+            if (existingRegister) {
+                return res.json({ success: false, error: 'Register ID already exists' });
+            }
+        }
         
-        // Calculate date range based on view type and selected date
-        const currentDate = date ? new Date(date) : new Date();
-        let startDate, endDate, dates = [];
+        // Update student record
+        await query(`
+            UPDATE students SET roll_no = $1, student_name = $2 WHERE id = $3
+        `, [roll_no, name, studentId]);
         
-        if (view === 'week') {
-            // Get week start (Monday) and end (Sunday)
-            const dayOfWeek = currentDate.getDay();
-            const daysToMonday = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
-            
-            startDate = new Date(currentDate);
-            startDate.setDate(currentDate.getDate() + daysToMonday);
+        // Update user record if user_id exists
+        if (currentStudent.user_id) {
+            await query(`
+                UPDATE users SET name = $1, register_id = $2, username = $2 WHERE id = $3
+            `, [name, register_id, currentStudent.user_id]);
+        }
+        
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Edit student error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Add students to class (bulk upload)
+app.post('/admin/students/add', requireAdmin, async (req, res) => {
+    const { class_id, students_data } = req.body;
+    
+    console.log('=== BULK ADD STUDENTS REQUEST ===');
+    console.log('Class ID:', class_id);
+    console.log('User:', req.session.user?.username);
+    console.log('Students data length:', students_data?.length);
+    
+    try {
+        const studentsArray = JSON.parse(students_data);
+        console.log('Parsed students array:', studentsArray.length, 'students');
+        
+        for (const student of studentsArray) {
+            const { roll_no, name, register_id } = student;
             
-            endDate = new Date(startDate);
-            endDate.setDate(startDate.getDate() + 6);
+            // Check if roll number already exists in the class
+            const existingStudent = await queryOne(
+                'SELECT id FROM students WHERE roll_no = $1 AND class_id = $2', 
+                [roll_no, class_id]
+            );
             
-            // Generate week dates
-            for (let i = 0; i < 7; i++) {
-                const date = new Date(startDate);
-                date.setDate(startDate.getDate() + i);
-                dates.push({
-                    date: formatDateLocal(date),
-                    day: date.toLocaleDateString('en-US', { weekday: 'short' }),
-                    dayNum: date.getDate()
-                });
+            if (existingStudent) {
+                throw new Error(`Roll number ${roll_no} already exists in this class`);
             }
-        } else if (view === 'month') {
-            // Get month start and end
-            startDate = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-            endDate = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
             
-            // Generate month dates
-            const daysInMonth = endDate.getDate();
-            for (let i = 1; i <= daysInMonth; i++) {
-                const date = new Date(currentDate.getFullYear(), currentDate.getMonth(), i);
-                dates.push({
-                    date: formatDateLocal(date),
-                    day: date.toLocaleDateString('en-US', { weekday: 'short' }),
-                    dayNum: date.getDate()
-                });
+            // Check if register_id already exists
+            const existingRegister = await queryOne(
+                'SELECT id FROM users WHERE register_id = $1', 
+                [register_id]
+            );
+            
+            if (existingRegister) {
+                throw new Error(`Register ID ${register_id} already exists`);
             }
+            
+            // Create user account for student
+            const username = register_id;
+            const password = await bcrypt.hash(register_id, 10); // Default password is register_id
+            
+            const userResult = await query(`
+                INSERT INTO users (username, password, role, name, register_id)
+                VALUES ($1, $2, 'student', $3, $4)
+                RETURNING id
+            `, [username, password, name, register_id]);
+            
+            const userId = userResult.rows[0].id;
+            
+            // Add to students table
+            await query(`
+                INSERT INTO students (user_id, roll_no, class_id, student_name)
+                VALUES ($1, $2, $3, $4)
+            `, [userId, roll_no, class_id, name]);
         }
         
-        // Get teacher's timetable periods for this class to determine period-specific columns
-        const teacherPeriodsOnSameDays = await queryAll(`
-            SELECT DISTINCT tp.*, c.class_name, s.subject_name, s.subject_code
-            FROM timetable_periods tp
-            JOIN classes c ON tp.class_id = c.id
-            LEFT JOIN subjects s ON tp.subject_id = s.id
-            WHERE tp.teacher_id = $1
-            AND tp.class_id = $2
-            AND tp.is_break = false
-            ORDER BY tp.day_of_week, tp.period_number
-        `, [teacherId, classId]);
+        // Update class student count
+        await query(`
+            UPDATE classes SET total_students = (
+                SELECT COUNT(*) FROM students WHERE class_id = $1
+            ) WHERE id = $1
+        `, [class_id]);
         
-        // Get attendance records for this class marked by THIS TEACHER only
-        const attendanceRecords = await queryAll(`
-            SELECT 
-                a.student_id, 
-                a.date::date as date, 
-                a.status,
-                a.class_id,
-                a.period_id,
-                tp.period_number,
-                tp.start_time,
-                tp.end_time,
-                s.subject_name,
-                s.subject_code
-            FROM attendance a
-            JOIN students st ON a.student_id = st.id
-            LEFT JOIN timetable_periods tp ON a.period_id = tp.id
-            LEFT JOIN subjects s ON tp.subject_id = s.id
-            WHERE st.class_id = $1 
-            AND a.date::date >= $2::date
-            AND a.date::date <= $3::date
-            AND tp.teacher_id = $4
-            ORDER BY a.date::date, st.roll_no
-        `, [classId, formatDateLocal(startDate), formatDateLocal(endDate), teacherId]);
+        console.log(`✅ Bulk students added successfully: ${studentsArray.length} students to class ${class_id}`);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Add students error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Password management
+app.get('/admin/passwords', requireAdmin, async (req, res) => {
+    try {
+        const users = await queryAll(`
+            SELECT id, username, name, role, register_id, can_change_password, must_change_password
+            FROM users 
+            WHERE role IN ('teacher', 'student') 
+            ORDER BY role, name
+        `);
+        res.render('admin/passwords', { users, user: req.session.user, error: null });
+    } catch (err) {
+        console.error('Password management error:', err);
+        res.render('admin/passwords', { users: [], user: req.session.user, error: 'Database error' });
+    }
+});
+
+// Reset password
+app.post('/admin/reset-password', requireAdmin, async (req, res) => {
+    const { user_id } = req.body;
+    try {
+        const user = await queryOne('SELECT register_id FROM users WHERE id = $1', [user_id]);
+        const newPassword = await bcrypt.hash(user.register_id, 10);
         
-        console.log(`[${new Date().toISOString()}] Teacher ${req.session.user.name} (ID: ${teacherId}) viewing attendance history for class ${classInfo.class_name} from ${formatDateLocal(startDate)} to ${formatDateLocal(endDate)}`);
-        console.log(`[${new Date().toISOString()}] Found ${attendanceRecords.length} attendance records marked by THIS TEACHER ONLY`);
+        // The register ID is public knowledge, so make the user pick a new password on next login
+        await query('UPDATE users SET password = $1, must_change_password = TRUE WHERE id = $2', [newPassword, user_id]);
+        
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Reset password error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Toggle self-service password change and the forced change on next login
+app.post('/admin/users/:id/password-settings', requireAdmin, async (req, res) => {
+    const userId = req.params.id;
+    const { can_change_password, must_change_password } = req.body;
+    
+    try {
+        const result = await query(`
+            UPDATE users
+            SET can_change_password = $1, must_change_password = $2
+            WHERE id = $3 AND role IN ('teacher', 'student')
+        `, [can_change_password === true, must_change_password === true, userId]);
+        
+        if (result.rowCount === 0) {
+            return res.json({ success: false, error: 'User not found' });
+        }
+        
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Password settings error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Delete class
+app.delete('/admin/classes/delete/:id', requireAdmin, async (req, res) => {
+    const class_id = req.params.id;
+    try {
+        console.log(`[${new Date().toISOString()}] HOD deleting class ID: ${class_id}`);
         
-        if (attendanceRecords.length > 0) {
-            console.log(`[${new Date().toISOString()}] Sample attendance record:`, attendanceRecords[0]);
+        // Get class details before deletion for logging
+        const classDetails = await queryOne('SELECT * FROM classes WHERE id = $1', [class_id]);
+        if (!classDetails) {
+            return res.json({ success: false, message: 'Class not found' });
         }
         
-        // Get bookmarks for the date range
-        const bookmarks = await queryAll(`
-            SELECT b.*, u.name as marked_by_name
-            FROM bookmarks b
-            LEFT JOIN users u ON b.marked_by = u.id
-            WHERE b.class_id = $1
-            AND b.date >= $2 
-            AND b.date <= $3
-            ORDER BY b.date
-        `, [classId, formatDateLocal(startDate), formatDateLocal(endDate)]);
-        
-        // Organize attendance by student, date, and period
-        const attendanceGrid = {};
-        students.forEach(student => {
-            attendanceGrid[student.id] = {};
-            // Initialize with the generated dates
-            dates.forEach(dateInfo => {
-                attendanceGrid[student.id][dateInfo.date] = {};
-                // Initialize with teacher's periods for this day
-                const dayOfWeek = new Date(dateInfo.date).getDay();
-                const adjustedDayOfWeek = dayOfWeek === 0 ? 7 : dayOfWeek;
-                const periodsForThisDay = teacherPeriodsOnSameDays.filter(period => period.day_of_week === adjustedDayOfWeek);
-                
-                if (periodsForThisDay.length > 0) {
-                    periodsForThisDay.forEach(period => {
-                        attendanceGrid[student.id][dateInfo.date][period.id] = null;
-                    });
-                } else {
-                    // If no specific periods, use a general entry
-                    attendanceGrid[student.id][dateInfo.date]['general'] = null;
-                }
-            });
-        });
+        console.log(`[${new Date().toISOString()}] Deleting class: ${classDetails.class_name}`);
         
-        console.log(`[${new Date().toISOString()}] Attendance grid initialized for ${students.length} students and ${dates.length} dates`);
+        // First delete related attendance records: the class's own and any taken in its periods
+        const attendanceDeleted = await deleteAttendanceAudited('class_id', class_id, req.session.user.id, '/admin/classes/delete', 'Class deleted') +
+            await deleteClassPeriodAttendanceAudited(class_id, req.session.user.id, '/admin/classes/delete', 'Class deleted');
+        console.log(`[${new Date().toISOString()}] Deleted ${attendanceDeleted} attendance records`);
         
-        // Fill in actual attendance records
-        attendanceRecords.forEach(record => {
-            const recordDate = formatDateLocal(record.date); // Convert to YYYY-MM-DD format (local)
-            
-            // Ensure the student exists in the grid
-            if (!attendanceGrid[record.student_id]) {
-                console.log(`[${new Date().toISOString()}] Student ${record.student_id} not found in attendance grid`);
-                return;
-            }
-            
-            // Create the date entry if it doesn't exist
-            if (!attendanceGrid[record.student_id][recordDate]) {
-                attendanceGrid[record.student_id][recordDate] = {};
-            }
-            
-            // Store attendance by period if available, otherwise by general
-            if (record.period_id && attendanceGrid[record.student_id][recordDate][record.period_id] !== undefined) {
-                attendanceGrid[record.student_id][recordDate][record.period_id] = record.status;
-                console.log(`[${new Date().toISOString()}] Setting attendance for student ${record.student_id} on ${recordDate} for period ${record.period_id}: ${record.status}`);
-            } else {
-                // Fallback to general entry
-                attendanceGrid[record.student_id][recordDate]['general'] = record.status;
-                console.log(`[${new Date().toISOString()}] Setting attendance for student ${record.student_id} on ${recordDate}: ${record.status}`);
-            }
-        });
+        // Delete timetable periods for this class (HOD has full rights)
+        const periodsResult = await query('DELETE FROM timetable_periods WHERE class_id = $1', [class_id]);
+        console.log(`[${new Date().toISOString()}] Deleted ${periodsResult.rowCount} timetable periods`);
         
-        console.log(`[${new Date().toISOString()}] Final attendance grid sample:`, Object.keys(attendanceGrid).slice(0, 2).map(studentId => ({
-            studentId,
-            dates: Object.keys(attendanceGrid[studentId]).slice(0, 3).map(date => ({
-                date,
-                status: attendanceGrid[studentId][date]
-            }))
-        })));
+        // Then delete students in the class
+        const studentsResult = await query('DELETE FROM students WHERE class_id = $1', [class_id]);
+        console.log(`[${new Date().toISOString()}] Deleted ${studentsResult.rowCount} students`);
         
-        // Calculate navigation dates
-        let prevDate, nextDate;
-        if (view === 'week') {
-            prevDate = new Date(startDate);
-            prevDate.setDate(startDate.getDate() - 7);
-            nextDate = new Date(startDate);
-            nextDate.setDate(startDate.getDate() + 7);
-        } else {
-            prevDate = new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
-            nextDate = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1);
-        }
+        // Finally delete the class
+        const classResult = await query('DELETE FROM classes WHERE id = $1', [class_id]);
+        console.log(`[${new Date().toISOString()}] Deleted class: ${classResult.rowCount} rows affected`);
         
-        res.render('teacher/attendance-history', {
-            classInfo,
-            students,
-            dates,
-            attendanceGrid,
-            bookmarks,
-            teacherPeriodsOnSameDays,
-            view,
-            currentDate: formatDateLocal(currentDate),
-            prevDate: formatDateLocal(prevDate),
-            nextDate: formatDateLocal(nextDate),
-            startDate: formatDateLocal(startDate),
-            endDate: formatDateLocal(endDate),
-            user: req.session.user,
-            error: null
-        });
+        console.log(`[${new Date().toISOString()}] Class ${classDetails.class_name} deleted successfully`);
+        res.json({ success: true });
     } catch (err) {
-        console.error('Historical attendance error:', err);
-        res.redirect('/teacher/dashboard');
+        console.error('Delete class error:', err);
+        res.json({ success: false, message: err.message });
     }
 });
 
+// Fallback POST for environments that block DELETE
+app.post('/admin/classes/delete/:id', requireAdmin, async (req, res) => {
+    const class_id = req.params.id;
+    try {
+        // First delete related attendance records: the class's own and any taken in its periods
+        await deleteAttendanceAudited('class_id', class_id, req.session.user.id, '/admin/classes/delete', 'Class deleted');
+        await deleteClassPeriodAttendanceAudited(class_id, req.session.user.id, '/admin/classes/delete', 'Class deleted');
+        
+        // Delete timetable periods for this class (HOD has full rights)
+        await query('DELETE FROM timetable_periods WHERE class_id = $1', [class_id]);
+        
+        // Then delete students in the class
+        await query('DELETE FROM students WHERE class_id = $1', [class_id]);
+        
+        // Finally delete the class
+        await query('DELETE FROM classes WHERE id = $1', [class_id]);
+        
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete class (POST) error:', err);
+        res.json({ success: false, message: err.message });
+    }
+});
 
-// Bookmark/Festival Management Routes
+// Delete teacher
+app.delete('/admin/teachers/delete/:id', requireAdmin, async (req, res) => {
+    const teacher_id = req.params.id;
+    try {
+        // First unassign teacher from classes
+        await query('UPDATE classes SET teacher_id = NULL WHERE teacher_id = $1', [teacher_id]);
+        
+        // Unassign teacher from timetable periods (HOD has full rights)
+        await query('UPDATE timetable_periods SET teacher_id = NULL WHERE teacher_id = $1', [teacher_id]);
+        
+        // Set marked_by to NULL for attendance records marked by this teacher
+        await query('UPDATE attendance SET marked_by = NULL WHERE marked_by = $1', [teacher_id]);
+        
+        // Delete bookmarks created by this teacher (HOD has full rights)
+        await query('DELETE FROM bookmarks WHERE marked_by = $1', [teacher_id]);
+        
+        // Keep leave requests and disputes but drop the reference to this teacher
+        await query('UPDATE leave_requests SET teacher_id = NULL WHERE teacher_id = $1', [teacher_id]);
+        await query('UPDATE attendance_disputes SET resolved_by = NULL WHERE resolved_by = $1', [teacher_id]);
+        await query('UPDATE attendance SET scheduled_teacher_id = NULL WHERE scheduled_teacher_id = $1', [teacher_id]);
+        await query('UPDATE period_substitutions SET assigned_by = NULL WHERE assigned_by = $1', [teacher_id]);
+        await query('UPDATE extra_sessions SET teacher_id = NULL WHERE teacher_id = $1', [teacher_id]);
+        
+        // Delete teacher user account
+        await query('DELETE FROM users WHERE id = $1 AND role = \'teacher\'', [teacher_id]);
+        
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete teacher error:', err);
+        res.json({ success: false, message: err.message });
+    }
+});
 
-// Get bookmarks for a class and date range
-app.get('/api/bookmarks/:classId', requireTeacher, async (req, res) => {
-    const classId = req.params.classId;
-    const { startDate, endDate } = req.query;
-    
+// Fallback POST for environments that block DELETE
+app.post('/admin/teachers/delete/:id', requireAdmin, async (req, res) => {
+    const teacher_id = req.params.id;
     try {
-        let query = `
-            SELECT b.*, u.name as marked_by_name
-            FROM bookmarks b
-            LEFT JOIN users u ON b.marked_by = u.id
-            WHERE b.class_id = $1
-        `;
-        let params = [classId];
+        // First unassign teacher from classes
+        await query('UPDATE classes SET teacher_id = NULL WHERE teacher_id = $1', [teacher_id]);
         
-        if (startDate && endDate) {
-            query += ` AND b.date >= $2 AND b.date <= $3`;
-            params.push(startDate, endDate);
-        }
+        // Unassign teacher from timetable periods (HOD has full rights)
+        await query('UPDATE timetable_periods SET teacher_id = NULL WHERE teacher_id = $1', [teacher_id]);
         
-        query += ` ORDER BY b.date`;
+        // Set marked_by to NULL for attendance records marked by this teacher
+        await query('UPDATE attendance SET marked_by = NULL WHERE marked_by = $1', [teacher_id]);
         
-        const bookmarks = await queryAll(query, params);
-        res.json({ success: true, bookmarks });
+        // Delete bookmarks created by this teacher (HOD has full rights)
+        await query('DELETE FROM bookmarks WHERE marked_by = $1', [teacher_id]);
+        
+        // Keep leave requests and disputes but drop the reference to this teacher
+        await query('UPDATE leave_requests SET teacher_id = NULL WHERE teacher_id = $1', [teacher_id]);
+        await query('UPDATE attendance_disputes SET resolved_by = NULL WHERE resolved_by = $1', [teacher_id]);
+        await query('UPDATE attendance SET scheduled_teacher_id = NULL WHERE scheduled_teacher_id = $1', [teacher_id]);
+        await query('UPDATE period_substitutions SET assigned_by = NULL WHERE assigned_by = $1', [teacher_id]);
+        await query('UPDATE extra_sessions SET teacher_id = NULL WHERE teacher_id = $1', [teacher_id]);
+        
+        // Delete teacher user account
+        await query('DELETE FROM users WHERE id = $1 AND role = \'teacher\'', [teacher_id]);
+        
+        res.json({ success: true });
     } catch (err) {
-        console.error('Get bookmarks error:', err);
-        res.json({ success: false, error: err.message });
+        console.error('Delete teacher (POST) error:', err);
+        res.json({ success: false, message: err.message });
     }
 });
 
-// Add or update bookmark
-app.post('/api/bookmarks', requireTeacher, async (req, res) => {
-    const { date, title, description, classId } = req.body;
-    const teacherId = req.session.user.id;
-    
+// Delete student
+app.delete('/admin/students/delete/:id', requireAdmin, async (req, res) => {
+    const student_id = req.params.id;
     try {
-        // Check if bookmark already exists for this date and class
-        const existingBookmark = await queryOne(
-            'SELECT id FROM bookmarks WHERE date = $1 AND class_id = $2',
-            [date, classId]
-        );
+        // Get student info
+        const student = await queryOne('SELECT user_id, class_id FROM students WHERE id = $1', [student_id]);
         
-        let result;
-        if (existingBookmark) {
-            // Update existing bookmark
-            result = await query(`
-                UPDATE bookmarks 
-                SET title = $1, description = $2, marked_by = $3
-                WHERE date = $4 AND class_id = $5
-                RETURNING *
-            `, [title, description, teacherId, date, classId]);
-        } else {
-            // Create new bookmark
-            result = await query(`
-                INSERT INTO bookmarks (date, title, description, marked_by, class_id)
-                VALUES ($1, $2, $3, $4, $5)
-                RETURNING *
-            `, [date, title, description, teacherId, classId]);
+        if (student) {
+            // Delete attendance records
+            await deleteAttendanceAudited('student_id', student_id, req.session.user.id, '/admin/students/delete', 'Student deleted');
+            
+            // Delete student record
+            await query('DELETE FROM students WHERE id = $1', [student_id]);
+            
+            // Delete user account if exists
+            if (student.user_id) {
+                await query('DELETE FROM users WHERE id = $1 AND role = \'student\'', [student.user_id]);
+            }
+            
+            // Update class student count
+            await query(`
+                UPDATE classes SET total_students = (
+                    SELECT COUNT(*) FROM students WHERE class_id = $1
+                ) WHERE id = $1
+            `, [student.class_id]);
         }
         
-        res.json({ success: true, bookmark: result.rows[0] });
+        res.json({ success: true });
     } catch (err) {
-        console.error('Save bookmark error:', err);
-        res.json({ success: false, error: err.message });
+        console.error('Delete student error:', err);
+        res.json({ success: false, message: err.message });
     }
 });
 
-// Delete bookmark
-app.delete('/api/bookmarks/:id', requireTeacher, async (req, res) => {
-    const bookmarkId = req.params.id;
-    
+// Fallback: Some hosts block DELETE; support POST to delete as well
+app.post('/admin/students/delete/:id', requireAdmin, async (req, res) => {
+    const student_id = req.params.id;
     try {
-        await query('DELETE FROM bookmarks WHERE id = $1', [bookmarkId]);
+        // Get student info
+        const student = await queryOne('SELECT user_id, class_id FROM students WHERE id = $1', [student_id]);
+        
+        if (student) {
+            // Delete attendance records
+            await deleteAttendanceAudited('student_id', student_id, req.session.user.id, '/admin/students/delete', 'Student deleted');
+            
+            // Delete student record
+            await query('DELETE FROM students WHERE id = $1', [student_id]);
+            
+            // Delete user account if exists
+            if (student.user_id) {
+                await query('DELETE FROM users WHERE id = $1 AND role = \'student\'', [student.user_id]);
+            }
+            
+            // Update class student count
+            await query(`
+                UPDATE classes SET total_students = (
+                    SELECT COUNT(*) FROM students WHERE class_id = $1
+                ) WHERE id = $1
+            `, [student.class_id]);
+        }
+        
         res.json({ success: true });
     } catch (err) {
-        console.error('Delete bookmark error:', err);
-        res.json({ success: false, error: err.message });
+        console.error('Delete student via POST error:', err);
+        res.json({ success: false, message: err.message });
     }
 });
 
-// Update bulk attendance
+// Student routes
+app.get('/student/dashboard', requireAuth, async (req, res) => {
+    if (req.session.user.role !== 'student') {
+        if (req.session.user.role === 'admin') {
+            return res.redirect('/admin/dashboard');
+        }
+        return res.redirect('/teacher/dashboard');
+    }
 
+    // Same report periods as the teacher and HOD reports; anything unusable falls back to the full term
+    const range = parseReportRangeQuery(req.query, 'full');
+    const period = range.preset;
 
-// Get attendance reports
-app.get('/teacher/reports/:classId', requireTeacher, async (req, res) => {
-    const classId = req.params.classId;
-    const { period = 'week' } = req.query;
-    const teacherId = req.session.user.id;
-    
     try {
-        // First check if this teacher is assigned to teach this class
-        const teacherAssignment = await queryOne(`
-            SELECT DISTINCT tp.id
-            FROM timetable_periods tp
-            WHERE tp.class_id = $1 AND tp.teacher_id = $2 AND tp.is_break = false
-        `, [classId, teacherId]);
-        
-        if (!teacherAssignment) {
-            console.log(`[${new Date().toISOString()}] Teacher ${req.session.user.name} attempted to access reports for class ${classId} without assignment`);
-            return res.redirect('/teacher/dashboard');
-        }
-        let params = [classId, teacherId];
-        const today = new Date();
-        
-        let query = `
-            SELECT 
-                s.roll_no,
-                s.student_name,
-                COUNT(a.id) as total_days,
-                SUM(CASE WHEN a.status = 'P' THEN 1 ELSE 0 END) as present_days,
-                SUM(CASE WHEN a.status = 'A' THEN 1 ELSE 0 END) as absent_days,
-                ROUND(
-                    (SUM(CASE WHEN a.status = 'P' THEN 1 ELSE 0 END) * 100.0 / NULLIF(COUNT(a.id), 0)), 2
-                ) as attendance_percentage
-            FROM students s
-            LEFT JOIN attendance a ON s.id = a.student_id 
-            LEFT JOIN timetable_periods tp ON a.period_id = tp.id
-            WHERE s.class_id = $1 
-            AND (tp.teacher_id = $2 OR a.id IS NULL)
-        `;
-        
-        // Add date filter based on period - only when we have attendance records
-        switch(period) {
-            case 'week':
-                const weekAgo = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
-                query += ` AND (a.id IS NULL OR a.date >= $3)`;
-                params.push(weekAgo.toISOString().split('T')[0]);
-                break;
-            case 'month':
-                const monthAgo = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000);
-                query += ` AND (a.id IS NULL OR a.date >= $3)`;
-                params.push(monthAgo.toISOString().split('T')[0]);
-                break;
-            case 'full':
-            default:
-                // No date filter for full period
-                break;
+        // Find the student record linked to this login
+        const student = await getStudentForUser(req.session.user.id);
+
+        if (!student) {
+            return res.render('student/dashboard', {
+                student: null,
+                subjectSummary: [],
+                eligibility: [],
+                threshold: ATTENDANCE_THRESHOLD,
+                termEndDate: TERM_END_DATE,
+                overall: { attended: 0, total: 0, percentage: 0 },
+                period,
+                rangeLabel: getReportRangeLabel(range.period, {}),
+                user: req.session.user,
+                error: 'Your account is not linked to any class yet. Please contact the HOD.'
+            });
         }
-        
-        query += ` GROUP BY s.id, s.roll_no, s.student_name ORDER BY s.roll_no`;
-        
-        console.log('Generated SQL query:', query);
-        console.log('Parameters:', params);
-        
-        const report = await queryAll(query, params);
-        
-        const classInfo = await queryOne('SELECT * FROM classes WHERE id = $1', [classId]);
-        
-        res.render('teacher/reports', { 
-            report, 
-            classInfo, 
-            period, 
+
+        const subjectReport = await getSubjectWiseAttendance(student.class_id, range.period, student.id);
+        const { subjects, attended } = subjectReport;
+
+        const subjectSummary = subjects.map(subject => {
+            const attendedCount = (attended[student.id] && attended[student.id][subject.id]) || 0;
+            const total = getStudentSubjectTotal(subjectReport, student.id, subject.id);
+            return {
+                subject_name: subject.subject_name,
+                subject_code: subject.subject_code,
+                attended: attendedCount,
+                total,
+                percentage: total > 0 ? Math.round((attendedCount * 1000) / total) / 10 : 0
+            };
+        });
+
+        const overallAttended = subjectSummary.reduce((sum, s) => sum + s.attended, 0);
+        const overallTotal = subjectSummary.reduce((sum, s) => sum + s.total, 0);
+
+        // Eligibility is always projected from full-term numbers
+        const fullTerm = range.period === 'full'
+            ? subjectReport
+            : await getSubjectWiseAttendance(student.class_id, 'full', student.id);
+        const remainingPeriods = await getRemainingScheduledPeriods(student.class_id, student.id);
+
+        const eligibility = fullTerm.subjects.map(subject => {
+            const attendedCount = (fullTerm.attended[student.id] && fullTerm.attended[student.id][subject.id]) || 0;
+            const total = getStudentSubjectTotal(fullTerm, student.id, subject.id);
+            const remaining = remainingPeriods ? (remainingPeriods[subject.id] || 0) : null;
+            return {
+                subject_name: subject.subject_name,
+                attended: attendedCount,
+                total,
+                remaining,
+                ...projectEligibility(attendedCount, total, remaining)
+            };
+        });
+
+        res.render('student/dashboard', {
+            student,
+            subjectSummary,
+            eligibility,
+            threshold: ATTENDANCE_THRESHOLD,
+            termEndDate: TERM_END_DATE,
+            overall: {
+                attended: overallAttended,
+                total: overallTotal,
+                percentage: overallTotal > 0 ? Math.round((overallAttended * 1000) / overallTotal) / 10 : 0
+            },
+            period,
+            rangeLabel: getReportRangeLabel(range.period, subjectReport),
             user: req.session.user,
-            error: null 
+            error: range.error
         });
     } catch (err) {
-        console.error('Reports error:', err);
-        res.render('teacher/reports', { 
-            report: [], 
-            classInfo: { class_name: 'Unknown Class' }, 
-            period, 
+        console.error('Student dashboard error:', err);
+        res.render('student/dashboard', {
+            student: null,
+            subjectSummary: [],
+            eligibility: [],
+            threshold: ATTENDANCE_THRESHOLD,
+            termEndDate: TERM_END_DATE,
+            overall: { attended: 0, total: 0, percentage: 0 },
+            period,
+            rangeLabel: getReportRangeLabel(range.period, {}),
             user: req.session.user,
-            error: 'Database error' 
+            error: 'Database error'
         });
     }
 });
 
-app.get('/teacher/class-report/:classId', requireTeacher, async (req, res) => {
-    const classId = req.params.classId;
-    const teacherId = req.session.user.id;
-    const { period = 'full' } = req.query;
+// Student attendance calendar (one month at a time)
+app.get('/student/attendance/history', requireStudent, async (req, res) => {
+    const today = formatDateLocal(new Date());
+    const month = /^\d{4}-\d{2}$/.test(req.query.month || '') ? req.query.month : today.slice(0, 7);
+    const [year, monthNumber] = month.split('-').map(Number);
+    const monthStart = new Date(year, monthNumber - 1, 1);
+    const monthEnd = new Date(year, monthNumber, 0);
 
     try {
-        // First check if this teacher is assigned to teach this class
-        const teacherAssignment = await queryOne(`
-            SELECT DISTINCT tp.id
-            FROM timetable_periods tp
-            WHERE tp.class_id = $1 AND tp.teacher_id = $2 AND tp.is_break = false
-        `, [classId, teacherId]);
-
-        if (!teacherAssignment) {
-            return res.redirect('/teacher/dashboard');
+        const student = await getStudentForUser(req.session.user.id);
+        if (!student) {
+            return res.redirect('/student/dashboard');
         }
 
-        // Get all subjects for the class
-        const subjects = await queryAll(`
-            SELECT DISTINCT s.id, s.subject_name
-            FROM subjects s
-            JOIN timetable_periods tp ON s.id = tp.subject_id
-            WHERE tp.class_id = $1
-            ORDER BY s.subject_name
-        `, [classId]);
+        // Regular weekly timetable for the student's class (lab periods of other batches left out)
+        const timetablePeriods = await queryAll(`
+            SELECT tp.id, tp.day_of_week, tp.period_number, tp.start_time, tp.end_time,
+                   s.subject_name, s.subject_code
+            FROM timetable_periods tp
+            LEFT JOIN subjects s ON tp.subject_id = s.id
+            WHERE tp.class_id = $1 AND tp.is_break = false
+            AND ${studentTakesPeriodSql('$2')}
+            ORDER BY tp.day_of_week, tp.period_number
+        `, [student.class_id, student.id]);
 
-        // Get all students in the class
-        const students = await queryAll(`
-            SELECT id, roll_no, student_name
-            FROM students
-            WHERE class_id = $1
-            ORDER BY roll_no
-        `, [classId]);
+        // Same attendance -> period -> subject join as the teacher history page
+        const attendanceRecords = await queryAll(`
+            SELECT
+                a.date::date as date,
+                a.status,
+                a.period_id,
+                a.extra_session_id,
+                tp.period_number,
+                COALESCE(tp.start_time, es.start_time) as start_time,
+                COALESCE(tp.end_time, es.end_time) as end_time,
+                s.subject_name,
+                s.subject_code,
+                u.name as marked_by_name
+            FROM attendance a
+            LEFT JOIN timetable_periods tp ON a.period_id = tp.id
+            LEFT JOIN extra_sessions es ON a.extra_session_id = es.id
+            LEFT JOIN subjects s ON s.id = COALESCE(tp.subject_id, es.subject_id)
+            LEFT JOIN users u ON a.marked_by = u.id
+            WHERE a.student_id = $1
+            AND a.date::date >= $2::date
+            AND a.date::date <= $3::date
+            ORDER BY a.date::date, tp.period_number
+        `, [student.id, formatDateLocal(monthStart), formatDateLocal(monthEnd)]);
 
-        let dateFilter = '';
-        const params = [classId];
-        const today = new Date();
-
-        switch (period) {
-            case '2weeks':
-                const dayOfWeek = today.getDay();
-                // Calculate the start of the current week (Monday)
-                const daysToCurrentMonday = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
-                const currentWeekMonday = new Date(today);
-                currentWeekMonday.setDate(today.getDate() + daysToCurrentMonday);
-                
-                // Calculate the end of the current week (Sunday)
-                const currentWeekSunday = new Date(currentWeekMonday);
-                currentWeekSunday.setDate(currentWeekMonday.getDate() + 6);
-
-                // Calculate the start of the previous week (Monday)
-                const previousWeekMonday = new Date(currentWeekMonday);
-                previousWeekMonday.setDate(currentWeekMonday.getDate() - 7);
-
-                dateFilter = `AND a.date >= $2 AND a.date <= $3`;
-                params.push(formatDateLocal(previousWeekMonday), formatDateLocal(currentWeekSunday));
-                break;
-            case 'month':
-                // Get the first day of the current month
-                const firstDayOfCurrentMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-                dateFilter = `AND a.date >= $2`;
-                params.push(formatDateLocal(firstDayOfCurrentMonth));
-                break;
-        }
-
-        // Get timetable for the class to calculate total scheduled periods
-        const timetablePeriods = await queryAll(`
-            SELECT subject_id, day_of_week
-            FROM timetable_periods
-            WHERE class_id = $1 AND is_break = false
-        `, [classId]);
+        const bookmarks = await queryAll(`
+            SELECT date::date as date, title, description
+            FROM bookmarks
+            WHERE class_id = $1 AND date >= $2 AND date <= $3
+            ORDER BY date
+        `, [student.class_id, formatDateLocal(monthStart), formatDateLocal(monthEnd)]);
 
-        const totalClassesMap = {};
-        subjects.forEach(s => {
-            totalClassesMap[s.id] = 0;
-        });
+        const approvedLeaves = await queryAll(`
+            SELECT from_date, to_date, leave_type
+            FROM leave_requests
+            WHERE student_id = $1 AND status = 'approved' AND to_date >= $2 AND from_date <= $3
+        `, [student.id, formatDateLocal(monthStart), formatDateLocal(monthEnd)]);
 
-        let startDate, endDate;
-        const todayForTotal = new Date();
+        // Extra sessions count as scheduled periods even before they are marked
+        const extraSessions = await queryAll(`
+            SELECT es.id, es.date::date as date, es.start_time, es.end_time,
+                   s.subject_name, s.subject_code
+            FROM extra_sessions es
+            LEFT JOIN subjects s ON es.subject_id = s.id
+            WHERE es.class_id = $1 AND es.date >= $2 AND es.date <= $3
+            ORDER BY es.date, es.start_time
+        `, [student.class_id, formatDateLocal(monthStart), formatDateLocal(monthEnd)]);
 
-        if (period === '2weeks') {
-            const dayOfWeek = todayForTotal.getDay();
-            const daysToCurrentMonday = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
-            const currentWeekMonday = new Date(todayForTotal);
-            currentWeekMonday.setDate(todayForTotal.getDate() + daysToCurrentMonday);
-            
-            const previousWeekMonday = new Date(currentWeekMonday);
-            previousWeekMonday.setDate(currentWeekMonday.getDate() - 7);
-            
-            startDate = previousWeekMonday;
-            endDate = todayForTotal;
-        } else if (period === 'month') {
-            startDate = new Date(todayForTotal.getFullYear(), todayForTotal.getMonth(), 1);
-            endDate = todayForTotal;
-        } else { // full period
-            const firstAttendance = await queryOne(`SELECT MIN(date) as min_date FROM attendance WHERE class_id = $1`, [classId]);
-            if (firstAttendance && firstAttendance.min_date) {
-                startDate = new Date(firstAttendance.min_date);
-                endDate = todayForTotal;
-            }
-        }
+        const openDisputes = await queryAll(`
+            SELECT date, period_id
+            FROM attendance_disputes
+            WHERE student_id = $1 AND status = 'open' AND date >= $2 AND date <= $3
+        `, [student.id, formatDateLocal(monthStart), formatDateLocal(monthEnd)]);
+        const disputedPeriods = new Set(openDisputes.map(d => `${formatDateLocal(d.date)}-${d.period_id}`));
 
-        if (startDate && endDate) {
-            // Iterate through dates and count periods
-            for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-                const dayOfWeek = d.getDay(); // 0 for Sunday, 1 for Monday, etc.
-                const adjustedDayOfWeek = dayOfWeek === 0 ? 7 : dayOfWeek; // 1 for Monday, ..., 7 for Sunday
-
-                timetablePeriods.forEach(p => {
-                    if (p.day_of_week === adjustedDayOfWeek && p.subject_id && totalClassesMap[p.subject_id] !== undefined) {
-                        totalClassesMap[p.subject_id]++;
-                    }
-                });
-            }
-        }
+        const bookmarksByDate = {};
+        bookmarks.forEach(b => {
+            bookmarksByDate[formatDateLocal(b.date)] = b;
+        });
 
-        // Get attended classes for each student and subject
-        let attendedClassesQuery = `
-            SELECT a.student_id, tp.subject_id, COUNT(a.id) as attended
-            FROM attendance a
-            JOIN timetable_periods tp ON a.period_id = tp.id
-            WHERE a.class_id = $1 AND a.status = 'P'
-        `;
-        let attendedClassesParams = [classId];
+        const attendanceStatuses = await getAttendanceStatuses();
+        const statusWeights = {};
+        attendanceStatuses.forEach(st => {
+            statusWeights[st.status] = st.weight;
+        });
 
-        if (dateFilter) {
-            attendedClassesQuery += ` ${dateFilter}`;
-            // Push all date filter parameters (could be one or two)
-            attendedClassesParams.push(...params.slice(1));
-        }
+        const recordsByDate = {};
+        attendanceRecords.forEach(record => {
+            const recordDate = formatDateLocal(record.date);
+            if (!recordsByDate[recordDate]) {
+                recordsByDate[recordDate] = [];
+            }
+            recordsByDate[recordDate].push(record);
+        });
 
-        attendedClassesQuery += ` GROUP BY a.student_id, tp.subject_id`;
+        // Build one entry per calendar day with its periods, status and status weight
+        const days = [];
+        for (let d = new Date(monthStart); d <= monthEnd; d.setDate(d.getDate() + 1)) {
+            const dateStr = formatDateLocal(d);
+            const dayOfWeek = d.getDay() === 0 ? 7 : d.getDay();
+            const records = recordsByDate[dateStr] || [];
+            const periods = [];
 
-        const attendedClasses = await queryAll(attendedClassesQuery, attendedClassesParams);
+            // Scheduled periods are only meaningful for days that have already happened
+            if (dateStr <= today) {
+                timetablePeriods
+                    .filter(p => p.day_of_week === dayOfWeek)
+                    .forEach(p => {
+                        const record = records.find(r => r.period_id === p.id);
+                        periods.push({
+                            period_id: p.id,
+                            disputed: disputedPeriods.has(`${dateStr}-${p.id}`),
+                            period_number: p.period_number,
+                            subject_name: p.subject_name,
+                            subject_code: p.subject_code,
+                            start_time: p.start_time,
+                            end_time: p.end_time,
+                            status: record ? record.status : null,
+                            weight: record ? statusWeights[record.status] : null,
+                            marked_by_name: record ? record.marked_by_name : null
+                        });
+                    });
+            }
 
-        const attendedClassesMap = attendedClasses.reduce((acc, row) => {
-            if (!acc[row.student_id]) {
-                acc[row.student_id] = {};
+            if (dateStr <= today) {
+                extraSessions
+                    .filter(es => formatDateLocal(es.date) === dateStr)
+                    .forEach(es => {
+                        const record = records.find(r => r.extra_session_id === es.id);
+                        periods.push({
+                            period_id: null,
+                            is_extra: true,
+                            disputed: false,
+                            period_number: null,
+                            subject_name: es.subject_name,
+                            subject_code: es.subject_code,
+                            start_time: es.start_time,
+                            end_time: es.end_time,
+                            status: record ? record.status : null,
+                            weight: record ? statusWeights[record.status] : null,
+                            marked_by_name: record ? record.marked_by_name : null
+                        });
+                    });
             }
-            acc[row.student_id][row.subject_id] = row.attended;
-            return acc;
-        }, {});
 
-        const report = students.map(student => {
-            const studentReport = {
-                roll_no: student.roll_no,
-                student_name: student.student_name,
-                subjects: {}
-            };
-            subjects.forEach(subject => {
-                const attended = (attendedClassesMap[student.id] && attendedClassesMap[student.id][subject.id]) || 0;
-                const total = totalClassesMap[subject.id] || 0;
-                studentReport.subjects[subject.subject_name] = `${attended}/${total}`;
+            // Records that are not part of today's weekly timetable (general entries)
+            records
+                .filter(r => !r.extra_session_id && !timetablePeriods.some(p => p.id === r.period_id && p.day_of_week === dayOfWeek))
+                .forEach(r => {
+                    periods.push({
+                        period_id: r.period_id,
+                        disputed: disputedPeriods.has(`${dateStr}-${r.period_id}`),
+                        period_number: r.period_number,
+                        subject_name: r.subject_name || 'General',
+                        subject_code: r.subject_code,
+                        start_time: r.start_time,
+                        end_time: r.end_time,
+                        status: r.status,
+                        weight: statusWeights[r.status],
+                        marked_by_name: r.marked_by_name
+                    });
+                });
+
+            days.push({
+                date: dateStr,
+                dayNum: d.getDate(),
+                dayOfWeek,
+                isToday: dateStr === today,
+                bookmark: bookmarksByDate[dateStr] || null,
+                leave: approvedLeaves.find(l => dateStr >= formatDateLocal(l.from_date) && dateStr <= formatDateLocal(l.to_date)) || null,
+                periods
             });
-            return studentReport;
+        }
+
+        const absences = [];
+        days.forEach(day => {
+            day.periods
+                .filter(p => p.weight === 'absent')
+                .forEach(p => absences.push({ date: day.date, ...p }));
         });
 
-        const classInfo = await queryOne('SELECT * FROM classes WHERE id = $1', [classId]);
+        const prevMonth = formatDateLocal(new Date(year, monthNumber - 2, 1)).slice(0, 7);
+        const nextMonth = formatDateLocal(new Date(year, monthNumber, 1)).slice(0, 7);
 
-        res.render('teacher/class-report', {
-            report,
-            classInfo,
-            subjects,
-            period,
+        res.render('student/attendance-history', {
+            student,
+            days,
+            absences,
+            attendanceStatuses,
+            leadingBlanks: days[0].dayOfWeek - 1,
+            monthLabel: monthStart.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+            prevMonth,
+            nextMonth,
             user: req.session.user,
             error: null
         });
     } catch (err) {
-        console.error('Reports error:', err);
-        res.render('teacher/class-report', {
-            report: [],
-            classInfo: { class_name: 'Unknown Class' },
-            subjects: [],
-            period,
-            user: req.session.user,
-            error: 'Database error'
-        });
+        console.error('Student attendance history error:', err);
+        res.redirect('/student/dashboard');
     }
 });
 
-// Admin (HOD) routes
-app.get('/admin/dashboard', requireAdmin, async (req, res) => {
-    try {
-        const stats = await queryOne(`
-            SELECT 
-                (SELECT COUNT(*) FROM users WHERE role = 'teacher') as teachers,
-                (SELECT COUNT(*) FROM users WHERE role = 'student') as students,
-                (SELECT COUNT(*) FROM classes) as classes,
-                (SELECT COUNT(*) FROM students) as total_students
-        `);
-        console.log('Dashboard stats:', stats); // Debug log
-        res.render('admin/dashboard', { stats, user: req.session.user, error: null });
-    } catch (err) {
-        console.error('Admin dashboard error:', err);
-        res.render('admin/dashboard', { stats: {}, user: req.session.user, error: 'Database error' });
-    }
-});
+// Leave requests
 
-// Manage Classes
-app.get('/admin/classes', requireAdmin, async (req, res) => {
-    try {
-        // Prevent caching of this page
-        res.set({
-            'Cache-Control': 'no-cache, no-store, must-revalidate',
-            'Pragma': 'no-cache',
-            'Expires': '0'
-        });
-        
-        const classes = await queryAll(`
-            SELECT c.*, u.name as teacher_name 
-            FROM classes c 
-            LEFT JOIN users u ON c.teacher_id = u.id 
-            ORDER BY c.year, c.section
-        `);
-        const teachers = await queryAll('SELECT * FROM users WHERE role = \'teacher\' ORDER BY name');
-        res.render('admin/classes', { classes, teachers, user: req.session.user, error: null });
-    } catch (err) {
-        console.error('Classes error:', err);
-        res.render('admin/classes', { classes: [], teachers: [], user: req.session.user, error: 'Database error' });
-    }
-});
+const LEAVE_TYPES = ['medical', 'personal', 'other'];
+const LEAVE_ATTACHMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const LEAVE_ATTACHMENT_MAX_BYTES = 2 * 1024 * 1024;
 
-// Assign teacher to class
-app.post('/admin/classes/assign-teacher', requireAdmin, async (req, res) => {
-    const { class_id, teacher_id } = req.body;
-    
+// Student: own leave requests and the form to raise a new one
+app.get('/student/leave', requireStudent, async (req, res) => {
     try {
-        await query(
-            'UPDATE classes SET teacher_id = $1 WHERE id = $2',
-            [teacher_id, class_id]
-        );
-        
-        res.json({ success: true });
-    } catch (err) {
-        console.error('Assign teacher error:', err);
-        res.json({ success: false, error: err.message });
+        const student = await getStudentForUser(req.session.user.id);
+        if (!student) {
+            return res.redirect('/student/dashboard');
+        }
+
+        const leaveRequests = await queryAll(`
+            SELECT lr.id, lr.from_date, lr.to_date, lr.leave_type, lr.reason, lr.status,
+                   lr.attachment_name, lr.teacher_remarks, lr.hod_remarks, lr.created_at,
+                   t.name as teacher_name, h.name as hod_name
+            FROM leave_requests lr
+            LEFT JOIN users t ON lr.teacher_id = t.id
+            LEFT JOIN users h ON lr.hod_id = h.id
+            WHERE lr.student_id = $1
+            ORDER BY lr.created_at DESC
+        `, [student.id]);
+
+        res.render('student/leave', { student, leaveRequests, user: req.session.user, error: null });
+    } catch (err) {
+        console.error('Student leave page error:', err);
+        res.redirect('/student/dashboard');
     }
 });
 
-// Create new class
-app.post('/admin/classes/create', requireAdmin, async (req, res) => {
-    const { year, section } = req.body;
-    
-    console.log(`Attempting to create class: Year=${year}, Section=${section}`);
-    
+// Student: submit a leave request (JSON, attachment as base64)
+app.post('/student/leave', requireStudent, async (req, res) => {
+    const { from_date, to_date, leave_type, reason, attachment } = req.body;
+
     try {
-        // Validate input
-        if (!year || !section) {
-            console.log('Missing year or section');
-            return res.redirect('/admin/classes?error=Year and Section are required');
+        const student = await getStudentForUser(req.session.user.id);
+        if (!student) {
+            return res.json({ success: false, error: 'Your account is not linked to any class' });
         }
-        
-        // Check if class already exists
-        const existingClass = await queryOne(
-            'SELECT id, class_name FROM classes WHERE year = $1 AND section = $2',
-            [year, section]
-        );
-        
-        if (existingClass) {
-            console.log(`Class already exists: ${existingClass.class_name}`);
-            return res.redirect('/admin/classes?error=Class already exists for this year and section');
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(from_date || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to_date || '')) {
+            return res.json({ success: false, error: 'From and To dates are required' });
         }
-        
-        const className = `${year}${year == 1 ? 'st' : year == 2 ? 'nd' : year == 3 ? 'rd' : 'th'} Year IT-${section}`;
-        console.log(`Creating class: ${className}`);
-        
+        if (to_date < from_date) {
+            return res.json({ success: false, error: 'To date cannot be before From date' });
+        }
+        if (!reason || !reason.trim()) {
+            return res.json({ success: false, error: 'Please give a reason for the leave' });
+        }
+        if (leave_type && !LEAVE_TYPES.includes(leave_type)) {
+            return res.json({ success: false, error: 'Leave type must be medical, personal or other' });
+        }
+
+        let attachmentData = null;
+        if (attachment && attachment.data) {
+            if (!LEAVE_ATTACHMENT_TYPES.includes(attachment.type)) {
+                return res.json({ success: false, error: 'Attachment must be a PDF, JPG or PNG file' });
+            }
+            attachmentData = Buffer.from(attachment.data, 'base64');
+            if (attachmentData.length > LEAVE_ATTACHMENT_MAX_BYTES) {
+                return res.json({ success: false, error: 'Attachment must be smaller than 2 MB' });
+            }
+        }
+
         const result = await query(`
-            INSERT INTO classes (class_name, year, section, total_students)
-            VALUES ($1, $2, $3, 0)
-            RETURNING id, class_name
-        `, [className, year, section]);
-        
-        console.log(`Successfully created class: ${result.rows[0].class_name} with ID: ${result.rows[0].id}`);
-        res.redirect('/admin/classes?success=Class created successfully');
-        
+            INSERT INTO leave_requests (student_id, from_date, to_date, leave_type, reason,
+                                        attachment_name, attachment_type, attachment_data)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id
+        `, [student.id, from_date, to_date, leave_type || 'personal', reason.trim(),
+            attachmentData ? attachment.name : null, attachmentData ? attachment.type : null, attachmentData]);
+
+        console.log(`[${new Date().toISOString()}] Student ${student.student_name} requested leave ${from_date} to ${to_date}`);
+        res.json({ success: true, id: result.rows[0].id });
     } catch (err) {
-        console.error('Create class error:', err);
-        console.error('Error details:', err.message);
-        console.error('Error code:', err.code);
-        
-        let errorMessage = 'Failed to create class';
-        if (err.code === '23505') {
-            errorMessage = 'Class with this year and section already exists';
-        }
-        
-        res.redirect('/admin/classes?error=' + encodeURIComponent(errorMessage));
+        console.error('Create leave request error:', err);
+        res.json({ success: false, error: err.message });
     }
 });
 
-// Manage Subjects
-app.get('/admin/subjects', requireAdmin, async (req, res) => {
+// Download a leave attachment (owning student, the class's teachers, or HOD)
+app.get('/leave-requests/:id/attachment', requireAuth, async (req, res) => {
+    const leaveId = req.params.id;
+    const { role, id: userId } = req.session.user;
+
     try {
-        const subjects = await queryAll('SELECT * FROM subjects ORDER BY subject_name');
-        res.render('admin/subjects', { subjects, user: req.session.user, error: null, success: null });
+        const leave = await queryOne(`
+            SELECT lr.attachment_name, lr.attachment_type, lr.attachment_data, st.user_id, st.class_id
+            FROM leave_requests lr
+            JOIN students st ON lr.student_id = st.id
+            WHERE lr.id = $1
+        `, [leaveId]);
+
+        if (!leave || !leave.attachment_data) {
+            return res.status(404).send('Attachment not found');
+        }
+
+        let allowed = role === 'admin' || (role === 'student' && leave.user_id === userId);
+        if (role === 'teacher') {
+            const teacherAssignment = await queryOne(`
+                SELECT DISTINCT tp.id
+                FROM timetable_periods tp
+                WHERE tp.class_id = $1 AND tp.teacher_id = $2 AND tp.is_break = false
+            `, [leave.class_id, userId]);
+            allowed = !!teacherAssignment;
+        }
+        if (!allowed) {
+            return res.status(403).send('Access denied');
+        }
+
+        res.set({
+            'Content-Type': leave.attachment_type,
+            'Content-Disposition': `inline; filename="${(leave.attachment_name || 'attachment').replace(/"/g, '')}"`
+        });
+        res.send(leave.attachment_data);
     } catch (err) {
-        console.error('Subjects error:', err);
-        res.render('admin/subjects', { subjects: [], user: req.session.user, error: 'Database error', success: null });
+        console.error('Leave attachment error:', err);
+        res.status(500).send('Failed to load attachment');
     }
 });
 
-// Create new subject
-app.post('/admin/subjects/create', requireAdmin, async (req, res) => {
-    const { subject_name, subject_code, subject_type } = req.body;
-    
+// Teacher: leave requests from students of classes this teacher teaches
+app.get('/teacher/leave-requests', requireTeacher, async (req, res) => {
+    const teacherId = req.session.user.id;
+
     try {
-        await query(`
-            INSERT INTO subjects (subject_name, subject_code, subject_type)
-            VALUES ($1, $2, $3)
-        `, [subject_name, subject_code, subject_type]);
-        
-        res.redirect('/admin/subjects?success=Subject created successfully');
+        const leaveRequests = await queryAll(`
+            SELECT lr.id, lr.from_date, lr.to_date, lr.leave_type, lr.reason, lr.status,
+                   lr.attachment_name, lr.teacher_remarks, lr.hod_remarks, lr.created_at,
+                   st.student_name, st.roll_no, c.class_name, t.name as teacher_name
+            FROM leave_requests lr
+            JOIN students st ON lr.student_id = st.id
+            JOIN classes c ON st.class_id = c.id
+            LEFT JOIN users t ON lr.teacher_id = t.id
+            WHERE st.class_id IN (
+                SELECT DISTINCT class_id FROM timetable_periods
+                WHERE teacher_id = $1 AND is_break = false
+            )
+            ORDER BY (lr.status = 'pending') DESC, lr.created_at DESC
+            LIMIT 200
+        `, [teacherId]);
+
+        res.render('teacher/leave-requests', { leaveRequests, user: req.session.user, error: null });
     } catch (err) {
-        console.error('Create subject error:', err);
-        res.redirect('/admin/subjects?error=Failed to create subject');
+        console.error('Teacher leave requests error:', err);
+        res.render('teacher/leave-requests', { leaveRequests: [], user: req.session.user, error: 'Database error' });
     }
 });
 
-// Edit subject
-app.put('/admin/subjects/edit/:id', requireAdmin, async (req, res) => {
-    const subjectId = req.params.id;
-    const { subject_name, subject_code, subject_type } = req.body;
-    
+// Teacher: first-level approve/reject
+app.post('/teacher/leave-requests/:id/decision', requireTeacher, async (req, res) => {
+    const leaveId = req.params.id;
+    const { decision, remarks } = req.body;
+    const teacherId = req.session.user.id;
+
+    if (!['approve', 'reject'].includes(decision)) {
+        return res.json({ success: false, error: 'Invalid decision' });
+    }
+
     try {
+        const leave = await queryOne(`
+            SELECT lr.id, lr.status, st.class_id
+            FROM leave_requests lr
+            JOIN students st ON lr.student_id = st.id
+            WHERE lr.id = $1
+        `, [leaveId]);
+
+        if (!leave) {
+            return res.json({ success: false, error: 'Leave request not found' });
+        }
+
+        const teacherAssignment = await queryOne(`
+            SELECT DISTINCT tp.id
+            FROM timetable_periods tp
+            WHERE tp.class_id = $1 AND tp.teacher_id = $2 AND tp.is_break = false
+        `, [leave.class_id, teacherId]);
+
+        if (!teacherAssignment) {
+            return res.status(403).json({ success: false, error: 'Access denied to this class' });
+        }
+
+        if (leave.status !== 'pending') {
+            return res.json({ success: false, error: 'This request has already been processed' });
+        }
+
         await query(`
-            UPDATE subjects 
-            SET subject_name = $1, subject_code = $2, subject_type = $3
+            UPDATE leave_requests
+            SET status = $1, teacher_id = $2, teacher_remarks = $3, teacher_actioned_at = CURRENT_TIMESTAMP
             WHERE id = $4
-        `, [subject_name, subject_code, subject_type, subjectId]);
-        
+        `, [decision === 'approve' ? 'teacher_approved' : 'rejected', teacherId, remarks || null, leaveId]);
+
+        console.log(`[${new Date().toISOString()}] Teacher ${req.session.user.name} ${decision}d leave request ${leaveId}`);
         res.json({ success: true });
     } catch (err) {
-        console.error('Edit subject error:', err);
+        console.error('Teacher leave decision error:', err);
         res.json({ success: false, error: err.message });
     }
 });
 
-// Delete subject
-app.delete('/admin/subjects/delete/:id', requireAdmin, async (req, res) => {
-    const subjectId = req.params.id;
-    
+// HOD: final approval of leave requests
+app.get('/admin/leave-requests', requireAdmin, async (req, res) => {
+    const { status = 'teacher_approved' } = req.query;
+
     try {
-        // First check if subject is used in any timetables
-        const usageCheck = await queryOne(
-            'SELECT COUNT(*) as count FROM timetable_periods WHERE subject_id = $1', 
-            [subjectId]
-        );
-        
-        if (parseInt(usageCheck.count) > 0) {
-            return res.json({ success: false, error: 'Cannot delete subject as it is used in timetables' });
+        const params = [];
+        let whereClause = '';
+        if (status !== 'all') {
+            params.push(status);
+            whereClause = 'WHERE lr.status = $1';
         }
-        
-        await query('DELETE FROM subjects WHERE id = $1', [subjectId]);
+
+        const leaveRequests = await queryAll(`
+            SELECT lr.id, lr.from_date, lr.to_date, lr.leave_type, lr.reason, lr.status,
+                   lr.attachment_name, lr.teacher_remarks, lr.hod_remarks, lr.created_at,
+                   st.student_name, st.roll_no, c.class_name,
+                   t.name as teacher_name, h.name as hod_name
+            FROM leave_requests lr
+            JOIN students st ON lr.student_id = st.id
+            JOIN classes c ON st.class_id = c.id
+            LEFT JOIN users t ON lr.teacher_id = t.id
+            LEFT JOIN users h ON lr.hod_id = h.id
+            ${whereClause}
+            ORDER BY lr.created_at DESC
+            LIMIT 200
+        `, params);
+
+        res.render('admin/leave-requests', { leaveRequests, status, user: req.session.user, error: null });
+    } catch (err) {
+        console.error('Admin leave requests error:', err);
+        res.render('admin/leave-requests', { leaveRequests: [], status, user: req.session.user, error: 'Database error' });
+    }
+});
+
+app.post('/admin/leave-requests/:id/decision', requireAdmin, async (req, res) => {
+    const leaveId = req.params.id;
+    const { decision, remarks } = req.body;
+
+    if (!['approve', 'reject'].includes(decision)) {
+        return res.json({ success: false, error: 'Invalid decision' });
+    }
+
+    try {
+        const leave = await queryOne('SELECT id, status FROM leave_requests WHERE id = $1', [leaveId]);
+        if (!leave) {
+            return res.json({ success: false, error: 'Leave request not found' });
+        }
+        // HOD may also act directly on requests the class teachers have not picked up yet
+        if (!['pending', 'teacher_approved'].includes(leave.status)) {
+            return res.json({ success: false, error: 'This request has already been processed' });
+        }
+
+        await query(`
+            UPDATE leave_requests
+            SET status = $1, hod_id = $2, hod_remarks = $3, hod_actioned_at = CURRENT_TIMESTAMP
+            WHERE id = $4
+        `, [decision === 'approve' ? 'approved' : 'rejected', req.session.user.id, remarks || null, leaveId]);
+
+        console.log(`[${new Date().toISOString()}] HOD ${decision}d leave request ${leaveId}`);
         res.json({ success: true });
     } catch (err) {
-        console.error('Delete subject error:', err);
+        console.error('Admin leave decision error:', err);
         res.json({ success: false, error: err.message });
     }
 });
 
-// Timetable Management Routes
+// HOD: lesson log of a subject, with the attendance of each conducted period
+app.get('/admin/lesson-log', requireAdmin, async (req, res) => {
+    const filters = {
+        subjectId: req.query.subjectId || '',
+        classId: req.query.classId || '',
+        from: req.query.from || '',
+        to: req.query.to || ''
+    };
 
-// Get timetable management page
-app.get('/admin/timetable', requireAdmin, async (req, res) => {
     try {
-        const classes = await queryAll(`
-            SELECT c.*, COUNT(s.id) as student_count 
-            FROM classes c 
-            LEFT JOIN students s ON c.id = s.class_id 
-            GROUP BY c.id, c.class_name, c.year, c.section, c.teacher_id, c.total_students, c.created_at 
-            ORDER BY c.year, c.section
-        `);
-        
-        const subjects = await queryAll('SELECT * FROM subjects ORDER BY subject_name');
-        const teachers = await queryAll('SELECT id, name FROM users WHERE role = \'teacher\' ORDER BY name');
-        
-        res.render('admin/timetable', { 
-            classes, 
-            subjects, 
-            teachers, 
-            user: req.session.user, 
-            error: null 
-        });
+        const subjects = await queryAll('SELECT id, subject_name, subject_code FROM subjects ORDER BY subject_name');
+        const classes = await queryAll('SELECT id, class_name FROM classes ORDER BY year, section');
+
+        let logs = [];
+        if (filters.subjectId) {
+            const conditions = ['ll.subject_id = $1'];
+            const params = [filters.subjectId];
+            if (filters.classId) {
+                params.push(filters.classId);
+                conditions.push(`EXISTS (
+                    SELECT 1 FROM timetable_periods gp
+                    WHERE COALESCE(gp.linked_period_id, gp.id) = ll.period_id AND gp.class_id = $${params.length}
+                )`);
+            }
+            if (filters.from) {
+                params.push(filters.from);
+                conditions.push(`ll.date >= $${params.length}`);
+            }
+            if (filters.to) {
+                params.push(filters.to);
+                conditions.push(`ll.date <= $${params.length}`);
+            }
+
+            logs = await queryAll(`
+                SELECT ll.*, tp.period_number, u.name as teacher_name,
+                       (SELECT STRING_AGG(gc.class_name, ' + ' ORDER BY gc.year, gc.section)
+                        FROM timetable_periods gp JOIN classes gc ON gp.class_id = gc.id
+                        WHERE COALESCE(gp.linked_period_id, gp.id) = ll.period_id) as class_names,
+                       (SELECT COUNT(*) FROM attendance a
+                        JOIN timetable_periods gp ON a.period_id = gp.id
+                        JOIN attendance_status_weights w ON a.status = w.status
+                        WHERE COALESCE(gp.linked_period_id, gp.id) = ll.period_id AND a.date = ll.date
+                        AND w.weight = 'present') as present_count,
+                       (SELECT COUNT(*) FROM attendance a
+                        JOIN timetable_periods gp ON a.period_id = gp.id
+                        WHERE COALESCE(gp.linked_period_id, gp.id) = ll.period_id AND a.date = ll.date) as marked_count
+                FROM lesson_logs ll
+                JOIN timetable_periods tp ON ll.period_id = tp.id
+                LEFT JOIN users u ON ll.teacher_id = u.id
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY ll.date, tp.period_number
+            `, params);
+        }
+
+        res.render('admin/lesson-log', { subjects, classes, logs, filters, user: req.session.user, error: null });
     } catch (err) {
-        console.error('Timetable page error:', err);
-        res.render('admin/timetable', { 
-            classes: [], 
-            subjects: [], 
-            teachers: [], 
-            user: req.session.user, 
-            error: 'Database error' 
-        });
+        console.error('Admin lesson log error:', err);
+        res.render('admin/lesson-log', { subjects: [], classes: [], logs: [], filters, user: req.session.user, error: 'Database error' });
     }
 });
 
-// Get timetable for a specific class
-app.get('/api/timetable/:classId', requireAdmin, async (req, res) => {
-    const classId = req.params.classId;
-    
+// Defaulter list for one class or the whole department
+app.get('/admin/defaulters', requireAdmin, async (req, res) => {
     try {
-        const timetable = await queryAll(`
-            SELECT 
-                tp.*,
-                s.subject_name,
-                s.subject_code,
-                u.name as teacher_name
-            FROM timetable_periods tp
-            LEFT JOIN subjects s ON tp.subject_id = s.id
-            LEFT JOIN users u ON tp.teacher_id = u.id
-            WHERE tp.class_id = $1
-            ORDER BY tp.day_of_week, tp.period_number
-        `, [classId]);
-        
-        // Organize timetable by days
-        const organizedTimetable = {};
-        const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-        
-        days.forEach((day, index) => {
-            organizedTimetable[index + 1] = {
-                day: day,
-                periods: timetable.filter(period => period.day_of_week === index + 1)
-            };
-        });
-        
-        res.json({ success: true, timetable: organizedTimetable });
+        const classes = await queryAll('SELECT id, class_name, year, section FROM classes ORDER BY year, section');
+        await sendDefaulterReport(req, res, classes);
     } catch (err) {
-        console.error('Get timetable error:', err);
-        res.json({ success: false, error: err.message });
+        console.error('Admin defaulters error:', err);
+        res.render('defaulters', { classes: [], filters: {}, defaulters: [], rangeLabel: '', reportPeriods: getReportPeriodOptions(), user: req.session.user, error: 'Database error' });
     }
 });
 
-// Add or update timetable period
-app.post('/api/timetable/period', requireAdmin, async (req, res) => {
-    const { 
-        class_id, 
-        day_of_week, 
-        period_number, 
-        start_time, 
-        end_time, 
-        subject_id, 
-        teacher_id, 
-        is_break, 
-        break_name 
-    } = req.body;
-    
+// Syllabus editor: units and topics of a subject (?subjectId=)
+app.get('/admin/syllabus', requireAdmin, async (req, res) => {
+    const subjectId = req.query.subjectId || '';
+
     try {
-        // Check if period already exists
-        const existingPeriod = await queryOne(
-            'SELECT id FROM timetable_periods WHERE class_id = $1 AND day_of_week = $2 AND period_number = $3',
-            [class_id, day_of_week, period_number]
-        );
-        
-        let result;
-        if (existingPeriod) {
-            // Update existing period
-            result = await query(`
-                UPDATE timetable_periods 
-                SET start_time = $1, end_time = $2, subject_id = $3, teacher_id = $4, 
-                    is_break = $5, break_name = $6
-                WHERE class_id = $7 AND day_of_week = $8 AND period_number = $9
-                RETURNING *
-            `, [start_time, end_time, subject_id || null, teacher_id || null, 
-                is_break || false, break_name || null, class_id, day_of_week, period_number]);
-        } else {
-            // Create new period
-            result = await query(`
-                INSERT INTO timetable_periods 
-                (class_id, day_of_week, period_number, start_time, end_time, subject_id, teacher_id, is_break, break_name)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-                RETURNING *
-            `, [class_id, day_of_week, period_number, start_time, end_time, 
-                subject_id || null, teacher_id || null, is_break || false, break_name || null]);
-        }
-        
-        res.json({ success: true, period: result.rows[0] });
-    } catch (err) {
-        console.error('Save timetable period error:', err);
-        res.json({ success: false, error: err.message });
+        const subjects = await queryAll('SELECT id, subject_name, subject_code FROM subjects ORDER BY subject_name');
+        const units = subjectId ? await getSyllabus(subjectId) : [];
+        res.render('admin/syllabus', { subjects, subjectId, units, user: req.session.user, error: null });
+    } catch (err) {
+        console.error('Admin syllabus error:', err);
+        res.render('admin/syllabus', { subjects: [], subjectId, units: [], user: req.session.user, error: 'Database error' });
     }
 });
 
-// Delete timetable period with cascade deletion of attendance records
-app.delete('/api/timetable/period/:periodId', requireAdmin, async (req, res) => {
-    const periodId = req.params.periodId;
-    
+// Add a unit to a subject's syllabus
+app.post('/admin/syllabus/units', requireAdmin, async (req, res) => {
+    const { subject_id, unit_number, title } = req.body;
+
+    if (!subject_id || !title || !title.trim()) {
+        return res.json({ success: false, error: 'Subject and unit title are required' });
+    }
+    const unitNumber = parseInt(unit_number);
+    if (!Number.isInteger(unitNumber) || unitNumber < 1) {
+        return res.json({ success: false, error: 'Unit number must be a positive number' });
+    }
+
     try {
-        // First, get period details for logging
-        const periodDetails = await queryOne(`
-            SELECT tp.*, c.class_name, s.subject_name, u.name as teacher_name
-            FROM timetable_periods tp 
-            LEFT JOIN classes c ON tp.class_id = c.id 
-            LEFT JOIN subjects s ON tp.subject_id = s.id 
-            LEFT JOIN users u ON tp.teacher_id = u.id
-            WHERE tp.id = $1
-        `, [periodId]);
-        
-        if (!periodDetails) {
-            return res.status(404).json({ success: false, error: 'Period not found' });
+        const subject = await queryOne('SELECT id FROM subjects WHERE id = $1', [subject_id]);
+        if (!subject) {
+            return res.json({ success: false, error: 'Subject not found' });
         }
-        
-        // Count attendance records that will be deleted
-        const attendanceCount = await queryOne(
-            'SELECT COUNT(*) as count FROM attendance WHERE period_id = $1',
-            [periodId]
+        await query(
+            'INSERT INTO syllabus_units (subject_id, unit_number, title) VALUES ($1, $2, $3)',
+            [subject_id, unitNumber, title.trim()]
         );
-        
-        console.log(`[${new Date().toISOString()}] HOD deleting period: ${periodDetails.class_name} - ${periodDetails.subject_name || 'Break'} (Day ${periodDetails.day_of_week}, Period ${periodDetails.period_number})`);
-        console.log(`[${new Date().toISOString()}] This will also delete ${attendanceCount.count} attendance records`);
-        
-        // With CASCADE DELETE, we can now directly delete the period
-        // The attendance records will be automatically deleted
-        await query('DELETE FROM timetable_periods WHERE id = $1', [periodId]);
-        
-        console.log(`[${new Date().toISOString()}] Period and ${attendanceCount.count} attendance records deleted successfully`);
-        
-        res.json({ 
-            success: true, 
-            message: `Period deleted successfully. ${attendanceCount.count} attendance records were also removed.`,
-            deletedAttendanceCount: attendanceCount.count
-        });
+        res.json({ success: true });
     } catch (err) {
-        console.error('Delete timetable period error:', err);
-        res.status(500).json({ success: false, error: err.message });
+        console.error('Add syllabus unit error:', err);
+        res.json({ success: false, error: 'Failed to add unit' });
     }
 });
 
-// Manage Teachers
-app.get('/admin/teachers', requireAdmin, async (req, res) => {
+// Add topics to a unit, one per line, after the ones already there
+app.post('/admin/syllabus/units/:id/topics', requireAdmin, async (req, res) => {
+    const titles = String(req.body.topics || '')
+        .split('\n')
+        .map(t => t.trim())
+        .filter(t => t.length > 0);
+
+    if (titles.length === 0) {
+        return res.json({ success: false, error: 'Enter at least one topic' });
+    }
+    if (titles.some(t => t.length > 255)) {
+        return res.json({ success: false, error: 'Topic titles must be at most 255 characters' });
+    }
+
     try {
-        const teachers = await queryAll('SELECT * FROM users WHERE role = \'teacher\' ORDER BY name');
-        res.render('admin/teachers', { teachers, user: req.session.user, error: null });
+        const unit = await queryOne('SELECT id FROM syllabus_units WHERE id = $1', [req.params.id]);
+        if (!unit) {
+            return res.json({ success: false, error: 'Unit not found' });
+        }
+        const last = await queryOne(
+            'SELECT COALESCE(MAX(sort_order), 0) as sort_order FROM syllabus_topics WHERE unit_id = $1',
+            [unit.id]
+        );
+        let sortOrder = parseInt(last.sort_order);
+        for (const title of titles) {
+            sortOrder++;
+            await query(
+                'INSERT INTO syllabus_topics (unit_id, title, sort_order) VALUES ($1, $2, $3)',
+                [unit.id, title, sortOrder]
+            );
+        }
+        res.json({ success: true });
     } catch (err) {
-        console.error('Teachers error:', err);
-        res.render('admin/teachers', { teachers: [], user: req.session.user, error: 'Database error' });
+        console.error('Add syllabus topics error:', err);
+        res.json({ success: false, error: 'Failed to add topics' });
     }
 });
 
-// Add new teacher
-app.post('/admin/teachers/create', requireAdmin, async (req, res) => {
-    const { name, register_id } = req.body;
+// Delete a unit with its topics and their coverage
+app.post('/admin/syllabus/units/:id/delete', requireAdmin, async (req, res) => {
     try {
-        const username = register_id;
-        const password = await bcrypt.hash(register_id, 10); // Default password is register_id
-        
-        await query(`
-            INSERT INTO users (username, password, role, name, register_id)
-            VALUES ($1, $2, 'teacher', $3, $4)
-        `, [username, password, name, register_id]);
-        
-        res.redirect('/admin/teachers');
+        await query('DELETE FROM syllabus_units WHERE id = $1', [req.params.id]);
+        res.json({ success: true });
     } catch (err) {
-        console.error('Create teacher error:', err);
-        res.redirect('/admin/teachers?error=Failed to create teacher');
+        console.error('Delete syllabus unit error:', err);
+        res.json({ success: false, error: 'Failed to delete unit' });
     }
 });
 
-// Manage Students
-app.get('/admin/students', requireAdmin, async (req, res) => {
+// Delete a single topic and its coverage
+app.post('/admin/syllabus/topics/:id/delete', requireAdmin, async (req, res) => {
     try {
-        const classes = await queryAll('SELECT * FROM classes ORDER BY year, section');
-        const students = await queryAll(`
-            SELECT s.*, c.class_name, u.username 
-            FROM students s 
-            JOIN classes c ON s.class_id = c.id
-            LEFT JOIN users u ON s.user_id = u.id
-            ORDER BY c.year, c.section, s.roll_no
-        `);
-        res.render('admin/students', { classes, students, user: req.session.user, error: null });
+        await query('DELETE FROM syllabus_topics WHERE id = $1', [req.params.id]);
+        res.json({ success: true });
     } catch (err) {
-        console.error('Students error:', err);
-        res.render('admin/students', { classes: [], students: [], user: req.session.user, error: 'Database error' });
+        console.error('Delete syllabus topic error:', err);
+        res.json({ success: false, error: 'Failed to delete topic' });
     }
 });
 
-// Get students by class
-app.get('/admin/students/class/:classId', requireAdmin, async (req, res) => {
-    const classId = req.params.classId;
+// HOD: search the attendance audit trail
+app.get('/admin/audit-log', requireAdmin, async (req, res) => {
+    const filters = {
+        student: (req.query.student || '').trim(),
+        classId: req.query.classId || '',
+        from: req.query.from || '',
+        to: req.query.to || '',
+        changedBy: (req.query.changedBy || '').trim(),
+        source: req.query.source || ''
+    };
+
     try {
-        const students = await queryAll(`
-            SELECT s.*, u.username, u.register_id
-            FROM students s 
-            LEFT JOIN users u ON s.user_id = u.id
-            WHERE s.class_id = $1 
-            ORDER BY s.roll_no
-        `, [classId]);
-        
-        res.json({ success: true, students });
+        const conditions = [];
+        const params = [];
+        if (filters.student) {
+            params.push(`%${filters.student}%`);
+            conditions.push(`(st.student_name ILIKE $${params.length} OR su.register_id ILIKE $${params.length})`);
+        }
+        if (filters.classId) {
+            params.push(filters.classId);
+            conditions.push(`l.class_id = $${params.length}`);
+        }
+        if (filters.from) {
+            params.push(filters.from);
+            conditions.push(`l.date >= $${params.length}`);
+        }
+        if (filters.to) {
+            params.push(filters.to);
+            conditions.push(`l.date <= $${params.length}`);
+        }
+        if (filters.changedBy) {
+            params.push(`%${filters.changedBy}%`);
+            conditions.push(`u.name ILIKE $${params.length}`);
+        }
+        if (filters.source) {
+            params.push(filters.source);
+            conditions.push(`l.source = $${params.length}`);
+        }
+
+        const entries = await queryAll(`
+            SELECT l.*, st.student_name, st.roll_no, su.register_id, c.class_name,
+                   tp.period_number, COALESCE(s.subject_name, es_s.subject_name) as subject_name,
+                   u.name as changed_by_name
+            FROM attendance_audit_log l
+            LEFT JOIN students st ON l.student_id = st.id
+            LEFT JOIN users su ON st.user_id = su.id
+            LEFT JOIN classes c ON l.class_id = c.id
+            LEFT JOIN timetable_periods tp ON l.period_id = tp.id
+            LEFT JOIN subjects s ON tp.subject_id = s.id
+            LEFT JOIN extra_sessions es ON l.extra_session_id = es.id
+            LEFT JOIN subjects es_s ON es.subject_id = es_s.id
+            LEFT JOIN users u ON l.changed_by = u.id
+            ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+            ORDER BY l.changed_at DESC, l.id DESC
+            LIMIT 300
+        `, params);
+        const classes = await queryAll('SELECT id, class_name FROM classes ORDER BY year, section');
+        const sources = await queryAll('SELECT DISTINCT source FROM attendance_audit_log ORDER BY source');
+
+        res.render('admin/audit-log', { entries, classes, sources: sources.map(s => s.source), filters, user: req.session.user, error: null });
     } catch (err) {
-        console.error('Get students by class error:', err);
-        res.json({ success: false, error: err.message });
+        console.error('Audit log error:', err);
+        res.render('admin/audit-log', { entries: [], classes: [], sources: [], filters, user: req.session.user, error: 'Database error' });
     }
 });
 
-// Get all classes with updated student counts for dropdown refresh
-app.get('/admin/classes/list', requireAdmin, async (req, res) => {
+// Attendance locking
+
+// HOD: locked ranges and unlock requests
+app.get('/admin/attendance-locks', requireAdmin, async (req, res) => {
     try {
-        const classes = await queryAll('SELECT * FROM classes ORDER BY year, section');
-        res.json({ success: true, classes });
+        const classes = await queryAll('SELECT id, class_name FROM classes ORDER BY year, section');
+        const locks = await queryAll(`
+            SELECT l.*, c.class_name, u.name as locked_by_name
+            FROM attendance_locks l
+            JOIN classes c ON l.class_id = c.id
+            LEFT JOIN users u ON l.locked_by = u.id
+            ORDER BY l.start_date DESC, c.year, c.section
+        `);
+        const unlockRequests = await queryAll(`
+            SELECT r.*, c.class_name, t.name as teacher_name, d.name as decided_by_name
+            FROM attendance_unlock_requests r
+            JOIN classes c ON r.class_id = c.id
+            LEFT JOIN users t ON r.teacher_id = t.id
+            LEFT JOIN users d ON r.decided_by = d.id
+            ORDER BY (r.status = 'pending') DESC, r.created_at DESC
+            LIMIT 100
+        `);
+
+        res.render('admin/attendance-locks', {
+            classes, locks, unlockRequests,
+            lockDays: ATTENDANCE_LOCK_DAYS,
+            unlockHours: ATTENDANCE_UNLOCK_HOURS,
+            user: req.session.user,
+            error: null
+        });
     } catch (err) {
-        console.error('Get classes list error:', err);
-        res.json({ success: false, error: err.message });
+        console.error('Attendance locks error:', err);
+        res.render('admin/attendance-locks', {
+            classes: [], locks: [], unlockRequests: [],
+            lockDays: ATTENDANCE_LOCK_DAYS,
+            unlockHours: ATTENDANCE_UNLOCK_HOURS,
+            user: req.session.user,
+            error: 'Database error'
+        });
     }
 });
 
-// Delete all students in a class (and their attendance); HOD only
-app.delete('/admin/students/class/:classId', requireAdmin, async (req, res) => {
-    const classId = req.params.classId;
+// Lock a month (YYYY-MM) or a custom range such as a term, for one class or all of them
+app.post('/admin/attendance-locks', requireAdmin, async (req, res) => {
+    const { class_id, month, label } = req.body;
+    let { start_date, end_date } = req.body;
+
+    if (month) {
+        const [year, monthNumber] = month.split('-').map(Number);
+        if (!year || !monthNumber) {
+            return res.json({ success: false, error: 'Invalid month' });
+        }
+        start_date = formatDateLocal(new Date(year, monthNumber - 1, 1));
+        end_date = formatDateLocal(new Date(year, monthNumber, 0));
+    }
+    if (!start_date || !end_date || start_date > end_date) {
+        return res.json({ success: false, error: 'Choose a month, or a start date on or before the end date' });
+    }
+
     try {
-        // Delete attendance for all students of this class
-        await query(`DELETE FROM attendance WHERE class_id = $1`, [classId]);
-        // Delete students of this class
-        await query(`DELETE FROM students WHERE class_id = $1`, [classId]);
-        // Update class student count to 0
-        await query(`UPDATE classes SET total_students = 0 WHERE id = $1`, [classId]);
+        const classIds = class_id === 'all'
+            ? (await queryAll('SELECT id FROM classes')).map(c => c.id)
+            : [class_id];
+        for (const classId of classIds) {
+            await query(`
+                INSERT INTO attendance_locks (class_id, start_date, end_date, label, locked_by)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [classId, start_date, end_date, label || null, req.session.user.id]);
+        }
+
+        console.log(`[${new Date().toISOString()}] HOD locked attendance ${start_date} to ${end_date} for ${class_id === 'all' ? 'all classes' : `class ${class_id}`}`);
         res.json({ success: true });
     } catch (err) {
-        console.error('Delete all students error:', err);
+        console.error('Lock attendance error:', err);
         res.json({ success: false, error: err.message });
     }
 });
 
-// Fallback POST for environments that block DELETE
-app.post('/admin/students/class/:classId/delete-all', requireAdmin, async (req, res) => {
-    const classId = req.params.classId;
+app.post('/admin/attendance-locks/:id/delete', requireAdmin, async (req, res) => {
     try {
-        await query(`DELETE FROM attendance WHERE class_id = $1`, [classId]);
-        await query(`DELETE FROM students WHERE class_id = $1`, [classId]);
-        await query(`UPDATE classes SET total_students = 0 WHERE id = $1`, [classId]);
+        await query('DELETE FROM attendance_locks WHERE id = $1', [req.params.id]);
         res.json({ success: true });
     } catch (err) {
-        console.error('Delete all students (POST) error:', err);
+        console.error('Remove attendance lock error:', err);
         res.json({ success: false, error: err.message });
     }
 });
 
-// Delete entire class with all related data (HOD only)
-app.delete('/api/admin/class/:classId', requireAdmin, async (req, res) => {
-    const classId = req.params.classId;
-    
-    try {
-        // Get class details for logging
-        const classDetails = await queryOne('SELECT * FROM classes WHERE id = $1', [classId]);
-        if (!classDetails) {
-            return res.json({ success: false, error: 'Class not found' });
-        }
-        
-        // Count related records that will be deleted
-        const studentCount = await queryOne('SELECT COUNT(*) as count FROM students WHERE class_id = $1', [classId]);
-        const periodCount = await queryOne('SELECT COUNT(*) as count FROM timetable_periods WHERE class_id = $1', [classId]);
-        const attendanceCount = await queryOne('SELECT COUNT(*) as count FROM attendance WHERE class_id = $1', [classId]);
-        
-        console.log(`[${new Date().toISOString()}] HOD deleting class: ${classDetails.class_name}`);
-        console.log(`[${new Date().toISOString()}] This will delete: ${studentCount.count} students, ${periodCount.count} periods, ${attendanceCount.count} attendance records`);
-        
-        // Delete in the correct order to avoid foreign key constraints
-        // With CASCADE DELETE, attendance records will be automatically deleted when periods are deleted
-        // 1. Delete timetable periods (attendance records will be CASCADE deleted)
-        await query('DELETE FROM timetable_periods WHERE class_id = $1', [classId]);
-        
-        // 2. Delete students
-        await query('DELETE FROM students WHERE class_id = $1', [classId]);
-        
-        // 3. Finally delete the class
-        await query('DELETE FROM classes WHERE id = $1', [classId]);
-        
-        console.log(`[${new Date().toISOString()}] Class ${classDetails.class_name} and all related data deleted successfully`);
-        
-        res.json({ 
-            success: true, 
-            message: `Class "${classDetails.class_name}" deleted successfully.`,
-            deletedData: {
-                students: studentCount.count,
-                periods: periodCount.count,
-                attendance: attendanceCount.count
-            }
-        });
-    } catch (err) {
-        console.error('Delete class error:', err);
-        res.json({ success: false, error: err.message });
+app.post('/admin/unlock-requests/:id/decision', requireAdmin, async (req, res) => {
+    const { decision, remarks } = req.body;
+
+    if (!['approve', 'reject'].includes(decision)) {
+        return res.json({ success: false, error: 'Invalid decision' });
     }
-});
 
-// Delete all periods for a class (HOD only)
-app.delete('/api/admin/class/:classId/periods', requireAdmin, async (req, res) => {
-    const classId = req.params.classId;
-    
     try {
-        // Get class details for logging
-        const classDetails = await queryOne('SELECT * FROM classes WHERE id = $1', [classId]);
-        if (!classDetails) {
-            return res.json({ success: false, error: 'Class not found' });
+        const request = await queryOne('SELECT id, status FROM attendance_unlock_requests WHERE id = $1', [req.params.id]);
+        if (!request) {
+            return res.json({ success: false, error: 'Unlock request not found' });
         }
-        
-        // Count periods and attendance records that will be deleted
-        const periodCount = await queryOne('SELECT COUNT(*) as count FROM timetable_periods WHERE class_id = $1', [classId]);
-        const attendanceCount = await queryOne('SELECT COUNT(*) as count FROM attendance WHERE class_id = $1', [classId]);
-        
-        console.log(`[${new Date().toISOString()}] HOD deleting all periods for class: ${classDetails.class_name}`);
-        console.log(`[${new Date().toISOString()}] This will delete: ${periodCount.count} periods, ${attendanceCount.count} attendance records`);
-        
-        // With CASCADE DELETE, we can directly delete all timetable periods
-        // The attendance records will be automatically deleted
-        await query('DELETE FROM timetable_periods WHERE class_id = $1', [classId]);
-        
-        console.log(`[${new Date().toISOString()}] All periods for class ${classDetails.class_name} deleted successfully`);
-        
-        res.json({ 
-            success: true, 
-            message: `All periods for class "${classDetails.class_name}" deleted successfully.`,
-            deletedData: {
-                periods: periodCount.count,
-                attendance: attendanceCount.count
-            }
-        });
+        if (request.status !== 'pending') {
+            return res.json({ success: false, error: 'This request has already been processed' });
+        }
+
+        await query(`
+            UPDATE attendance_unlock_requests
+            SET status = $1, decided_by = $2, decision_remarks = $3, decided_at = CURRENT_TIMESTAMP,
+                expires_at = CASE WHEN $1 = 'approved' THEN CURRENT_TIMESTAMP + make_interval(hours => $4::int) END
+            WHERE id = $5
+        `, [decision === 'approve' ? 'approved' : 'rejected', req.session.user.id, remarks || null, ATTENDANCE_UNLOCK_HOURS, req.params.id]);
+
+        console.log(`[${new Date().toISOString()}] HOD ${decision}d attendance unlock request ${req.params.id}`);
+        res.json({ success: true });
     } catch (err) {
-        console.error('Delete all periods error:', err);
+        console.error('Unlock decision error:', err);
         res.json({ success: false, error: err.message });
     }
 });
 
-// Bulk update attendance records (for historical attendance editing)
-app.post('/api/attendance/bulk-update', requireTeacher, async (req, res) => {
-    const { classId, changes } = req.body;
+// Teacher: requests to edit locked attendance
+app.get('/teacher/unlock-requests', requireTeacher, async (req, res) => {
     const teacherId = req.session.user.id;
-    
     try {
-        // For historical attendance editing, teachers can edit any attendance for classes they have access to
-        // Check if teacher has any assignment to this class (for security) - no period restrictions for historical editing
-        const teacherAssignment = await queryOne(`
-            SELECT DISTINCT tp.id
-            FROM timetable_periods tp
-            WHERE tp.class_id = $1 AND tp.teacher_id = $2 AND tp.is_break = false
-        `, [classId, teacherId]);
-        
-        if (!teacherAssignment) {
-            return res.status(403).json({ success: false, error: 'Access denied to this class' });
-        }
-        
-        let updatedCount = 0;
-        
-        for (const change of changes) {
-            const { studentId, date, periodId, status } = change;
+        const classes = await queryAll(`
+            SELECT DISTINCT c.id, c.class_name, c.year, c.section
+            FROM classes c
+            JOIN timetable_periods tp ON tp.class_id = c.id
+            WHERE tp.teacher_id = $1 AND tp.is_break = false
+            ORDER BY c.year, c.section
+        `, [teacherId]);
+        const unlockRequests = await queryAll(`
+            SELECT r.*, c.class_name, d.name as decided_by_name
+            FROM attendance_unlock_requests r
+            JOIN classes c ON r.class_id = c.id
+            LEFT JOIN users d ON r.decided_by = d.id
+            WHERE r.teacher_id = $1
+            ORDER BY r.created_at DESC
+            LIMIT 50
+        `, [teacherId]);
 
-            if (periodId) {
-                // This is a period-specific update
-                if (!status || status === '') {
-                    await query('DELETE FROM attendance WHERE student_id = $1 AND date = $2 AND period_id = $3', [studentId, date, periodId]);
-                    updatedCount++;
-                } else {
-                    await query(`
-                        INSERT INTO attendance (student_id, class_id, period_id, date, status, marked_by)
-                        VALUES ($1, $2, $3, $4, $5, $6)
-                        ON CONFLICT (student_id, date, period_id)
-                        DO UPDATE SET status = $5, marked_by = $6
-                    `, [studentId, classId, periodId, date, status, teacherId]);
-                    updatedCount++;
-                }
-            } else {
-                // This is a general, non-period update (manual entry for a day without a scheduled class)
-                if (!status || status === '') {
-                    // Delete records for this student/date where there is no period
-                    await query('DELETE FROM attendance WHERE student_id = $1 AND date = $2 AND period_id IS NULL', [studentId, date]);
-                    updatedCount++;
-                } else {
-                    const existingRecord = await queryOne(
-                        'SELECT id FROM attendance WHERE student_id = $1 AND date = $2 AND period_id IS NULL',
-                        [studentId, date]
-                    );
-
-                    if (existingRecord) {
-                        await query(
-                            'UPDATE attendance SET status = $1, marked_by = $2 WHERE id = $3',
-                            [status, teacherId, existingRecord.id]
-                        );
-                    } else {
-                        await query(
-                            'INSERT INTO attendance (student_id, class_id, date, status, marked_by) VALUES ($1, $2, $3, $4, $5)',
-                            [studentId, classId, date, status, teacherId]
-                        );
-                    }
-                    updatedCount++;
-                }
-            }
-        }
-        
-        console.log(`[${new Date().toISOString()}] Teacher ${req.session.user.name} updated ${updatedCount} attendance records for class ${classId}`);
-        
-        res.json({ 
-            success: true, 
-            updatedCount: updatedCount,
-            message: `Successfully updated ${updatedCount} attendance records`
+        res.render('teacher/unlock-requests', {
+            classes, unlockRequests,
+            lockDays: ATTENDANCE_LOCK_DAYS,
+            today: getCurrentDateIST(),
+            user: req.session.user,
+            error: null
         });
-        
     } catch (err) {
-        console.error('Bulk attendance update error:', err);
-        res.status(500).json({ success: false, error: err.message });
+        console.error('Unlock requests error:', err);
+        res.render('teacher/unlock-requests', {
+            classes: [], unlockRequests: [],
+            lockDays: ATTENDANCE_LOCK_DAYS,
+            today: getCurrentDateIST(),
+            user: req.session.user,
+            error: 'Database error'
+        });
     }
 });
 
-// Add individual student
-app.post('/admin/students/add-individual', requireAdmin, async (req, res) => {
-    const { class_id, roll_no, name, register_id } = req.body;
-    
-    console.log('=== ADD INDIVIDUAL STUDENT REQUEST ===');
-    console.log('Request body:', { class_id, roll_no, name, register_id });
-    console.log('User:', req.session.user?.username);
-    
+app.post('/teacher/unlock-requests', requireTeacher, async (req, res) => {
+    const { class_id, start_date, end_date, reason } = req.body;
+    const teacherId = req.session.user.id;
+
+    if (!class_id || !start_date || !end_date || start_date > end_date) {
+        return res.json({ success: false, error: 'Choose a class and a start date on or before the end date' });
+    }
+    if (!reason || !reason.trim()) {
+        return res.json({ success: false, error: 'Please give a reason for the unlock' });
+    }
+
     try {
-        // Check if roll number already exists in the class
-        const existingStudent = await queryOne(
-            'SELECT id FROM students WHERE roll_no = $1 AND class_id = $2', 
-            [roll_no, class_id]
-        );
-        
-        if (existingStudent) {
-            return res.json({ success: false, error: 'Roll number already exists in this class' });
-        }
-        
-        // Check if register_id already exists
-        const existingRegister = await queryOne(
-            'SELECT id FROM users WHERE register_id = $1', 
-            [register_id]
+        const assignment = await queryOne(
+            'SELECT id FROM timetable_periods WHERE class_id = $1 AND teacher_id = $2 AND is_break = false LIMIT 1',
+            [class_id, teacherId]
         );
-        
-        if (existingRegister) {
-            return res.json({ success: false, error: 'Register ID already exists' });
+        if (!assignment) {
+            return res.status(403).json({ success: false, error: 'Access denied to this class' });
         }
-        
-        // Create user account for student
-        const username = register_id;
-        const password = await bcrypt.hash(register_id, 10);
-        
-        const userResult = await query(`
-            INSERT INTO users (username, password, role, name, register_id)
-            VALUES ($1, $2, 'student', $3, $4)
-            RETURNING id
-        `, [username, password, name, register_id]);
-        
-        const userId = userResult.rows[0].id;
-        
-        // Add to students table
-        await query(`
-            INSERT INTO students (user_id, roll_no, class_id, student_name)
-            VALUES ($1, $2, $3, $4)
-        `, [userId, roll_no, class_id, name]);
-        
-        // Update class student count
+
         await query(`
-            UPDATE classes SET total_students = (
-                SELECT COUNT(*) FROM students WHERE class_id = $1
-            ) WHERE id = $1
-        `, [class_id]);
-        
-        console.log('✅ Individual student added successfully:', name, 'Roll:', roll_no);
+            INSERT INTO attendance_unlock_requests (teacher_id, class_id, start_date, end_date, reason)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [teacherId, class_id, start_date, end_date, reason.trim()]);
+
+        console.log(`[${new Date().toISOString()}] Teacher ${req.session.user.name} requested an attendance unlock for class ${class_id}, ${start_date} to ${end_date}`);
         res.json({ success: true });
     } catch (err) {
-        console.error('Add individual student error:', err);
+        console.error('Create unlock request error:', err);
         res.json({ success: false, error: err.message });
     }
 });
 
-// Edit student
-app.put('/admin/students/edit/:studentId', requireAdmin, async (req, res) => {
-    const studentId = req.params.studentId;
-    const { roll_no, name, register_id } = req.body;
+// QR self check-in: a student scans the code projected by the teacher and is marked present
+app.get('/student/check-in', requireStudent, async (req, res) => {
+    const render = (success, message) => res.render('student/check-in', { success, message, user: req.session.user });
     
     try {
-        // Get current student info
-        const currentStudent = await queryOne(
-            'SELECT s.*, u.register_id as current_register_id FROM students s LEFT JOIN users u ON s.user_id = u.id WHERE s.id = $1', 
-            [studentId]
-        );
-        
-        if (!currentStudent) {
-            return res.json({ success: false, error: 'Student not found' });
+        const student = await getStudentForUser(req.session.user.id);
+        if (!student) {
+            return res.redirect('/student/dashboard');
         }
         
-        // Check if roll number conflicts with another student in the same class
-        if (roll_no !== currentStudent.roll_no) {
-            const existingRoll = await queryOne(
-                'SELECT id FROM students WHERE roll_no = $1 AND class_id = $2 AND id != $3', 
-                [roll_no, currentStudent.class_id, studentId]
-            );
-            
-            if (existingRoll) {
-                return res.json({ success: false, error: 'Roll number already exists in this class' });
-            }
+        const checkIn = verifyCheckInToken(req.query.t);
+        if (!checkIn || checkIn.date !== getCurrentDateIST()) {
+            return render(false, 'This check-in code has expired. Scan the code on the screen again.');
         }
         
-        // Check if register_id conflicts with another user
-        if (register_id !== currentStudent.current_register_id) {
-            const existingRegister = await queryOne(
-                'SELECT id FROM users WHERE register_id = $1 AND id != $2', 
-                [register_id, currentStudent.user_id]
-            );
-            
-            if (existingRegister) {
-                return res.json({ success: false, error: 'Register ID already exists' });
-            }
+        const period = await queryOne(`
+            SELECT tp.*, s.subject_name
+            FROM timetable_periods tp
+            LEFT JOIN subjects s ON tp.subject_id = s.id
+            WHERE tp.id = $1
+        `, [checkIn.periodId]);
+        if (!period) {
+            return render(false, 'Period not found');
         }
         
-        // Update student record
-        await query(`
-            UPDATE students SET roll_no = $1, student_name = $2 WHERE id = $3
-        `, [roll_no, name, studentId]);
+        // A mark the teacher has already made is left alone; they can still override a check-in
+        const periodGroup = await getCombinedPeriods(period.id);
+        const existing = await queryOne(
+            'SELECT status FROM attendance WHERE student_id = $1 AND date = $2 AND period_id = ANY($3::int[])',
+            [student.id, checkIn.date, periodGroup.map(p => p.id)]
+        );
+        if (existing) {
+            return render(existing.status === 'P', `Your attendance for ${period.subject_name} is already marked (${existing.status}).`);
+        }
         
-        // Update user record if user_id exists
-        if (currentStudent.user_id) {
-            await query(`
-                UPDATE users SET name = $1, register_id = $2, username = $2 WHERE id = $3
-            `, [name, register_id, currentStudent.user_id]);
+        const saveError = await savePeriodAttendance(period, student.id, checkIn.date, 'P', req.session.user.id, { source: '/student/check-in' });
+        if (saveError) {
+            return render(false, saveError);
         }
         
+        console.log(`[${new Date().toISOString()}] QR check-in: ${req.session.user.name} for period ${period.id}`);
+        render(true, `You are marked present for ${period.subject_name}.`);
+    } catch (err) {
+        console.error('QR check-in error:', err);
+        render(false, 'Check-in failed. Please ask your teacher to mark you.');
+    }
+});
+
+// Attendance disputes
+
+// Student: own correction requests
+app.get('/student/disputes', requireStudent, async (req, res) => {
+    try {
+        const student = await getStudentForUser(req.session.user.id);
+        if (!student) {
+            return res.redirect('/student/dashboard');
+        }
+
+        const disputes = await queryAll(`
+            SELECT d.*, tp.period_number, s.subject_name, u.name as resolved_by_name
+            FROM attendance_disputes d
+            LEFT JOIN timetable_periods tp ON d.period_id = tp.id
+            LEFT JOIN subjects s ON tp.subject_id = s.id
+            LEFT JOIN users u ON d.resolved_by = u.id
+            WHERE d.student_id = $1
+            ORDER BY d.created_at DESC
+        `, [student.id]);
+
+        res.render('student/disputes', { student, disputes, user: req.session.user, error: null });
+    } catch (err) {
+        console.error('Student disputes error:', err);
+        res.redirect('/student/dashboard');
+    }
+});
+
+app.post('/student/disputes', requireStudent, async (req, res) => {
+    const { date, period_id, requested_status, comment } = req.body;
+
+    if (!date || !period_id || !requested_status || !comment || !comment.trim()) {
+        return res.json({ success: false, error: 'Date, period, requested status and comment are required' });
+    }
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || formatDateLocal(parseDateLocal(date)) !== date) {
+        return res.json({ success: false, error: 'Invalid date' });
+    }
+    if (date > getCurrentDateIST()) {
+        return res.json({ success: false, error: 'Cannot dispute attendance for a future date' });
+    }
+
+    try {
+        const student = await getStudentForUser(req.session.user.id);
+        if (!student) {
+            return res.json({ success: false, error: 'Student record not found' });
+        }
+        if (!(await isValidAttendanceStatus(requested_status))) {
+            return res.json({ success: false, error: 'Invalid attendance status' });
+        }
+
+        const period = await queryOne(`
+            SELECT tp.id, tp.day_of_week
+            FROM timetable_periods tp
+            WHERE tp.id = $1 AND tp.class_id = $2 AND tp.is_break = false
+            AND ${studentTakesPeriodSql('$3')}
+        `, [period_id, student.class_id, student.id]);
+        if (!period) {
+            return res.json({ success: false, error: 'Period not found for your class' });
+        }
+
+        const record = await queryOne(
+            'SELECT status FROM attendance WHERE student_id = $1 AND date = $2 AND period_id = $3',
+            [student.id, date, period_id]
+        );
+        const jsDay = parseDateLocal(date).getDay();
+        const dayOfWeek = jsDay === 0 ? 7 : jsDay;
+        if (!record && period.day_of_week !== dayOfWeek) {
+            return res.json({ success: false, error: 'No attendance record for this period' });
+        }
+        if (record && record.status === requested_status) {
+            return res.json({ success: false, error: `Attendance is already marked as ${requested_status}` });
+        }
+
+        await query(`
+            INSERT INTO attendance_disputes (student_id, class_id, period_id, date, recorded_status, requested_status, comment)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [student.id, student.class_id, period_id, date, record ? record.status : null, requested_status, comment.trim()]);
+
+        console.log(`[${new Date().toISOString()}] Attendance dispute raised by ${student.student_name} for ${date} period ${period_id}`);
         res.json({ success: true });
     } catch (err) {
-        console.error('Edit student error:', err);
+        if (err.code === '23505') {
+            return res.json({ success: false, error: 'You already have an open dispute for this period' });
+        }
+        console.error('Create dispute error:', err);
         res.json({ success: false, error: err.message });
     }
 });
 
-// Add students to class (bulk upload)
-app.post('/admin/students/add', requireAdmin, async (req, res) => {
-    const { class_id, students_data } = req.body;
-    
-    console.log('=== BULK ADD STUDENTS REQUEST ===');
-    console.log('Class ID:', class_id);
-    console.log('User:', req.session.user?.username);
-    console.log('Students data length:', students_data?.length);
-    
+// Teacher: accept (applies the requested status) or reject an open dispute on one of their periods
+app.post('/teacher/disputes/:id/decision', requireTeacher, async (req, res) => {
+    const disputeId = req.params.id;
+    const teacherId = req.session.user.id;
+    const { decision, remarks } = req.body;
+
+    if (!['accept', 'reject'].includes(decision)) {
+        return res.json({ success: false, error: 'Invalid decision' });
+    }
+    if (decision === 'reject' && (!remarks || !remarks.trim())) {
+        return res.json({ success: false, error: 'A reason is required to reject a dispute' });
+    }
+
     try {
-        const studentsArray = JSON.parse(students_data);
-        console.log('Parsed students array:', studentsArray.length, 'students');
-        
-        for (const student of studentsArray) {
-            const { roll_no, name, register_id } = student;
-            
-            // Check if roll number already exists in the class
-            const existingStudent = await queryOne(
-                'SELECT id FROM students WHERE roll_no = $1 AND class_id = $2', 
-                [roll_no, class_id]
-            );
-            
-            if (existingStudent) {
-                throw new Error(`Roll number ${roll_no} already exists in this class`);
+        const dispute = await queryOne(`
+            SELECT d.*, tp.teacher_id
+            FROM attendance_disputes d
+            JOIN timetable_periods tp ON d.period_id = tp.id
+            WHERE d.id = $1
+        `, [disputeId]);
+        if (!dispute || dispute.teacher_id !== teacherId) {
+            return res.status(403).json({ success: false, error: 'Access denied to this dispute' });
+        }
+        if (dispute.status !== 'open') {
+            return res.json({ success: false, error: 'This dispute has already been resolved' });
+        }
+
+        if (decision === 'accept') {
+            const lockError = await getAttendanceLockError(dispute.class_id, formatDateLocal(dispute.date), teacherId);
+            if (lockError) {
+                return res.json({ success: false, error: lockError });
             }
-            
-            // Check if register_id already exists
-            const existingRegister = await queryOne(
-                'SELECT id FROM users WHERE register_id = $1', 
-                [register_id]
-            );
-            
-            if (existingRegister) {
-                throw new Error(`Register ID ${register_id} already exists`);
+        }
+
+        // Resolve only while still open, so a second or replayed decision cannot apply the change again
+        const resolved = await query(`
+            UPDATE attendance_disputes
+            SET status = $1, resolved_by = $2, resolution_remarks = $3, resolved_at = CURRENT_TIMESTAMP
+            WHERE id = $4 AND status = 'open'
+        `, [decision === 'accept' ? 'accepted' : 'rejected', teacherId, remarks || null, disputeId]);
+        if (resolved.rowCount === 0) {
+            return res.json({ success: false, error: 'This dispute has already been resolved' });
+        }
+
+        if (decision === 'accept') {
+            try {
+                await applyAttendanceChange(dispute.class_id, {
+                    studentId: dispute.student_id,
+                    date: formatDateLocal(dispute.date),
+                    periodId: dispute.period_id,
+                    status: dispute.requested_status
+                }, teacherId, '/teacher/disputes/:id/decision', `Dispute #${dispute.id}: ${dispute.comment}${remarks ? ` (${remarks})` : ''}`);
+            } catch (err) {
+                // Reopen the dispute so the decision can be made again
+                await query(`
+                    UPDATE attendance_disputes
+                    SET status = 'open', resolved_by = NULL, resolution_remarks = NULL, resolved_at = NULL
+                    WHERE id = $1
+                `, [disputeId]);
+                throw err;
             }
-            
-            // Create user account for student
-            const username = register_id;
-            const password = await bcrypt.hash(register_id, 10); // Default password is register_id
-            
-            const userResult = await query(`
-                INSERT INTO users (username, password, role, name, register_id)
-                VALUES ($1, $2, 'student', $3, $4)
-                RETURNING id
-            `, [username, password, name, register_id]);
-            
-            const userId = userResult.rows[0].id;
-            
-            // Add to students table
-            await query(`
-                INSERT INTO students (user_id, roll_no, class_id, student_name)
-                VALUES ($1, $2, $3, $4)
-            `, [userId, roll_no, class_id, name]);
         }
-        
-        // Update class student count
-        await query(`
-            UPDATE classes SET total_students = (
-                SELECT COUNT(*) FROM students WHERE class_id = $1
-            ) WHERE id = $1
-        `, [class_id]);
-        
-        console.log(`✅ Bulk students added successfully: ${studentsArray.length} students to class ${class_id}`);
+
+        console.log(`[${new Date().toISOString()}] Teacher ${req.session.user.name} ${decision}ed attendance dispute ${disputeId}`);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Dispute decision error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+// Substitute teachers
+
+// Upcoming substitutions (today onwards); extraWhere/params narrow them down for one teacher
+const getUpcomingSubstitutions = async (extraWhere = '', params = []) => {
+    return queryAll(`
+        SELECT ps.id, ps.date, ps.reason, ps.substitute_teacher_id,
+               tp.period_number, tp.start_time, tp.end_time, tp.teacher_id as scheduled_teacher_id,
+               c.class_name, s.subject_name,
+               sub.name as substitute_name, owner.name as scheduled_teacher_name, ab.name as assigned_by_name
+        FROM period_substitutions ps
+        JOIN timetable_periods tp ON ps.period_id = tp.id
+        JOIN classes c ON tp.class_id = c.id
+        LEFT JOIN subjects s ON tp.subject_id = s.id
+        LEFT JOIN users sub ON ps.substitute_teacher_id = sub.id
+        LEFT JOIN users owner ON tp.teacher_id = owner.id
+        LEFT JOIN users ab ON ps.assigned_by = ab.id
+        WHERE ps.date >= $1 ${extraWhere}
+        ORDER BY ps.date, tp.start_time
+    `, [getCurrentDateIST(), ...params]);
+};
+
+// Remove a substitution, together with the matching ones of a combined-section period
+const deleteSubstitution = async (substitution) => {
+    const periodGroup = await getCombinedPeriods(substitution.period_id);
+    await query(
+        'DELETE FROM period_substitutions WHERE date = $1 AND period_id = ANY($2::int[])',
+        [substitution.date, periodGroup.map(p => p.id)]
+    );
+};
+
+// Validate and save a substitution. Returns an error message, or null on success.
+const saveSubstitution = async ({ periodId, date, substituteId, reason, assignedBy }) => {
+    if (!periodId || !date || !substituteId) {
+        return 'Date, period and substitute teacher are required';
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return 'Invalid date';
+    }
+    if (date < getCurrentDateIST()) {
+        return 'Substitutions cannot be assigned for past dates';
+    }
+
+    const period = await queryOne('SELECT * FROM timetable_periods WHERE id = $1 AND is_break = false', [periodId]);
+    if (!period) {
+        return 'Period not found';
+    }
+    const jsDay = parseDateLocal(date).getDay();
+    if (period.day_of_week !== (jsDay === 0 ? 7 : jsDay)) {
+        return 'This period is not scheduled on the chosen date';
+    }
+
+    const substitute = await queryOne('SELECT id, name FROM users WHERE id = $1 AND role = \'teacher\'', [substituteId]);
+    if (!substitute) {
+        return 'Substitute teacher not found';
+    }
+    if (substitute.id === period.teacher_id) {
+        return 'The substitute must be a different teacher';
+    }
+
+    // A combined-section period is handed over for every class taught together
+    const periodGroup = await getCombinedPeriods(period.id);
+    const groupIds = periodGroup.map(p => p.id);
+
+    // The substitute must be free: no overlapping period they take on that date
+    const clash = await queryOne(`
+        SELECT tp.id
+        FROM timetable_periods tp
+        WHERE ${teacherTakesPeriodSql('$1', '$2')}
+        AND tp.day_of_week = $3
+        AND tp.is_break = false
+        AND NOT (tp.id = ANY($4::int[]))
+        AND tp.start_time < $6
+        AND tp.end_time > $5
+        LIMIT 1
+    `, [substitute.id, date, period.day_of_week, groupIds, period.start_time, period.end_time]);
+    if (clash) {
+        return `${substitute.name} already has a class at that time`;
+    }
+
+    for (const groupPeriodId of groupIds) {
+        await query(`
+            INSERT INTO period_substitutions (period_id, date, substitute_teacher_id, assigned_by, reason)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (period_id, date)
+            DO UPDATE SET substitute_teacher_id = $3, assigned_by = $4, reason = $5, created_at = CURRENT_TIMESTAMP
+        `, [groupPeriodId, date, substitute.id, assignedBy, reason || null]);
+    }
+
+    console.log(`[${new Date().toISOString()}] Substitute ${substitute.name} assigned to period ${period.id} on ${date}`);
+    return null;
+};
+
+app.get('/admin/substitutions', requireAdmin, async (req, res) => {
+    try {
+        const periods = await queryAll(`
+            SELECT tp.id, tp.day_of_week, tp.period_number, tp.teacher_id,
+                   c.class_name, s.subject_name, u.name as teacher_name
+            FROM timetable_periods tp
+            JOIN classes c ON tp.class_id = c.id
+            LEFT JOIN subjects s ON tp.subject_id = s.id
+            LEFT JOIN users u ON tp.teacher_id = u.id
+            WHERE tp.is_break = false
+            ORDER BY c.year, c.section, tp.day_of_week, tp.period_number
+        `);
+        const teachers = await queryAll('SELECT id, name FROM users WHERE role = \'teacher\' ORDER BY name');
+        const substitutions = await getUpcomingSubstitutions();
+
+        res.render('admin/substitutions', { periods, teachers, substitutions, today: getCurrentDateIST(), user: req.session.user, error: null });
+    } catch (err) {
+        console.error('Admin substitutions error:', err);
+        res.render('admin/substitutions', { periods: [], teachers: [], substitutions: [], today: getCurrentDateIST(), user: req.session.user, error: 'Database error' });
+    }
+});
+
+app.post('/admin/substitutions', requireAdmin, async (req, res) => {
+    const { period_id, date, substitute_teacher_id, reason } = req.body;
+    try {
+        const error = await saveSubstitution({
+            periodId: period_id,
+            date,
+            substituteId: substitute_teacher_id,
+            reason,
+            assignedBy: req.session.user.id
+        });
+        res.json(error ? { success: false, error } : { success: true });
+    } catch (err) {
+        console.error('Admin save substitution error:', err);
+        res.json({ success: false, error: err.message });
+    }
+});
+
+app.post('/admin/substitutions/:id/delete', requireAdmin, async (req, res) => {
+    try {
+        const substitution = await queryOne('SELECT period_id, date FROM period_substitutions WHERE id = $1', [req.params.id]);
+        if (substitution) {
+            await deleteSubstitution(substitution);
+        }
         res.json({ success: true });
     } catch (err) {
-        console.error('Add students error:', err);
+        console.error('Admin delete substitution error:', err);
         res.json({ success: false, error: err.message });
     }
 });
 
-// Password management
-app.get('/admin/passwords', requireAdmin, async (req, res) => {
+// Teacher: hand over own periods, and see the periods they are covering
+app.get('/teacher/substitutions', requireTeacher, async (req, res) => {
+    const teacherId = req.session.user.id;
     try {
-        const users = await queryAll(`
-            SELECT id, username, name, role, register_id 
-            FROM users 
-            WHERE role IN ('teacher', 'student') 
-            ORDER BY role, name
-        `);
-        res.render('admin/passwords', { users, user: req.session.user, error: null });
+        const periods = await queryAll(`
+            SELECT tp.id, tp.day_of_week, tp.period_number, tp.teacher_id,
+                   c.class_name, s.subject_name
+            FROM timetable_periods tp
+            JOIN classes c ON tp.class_id = c.id
+            LEFT JOIN subjects s ON tp.subject_id = s.id
+            WHERE tp.teacher_id = $1 AND tp.is_break = false
+            ORDER BY tp.day_of_week, tp.period_number
+        `, [teacherId]);
+        const teachers = await queryAll('SELECT id, name FROM users WHERE role = \'teacher\' AND id <> $1 ORDER BY name', [teacherId]);
+        const handedOver = await getUpcomingSubstitutions('AND tp.teacher_id = $2', [teacherId]);
+        const covering = await getUpcomingSubstitutions('AND ps.substitute_teacher_id = $2', [teacherId]);
+
+        res.render('teacher/substitutions', { periods, teachers, handedOver, covering, today: getCurrentDateIST(), user: req.session.user, error: null });
     } catch (err) {
-        console.error('Password management error:', err);
-        res.render('admin/passwords', { users: [], user: req.session.user, error: 'Database error' });
+        console.error('Teacher substitutions error:', err);
+        res.render('teacher/substitutions', { periods: [], teachers: [], handedOver: [], covering: [], today: getCurrentDateIST(), user: req.session.user, error: 'Database error' });
     }
 });
 
-// Reset password
-app.post('/admin/reset-password', requireAdmin, async (req, res) => {
-    const { user_id } = req.body;
+app.post('/teacher/substitutions', requireTeacher, async (req, res) => {
+    const { period_id, date, substitute_teacher_id, reason } = req.body;
     try {
-        const user = await queryOne('SELECT register_id FROM users WHERE id = $1', [user_id]);
-        const newPassword = await bcrypt.hash(user.register_id, 10);
-        
-        await query('UPDATE users SET password = $1 WHERE id = $2', [newPassword, user_id]);
-        
-        res.json({ success: true });
+        // Teachers may only hand over their own periods
+        const period = await queryOne('SELECT id FROM timetable_periods WHERE id = $1 AND teacher_id = $2', [period_id, req.session.user.id]);
+        if (!period) {
+            return res.status(403).json({ success: false, error: 'You can only assign substitutes for your own periods' });
+        }
+
+        const error = await saveSubstitution({
+            periodId: period_id,
+            date,
+            substituteId: substitute_teacher_id,
+            reason,
+            assignedBy: req.session.user.id
+        });
+        res.json(error ? { success: false, error } : { success: true });
     } catch (err) {
-        console.error('Reset password error:', err);
+        console.error('Teacher save substitution error:', err);
         res.json({ success: false, error: err.message });
     }
 });
 
-// Delete class
-app.delete('/admin/classes/delete/:id', requireAdmin, async (req, res) => {
-    const class_id = req.params.id;
+app.post('/teacher/substitutions/:id/delete', requireTeacher, async (req, res) => {
     try {
-        console.log(`[${new Date().toISOString()}] HOD deleting class ID: ${class_id}`);
-        
-        // Get class details before deletion for logging
-        const classDetails = await queryOne('SELECT * FROM classes WHERE id = $1', [class_id]);
-        if (!classDetails) {
-            return res.json({ success: false, message: 'Class not found' });
+        const substitution = await queryOne(`
+            SELECT ps.period_id, ps.date
+            FROM period_substitutions ps
+            JOIN timetable_periods tp ON ps.period_id = tp.id
+            WHERE ps.id = $1 AND tp.teacher_id = $2
+        `, [req.params.id, req.session.user.id]);
+        if (!substitution) {
+            return res.status(403).json({ success: false, error: 'Substitution not found for your periods' });
         }
-        
-        console.log(`[${new Date().toISOString()}] Deleting class: ${classDetails.class_name}`);
-        
-        // First delete related attendance records
-        const attendanceResult = await query('DELETE FROM attendance WHERE class_id = $1', [class_id]);
-        console.log(`[${new Date().toISOString()}] Deleted ${attendanceResult.rowCount} attendance records`);
-        
-        // Delete timetable periods for this class (HOD has full rights)
-        const periodsResult = await query('DELETE FROM timetable_periods WHERE class_id = $1', [class_id]);
-        console.log(`[${new Date().toISOString()}] Deleted ${periodsResult.rowCount} timetable periods`);
-        
-        // Then delete students in the class
-        const studentsResult = await query('DELETE FROM students WHERE class_id = $1', [class_id]);
-        console.log(`[${new Date().toISOString()}] Deleted ${studentsResult.rowCount} students`);
-        
-        // Finally delete the class
-        const classResult = await query('DELETE FROM classes WHERE id = $1', [class_id]);
-        console.log(`[${new Date().toISOString()}] Deleted class: ${classResult.rowCount} rows affected`);
-        
-        console.log(`[${new Date().toISOString()}] Class ${classDetails.class_name} deleted successfully`);
+        await deleteSubstitution(substitution);
         res.json({ success: true });
     } catch (err) {
-        console.error('Delete class error:', err);
-        res.json({ success: false, message: err.message });
+        console.error('Teacher delete substitution error:', err);
+        res.json({ success: false, error: err.message });
     }
 });
 
-// Fallback POST for environments that block DELETE
-app.post('/admin/classes/delete/:id', requireAdmin, async (req, res) => {
-    const class_id = req.params.id;
+// Extra / makeup sessions: one-off periods outside the weekly timetable
+app.get('/teacher/extra-sessions', requireTeacher, async (req, res) => {
+    const teacherId = req.session.user.id;
+    const since = parseDateLocal(getCurrentDateIST());
+    since.setDate(since.getDate() - 30);
     try {
-        // First delete related attendance records
-        await query('DELETE FROM attendance WHERE class_id = $1', [class_id]);
-        
-        // Delete timetable periods for this class (HOD has full rights)
-        await query('DELETE FROM timetable_periods WHERE class_id = $1', [class_id]);
-        
-        // Then delete students in the class
-        await query('DELETE FROM students WHERE class_id = $1', [class_id]);
-        
-        // Finally delete the class
-        await query('DELETE FROM classes WHERE id = $1', [class_id]);
-        
-        res.json({ success: true });
+        const classes = await queryAll(`
+            SELECT DISTINCT c.id, c.class_name, c.year, c.section
+            FROM classes c
+            JOIN timetable_periods tp ON tp.class_id = c.id
+            WHERE tp.teacher_id = $1 AND tp.is_break = false
+            ORDER BY c.year, c.section
+        `, [teacherId]);
+        const subjects = await queryAll('SELECT id, subject_name, subject_code FROM subjects ORDER BY subject_name');
+        const sessions = await queryAll(`
+            SELECT es.*, c.class_name, s.subject_name, s.subject_code,
+                   (SELECT COUNT(*) FROM attendance a WHERE a.extra_session_id = es.id) as marked_count
+            FROM extra_sessions es
+            JOIN classes c ON es.class_id = c.id
+            LEFT JOIN subjects s ON es.subject_id = s.id
+            WHERE es.teacher_id = $1 AND es.date >= $2
+            ORDER BY es.date DESC, es.start_time
+        `, [teacherId, formatDateLocal(since)]);
+
+        res.render('teacher/extra-sessions', { classes, subjects, sessions, today: getCurrentDateIST(), user: req.session.user, error: null });
     } catch (err) {
-        console.error('Delete class (POST) error:', err);
-        res.json({ success: false, message: err.message });
+        console.error('Extra sessions error:', err);
+        res.render('teacher/extra-sessions', { classes: [], subjects: [], sessions: [], today: getCurrentDateIST(), user: req.session.user, error: 'Database error' });
     }
 });
 
-// Delete teacher
-app.delete('/admin/teachers/delete/:id', requireAdmin, async (req, res) => {
-    const teacher_id = req.params.id;
+app.post('/teacher/extra-sessions', requireTeacher, async (req, res) => {
+    const { class_id, subject_id, date, start_time, end_time, topic } = req.body;
+    const teacherId = req.session.user.id;
     try {
-        // First unassign teacher from classes
-        await query('UPDATE classes SET teacher_id = NULL WHERE teacher_id = $1', [teacher_id]);
-        
-        // Unassign teacher from timetable periods (HOD has full rights)
-        await query('UPDATE timetable_periods SET teacher_id = NULL WHERE teacher_id = $1', [teacher_id]);
-        
-        // Set marked_by to NULL for attendance records marked by this teacher
-        await query('UPDATE attendance SET marked_by = NULL WHERE marked_by = $1', [teacher_id]);
-        
-        // Delete bookmarks created by this teacher (HOD has full rights)
-        await query('DELETE FROM bookmarks WHERE marked_by = $1', [teacher_id]);
-        
-        // Delete teacher user account
-        await query('DELETE FROM users WHERE id = $1 AND role = \'teacher\'', [teacher_id]);
-        
+        if (!class_id || !subject_id || !date || !start_time || !end_time) {
+            return res.json({ success: false, error: 'Class, subject, date and time are required' });
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.json({ success: false, error: 'Invalid date' });
+        }
+        if (timeToMinutes(end_time) <= timeToMinutes(start_time)) {
+            return res.json({ success: false, error: 'End time must be after start time' });
+        }
+
+        const assignment = await queryOne(
+            'SELECT id FROM timetable_periods WHERE class_id = $1 AND teacher_id = $2 AND is_break = false LIMIT 1',
+            [class_id, teacherId]
+        );
+        if (!assignment) {
+            return res.status(403).json({ success: false, error: 'You can only add sessions for classes you teach' });
+        }
+        const subject = await queryOne('SELECT id FROM subjects WHERE id = $1', [subject_id]);
+        if (!subject) {
+            return res.json({ success: false, error: 'Subject not found' });
+        }
+
+        // Neither the class nor the teacher may already be busy at that time
+        const jsDay = parseDateLocal(date).getDay();
+        const clash = await queryOne(`
+            SELECT tp.id
+            FROM timetable_periods tp
+            WHERE (tp.class_id = $1 OR ${teacherTakesPeriodSql('$2', '$3')})
+            AND tp.day_of_week = $4
+            AND tp.is_break = false
+            AND tp.start_time < $6
+            AND tp.end_time > $5
+            LIMIT 1
+        `, [class_id, teacherId, date, jsDay === 0 ? 7 : jsDay, start_time, end_time]);
+        const sessionClash = await queryOne(`
+            SELECT id FROM extra_sessions
+            WHERE (class_id = $1 OR teacher_id = $2)
+            AND date = $3 AND start_time < $5 AND end_time > $4
+            LIMIT 1
+        `, [class_id, teacherId, date, start_time, end_time]);
+        if (clash || sessionClash) {
+            return res.json({ success: false, error: 'The class or you already have a period at that time' });
+        }
+
+        await query(`
+            INSERT INTO extra_sessions (class_id, subject_id, teacher_id, date, start_time, end_time, topic)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [class_id, subject_id, teacherId, date, start_time, end_time, topic || null]);
+
+        console.log(`[${new Date().toISOString()}] Extra session added by ${req.session.user.name} for class ${class_id} on ${date} ${start_time}-${end_time}`);
         res.json({ success: true });
     } catch (err) {
-        console.error('Delete teacher error:', err);
-        res.json({ success: false, message: err.message });
+        console.error('Add extra session error:', err);
+        res.json({ success: false, error: err.message });
     }
 });
 
-// Fallback POST for environments that block DELETE
-app.post('/admin/teachers/delete/:id', requireAdmin, async (req, res) => {
-    const teacher_id = req.params.id;
+app.post('/teacher/extra-sessions/:id/delete', requireTeacher, async (req, res) => {
     try {
-        // First unassign teacher from classes
-        await query('UPDATE classes SET teacher_id = NULL WHERE teacher_id = $1', [teacher_id]);
-        
-        // Unassign teacher from timetable periods (HOD has full rights)
-        await query('UPDATE timetable_periods SET teacher_id = NULL WHERE teacher_id = $1', [teacher_id]);
-        
-        // Set marked_by to NULL for attendance records marked by this teacher
-        await query('UPDATE attendance SET marked_by = NULL WHERE marked_by = $1', [teacher_id]);
-        
-        // Delete bookmarks created by this teacher (HOD has full rights)
-        await query('DELETE FROM bookmarks WHERE marked_by = $1', [teacher_id]);
-        
-        // Delete teacher user account
-        await query('DELETE FROM users WHERE id = $1 AND role = \'teacher\'', [teacher_id]);
-        
+        const extraSession = await queryOne('SELECT id FROM extra_sessions WHERE id = $1 AND teacher_id = $2', [req.params.id, req.session.user.id]);
+        if (!extraSession) {
+            return res.status(403).json({ success: false, error: 'Extra session not found' });
+        }
+        const marked = await queryOne('SELECT COUNT(*) as count FROM attendance WHERE extra_session_id = $1', [extraSession.id]);
+        if (parseInt(marked.count) > 0) {
+            return res.json({ success: false, error: 'Attendance has already been marked for this session' });
+        }
+        await query('DELETE FROM extra_sessions WHERE id = $1', [extraSession.id]);
         res.json({ success: true });
     } catch (err) {
-        console.error('Delete teacher (POST) error:', err);
-        res.json({ success: false, message: err.message });
+        console.error('Delete extra session error:', err);
+        res.json({ success: false, error: err.message });
     }
 });
 
-// Delete student
-app.delete('/admin/students/delete/:id', requireAdmin, async (req, res) => {
-    const student_id = req.params.id;
+// Take attendance for an extra session, reusing the regular attendance page
+app.get('/teacher/extra-sessions/:id/attendance', requireTeacher, async (req, res) => {
     try {
-        // Get student info
-        const student = await queryOne('SELECT user_id, class_id FROM students WHERE id = $1', [student_id]);
-        
-        if (student) {
-            // Delete attendance records
-            await query('DELETE FROM attendance WHERE student_id = $1', [student_id]);
-            
-            // Delete student record
-            await query('DELETE FROM students WHERE id = $1', [student_id]);
-            
-            // Delete user account if exists
-            if (student.user_id) {
-                await query('DELETE FROM users WHERE id = $1 AND role = \'student\'', [student.user_id]);
-            }
-            
-            // Update class student count
-            await query(`
-                UPDATE classes SET total_students = (
-                    SELECT COUNT(*) FROM students WHERE class_id = $1
-                ) WHERE id = $1
-            `, [student.class_id]);
+        const extraSession = await queryOne(`
+            SELECT es.*, s.subject_name, s.subject_code
+            FROM extra_sessions es
+            LEFT JOIN subjects s ON es.subject_id = s.id
+            WHERE es.id = $1 AND es.teacher_id = $2
+        `, [req.params.id, req.session.user.id]);
+        if (!extraSession || formatDateLocal(extraSession.date) > getCurrentDateIST()) {
+            return res.redirect('/teacher/extra-sessions');
         }
-        
-        res.json({ success: true });
+
+        const classInfo = await queryOne('SELECT * FROM classes WHERE id = $1', [extraSession.class_id]);
+        const students = await queryAll(`
+            SELECT s.*, a.status, a.period_id
+            FROM students s
+            LEFT JOIN attendance a ON s.id = a.student_id AND a.extra_session_id = $1
+            WHERE s.class_id = $2
+            AND ${studentTakesSubjectSql('$3', 's.id')}
+            ORDER BY s.roll_no
+        `, [extraSession.id, extraSession.class_id, extraSession.subject_id]);
+        const attendanceStatuses = await getAttendanceStatuses();
+        const dayNames = ['', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+        res.render('teacher/attendance', {
+            classInfo,
+            students,
+            attendanceStatuses,
+            date: formatDateLocal(extraSession.date),
+            currentPeriodInfo: {
+                id: null,
+                subject_name: extraSession.subject_name,
+                subject_code: extraSession.subject_code,
+                start_time: extraSession.start_time,
+                end_time: extraSession.end_time
+            },
+            combinedClasses: [],
+            lessonLog: null,
+            syllabusUnits: [],
+            sessionPeriods: [],
+            pastDate: null,
+            extraSession,
+            lateEntry: false,
+            latePeriods: [],
+            upcomingPeriod: null,
+            currentTime: getCurrentTime(),
+            currentDayName: dayNames[getCurrentDayOfWeek()],
+            user: req.session.user,
+            error: null
+        });
     } catch (err) {
-        console.error('Delete student error:', err);
-        res.json({ success: false, message: err.message });
+        console.error('Extra session attendance error:', err);
+        res.redirect('/teacher/extra-sessions');
     }
 });
 
-// Fallback: Some hosts block DELETE; support POST to delete as well
-app.post('/admin/students/delete/:id', requireAdmin, async (req, res) => {
-    const student_id = req.params.id;
+// Late attendance entries (marked after the grace window) with the teacher's reason
+app.get('/admin/late-entries', requireAdmin, async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+    
     try {
-        // Get student info
-        const student = await queryOne('SELECT user_id, class_id FROM students WHERE id = $1', [student_id]);
-        
-        if (student) {
-            // Delete attendance records
-            await query('DELETE FROM attendance WHERE student_id = $1', [student_id]);
-            
-            // Delete student record
-            await query('DELETE FROM students WHERE id = $1', [student_id]);
-            
-            // Delete user account if exists
-            if (student.user_id) {
-                await query('DELETE FROM users WHERE id = $1 AND role = \'student\'', [student.user_id]);
-            }
-            
-            // Update class student count
-            await query(`
-                UPDATE classes SET total_students = (
-                    SELECT COUNT(*) FROM students WHERE class_id = $1
-                ) WHERE id = $1
-            `, [student.class_id]);
-        }
+        const lateEntries = await queryAll(`
+            SELECT
+                a.date::date as date,
+                tp.period_number,
+                tp.start_time,
+                tp.end_time,
+                c.class_name,
+                s.subject_name,
+                u.name as teacher_name,
+                a.late_reason,
+                COUNT(*) as student_count,
+                MAX(a.marked_at) as marked_at
+            FROM attendance a
+            JOIN classes c ON a.class_id = c.id
+            LEFT JOIN timetable_periods tp ON a.period_id = tp.id
+            LEFT JOIN subjects s ON tp.subject_id = s.id
+            LEFT JOIN users u ON a.marked_by = u.id
+            WHERE a.late_reason IS NOT NULL AND a.date >= $1
+            GROUP BY a.date, a.period_id, tp.period_number, tp.start_time, tp.end_time, c.class_name, s.subject_name, u.name, a.late_reason
+            ORDER BY a.date DESC, tp.period_number
+        `, [formatDateLocal(since)]);
         
-        res.json({ success: true });
+        res.render('admin/late-entries', { lateEntries, days, user: req.session.user, error: null });
     } catch (err) {
-        console.error('Delete student via POST error:', err);
-        res.json({ success: false, message: err.message });
+        console.error('Late entries error:', err);
+        res.render('admin/late-entries', { lateEntries: [], days, user: req.session.user, error: 'Database error' });
     }
 });
 
-// Student routes (basic implementation)
-app.get('/student/dashboard', requireAuth, (req, res) => {
-    if (req.session.user.role !== 'student') {
-        if (req.session.user.role === 'admin') {
-            return res.redirect('/admin/dashboard');
+// Attendance status weights
+
+app.get('/admin/attendance-statuses', requireAdmin, async (req, res) => {
+    try {
+        const attendanceStatuses = await getAttendanceStatuses();
+        res.render('admin/attendance-statuses', { attendanceStatuses, user: req.session.user, error: null });
+    } catch (err) {
+        console.error('Attendance statuses error:', err);
+        res.render('admin/attendance-statuses', { attendanceStatuses: [], user: req.session.user, error: 'Database error' });
+    }
+});
+
+app.post('/admin/attendance-statuses/:status', requireAdmin, async (req, res) => {
+    const status = req.params.status;
+    const { label, weight } = req.body;
+
+    if (!['present', 'absent', 'excluded'].includes(weight)) {
+        return res.json({ success: false, error: 'Invalid weight' });
+    }
+    if (!label || !label.trim()) {
+        return res.json({ success: false, error: 'Label is required' });
+    }
+
+    try {
+        const result = await query(`
+            UPDATE attendance_status_weights
+            SET label = $1, weight = $2
+            WHERE status = $3
+        `, [label.trim(), weight, status]);
+
+        if (result.rowCount === 0) {
+            return res.json({ success: false, error: 'Unknown attendance status' });
         }
-        return res.redirect('/teacher/dashboard');
+
+        console.log(`[${new Date().toISOString()}] Attendance status ${status} now counts as ${weight}`);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Update attendance status error:', err);
+        res.json({ success: false, error: err.message });
     }
-    res.render('student/dashboard', { user: req.session.user });
 });
 
 // Initialize database and start server
@@ -2398,3 +6232,16 @@ if (require.main === module) {
 }
 
 module.exports = app;
+
+// Helpers exposed for the unit tests under test/
+module.exports.helpers = {
+    getSessionPeriods,
+    createCheckInToken,
+    verifyCheckInToken,
+    parseReportRangeQuery,
+    getReportRangeLabel,
+    getHeldSessionCheck,
+    projectEligibility,
+    toCsvLine,
+    buildTextPdf
+};
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, startServer } = require('./support/load-server');
+
+const { app, db } = loadServer();
+
+// Monday 19 Oct 2026, 10:00 IST
+const NOW = Date.UTC(2026, 9, 19, 4, 30, 0);
+const TEACHER = { id: 2, username: 'teacher1', role: 'teacher', name: 'Sir CR Reddey' };
+
+// Class 5 has periods 31 (timetabled to teacher 2) and 32 (timetabled to teacher 7); period 41 is another class's
+const CLASS_PERIODS = { 31: 2, 32: 7 };
+const respond = (text, params) => {
+    if (text.includes('tp.class_id = $1 AND tp.teacher_id = $2')) {
+        return [{ id: 31 }];
+    }
+    if (text.includes('FROM attendance_status_weights')) {
+        return [{ status: 'P', label: 'Present', weight: 'present' }, { status: 'A', label: 'Absent', weight: 'absent' }];
+    }
+    if (text.includes('id = ANY($1::int[]) AND class_id = $2')) {
+        return params[0].filter(id => CLASS_PERIODS[id]).map(id => ({ id: Number(id) }));
+    }
+    if (text.includes('FROM timetable_periods tp WHERE tp.id = $1 AND')) {
+        return [{ id: params[0] }];
+    }
+    if (text.includes('SELECT teacher_id FROM timetable_periods WHERE id = $1')) {
+        return [{ teacher_id: CLASS_PERIODS[params[0]] }];
+    }
+    return [];
+};
+
+const attendanceWrites = () => db.queries.filter(q => q.text.includes('INSERT INTO attendance ('));
+
+let server;
+test.before(async () => {
+    server = await startServer(app);
+    await server.logIn(TEACHER);
+});
+test.after(() => server.close());
+test.beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    db.respond = respond;
+    db.queries = [];
+});
+
+test('POST /api/attendance/bulk-update: records the timetabled teacher alongside the one editing', async () => {
+    const res = await server.request('/api/attendance/bulk-update', {
+        method: 'POST',
+        body: { classId: '5', reason: 'Register corrected', changes: [{ studentId: 11, date: '2026-10-16', periodId: 32, status: 'A' }] }
+    });
+    assert.deepStrictEqual(await res.json(), { success: true, updatedCount: 1, message: 'Successfully updated 1 attendance records' });
+    const [write] = attendanceWrites();
+    assert.match(write.text, /scheduled_teacher_id = \$8/);
+    assert.deepStrictEqual([write.params[5], write.params[7]], [TEACHER.id, 7]);
+});
+
+test('POST /api/attendance/bulk-update: refuses periods of another class', async () => {
+    for (const periodId of [41, 'x']) {
+        db.queries = [];
+        const res = await server.request('/api/attendance/bulk-update', {
+            method: 'POST',
+            body: { classId: '5', changes: [{ studentId: 11, date: '2026-10-16', periodId: 31, status: 'P' }, { studentId: 11, date: '2026-10-16', periodId, status: 'P' }] }
+        });
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(await res.json(), { success: false, error: 'One of the periods is not in this class' });
+        assert.strictEqual(attendanceWrites().length, 0);
+    }
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./support/load-server');
+
+const { helpers } = loadServer({ QR_CHECKIN_SECRET: 'test-secret', QR_CHECKIN_ROTATE_SECONDS: '10' });
+const { createCheckInToken, verifyCheckInToken } = helpers;
+
+const ISSUED_AT = Date.UTC(2026, 9, 19, 4, 0, 0);
+
+test('verifyCheckInToken: accepts a code during its own window and the next one', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: ISSUED_AT });
+    const token = createCheckInToken(42, '2026-10-19');
+    assert.deepStrictEqual(verifyCheckInToken(token), { periodId: 42, date: '2026-10-19' });
+    t.mock.timers.tick(10 * 1000);
+    assert.deepStrictEqual(verifyCheckInToken(token), { periodId: 42, date: '2026-10-19' });
+    t.mock.timers.tick(10 * 1000);
+    assert.strictEqual(verifyCheckInToken(token), null);
+});
+
+test('verifyCheckInToken: rejects a code from a later window', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: ISSUED_AT + 60 * 1000 });
+    const token = createCheckInToken(42, '2026-10-19');
+    t.mock.timers.setTime(ISSUED_AT);
+    assert.strictEqual(verifyCheckInToken(token), null);
+});
+
+test('verifyCheckInToken: rejects codes whose fields or signature were changed', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: ISSUED_AT });
+    const [periodId, date, slot, signature] = createCheckInToken(42, '2026-10-19').split('.');
+    const flipped = (signature[0] === 'a' ? 'b' : 'a') + signature.slice(1);
+    assert.strictEqual(verifyCheckInToken([43, date, slot, signature].join('.')), null);
+    assert.strictEqual(verifyCheckInToken([periodId, '2026-10-20', slot, signature].join('.')), null);
+    assert.strictEqual(verifyCheckInToken([periodId, date, slot - 1, signature].join('.')), null);
+    assert.strictEqual(verifyCheckInToken([periodId, date, slot, flipped].join('.')), null);
+    assert.strictEqual(verifyCheckInToken([periodId, date, slot, signature.slice(1)].join('.')), null);
+});
+
+test('verifyCheckInToken: rejects a signature of the right length in other characters', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: ISSUED_AT });
+    const [periodId, date, slot, signature] = createCheckInToken(42, '2026-10-19').split('.');
+    assert.strictEqual(verifyCheckInToken([periodId, date, slot, 'é' + signature.slice(1)].join('.')), null);
+    assert.strictEqual(verifyCheckInToken([periodId, date, slot, signature.toUpperCase()].join('.')), null);
+});
+
+test('verifyCheckInToken: rejects malformed codes', () => {
+    assert.strictEqual(verifyCheckInToken(''), null);
+    assert.strictEqual(verifyCheckInToken(undefined), null);
+    assert.strictEqual(verifyCheckInToken('42.2026-10-19.1'), null);
+    assert.strictEqual(verifyCheckInToken('a.b.c.d.e'), null);
+});
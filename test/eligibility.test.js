@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./support/load-server');
+
+const { helpers } = loadServer();
+const { projectEligibility } = helpers;
+
+test('projectEligibility: periods that can be missed with the term length unknown', () => {
+    // 36/40 = 90%; missing 8 more gives 36/48 = 75%
+    assert.deepStrictEqual(projectEligibility(36, 40, null, 75), { canMiss: 8, mustAttend: 0, recoverable: true });
+    // Exactly at the threshold: nothing to spare
+    assert.deepStrictEqual(projectEligibility(30, 40, null, 75), { canMiss: 0, mustAttend: 0, recoverable: true });
+});
+
+test('projectEligibility: periods that can be missed are bounded by those left in the term', () => {
+    // Attending 2 of the last 10 gives 38/50 = 76%; attending only 1 gives 37/50 = 74%
+    assert.strictEqual(projectEligibility(36, 40, 10, 75).canMiss, 8);
+    // Never more than the periods that remain
+    assert.strictEqual(projectEligibility(40, 40, 3, 75).canMiss, 3);
+});
+
+test('projectEligibility: periods to attend in a row to get back to the threshold', () => {
+    // 20/40 = 50%; 40 more in a row gives 60/80 = 75%
+    const below = projectEligibility(20, 40, 30, 75);
+    assert.deepStrictEqual(below, { canMiss: 0, mustAttend: 40, recoverable: false });
+    assert.strictEqual(projectEligibility(20, 40, 40, 75).recoverable, true);
+    assert.strictEqual(projectEligibility(20, 40, null, 75).recoverable, true);
+});
+
+test('projectEligibility: a 100% threshold cannot be recovered once a period is missed', () => {
+    assert.strictEqual(projectEligibility(9, 10, 5, 100).mustAttend, Infinity);
+    assert.strictEqual(projectEligibility(9, 10, 5, 100).recoverable, false);
+});
+
+test('projectEligibility: no periods held yet', () => {
+    assert.deepStrictEqual(projectEligibility(0, 0, null, 75), { canMiss: 0, mustAttend: 0, recoverable: true });
+    // 2 of the 8 remaining can be missed: 6/8 = 75%
+    assert.strictEqual(projectEligibility(0, 0, 8, 75).canMiss, 2);
+});
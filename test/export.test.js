@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./support/load-server');
+
+const { helpers } = loadServer();
+const { toCsvLine, buildTextPdf } = helpers;
+
+test('toCsvLine: quotes every field and doubles embedded quotes', () => {
+    assert.strictEqual(toCsvLine(['3A001', 'Arjun "AJ" Sharma', 72.5, null, undefined]), '"3A001","Arjun ""AJ"" Sharma","72.5","",""');
+});
+
+test('toCsvLine: text a spreadsheet would run as a formula opens as plain text', () => {
+    assert.strictEqual(toCsvLine(['=HYPERLINK("x")', '+1+1', '-A1', '@SUM(A1)', '\tx', '\rx']),
+        '"\'=HYPERLINK(""x"")","\'+1+1","\'-A1","\'@SUM(A1)","\'\tx","\'\rx"');
+});
+
+test('toCsvLine: numbers, including negative ones, are left alone', () => {
+    assert.strictEqual(toCsvLine([-3, '-12.5', 0]), '"-3","-12.5","0"');
+});
+
+// The text of a PDF with the object count and offsets its xref table lists
+const readPdf = (buffer) => {
+    const pdf = buffer.toString('latin1');
+    const startxref = parseInt(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1], 10);
+    const [, count, entries] = pdf.slice(startxref).match(/^xref\n0 (\d+)\n0000000000 65535 f \n((?:\d{10} 00000 n \n)*)/);
+    const offsets = entries.trim().split('\n').map(line => parseInt(line, 10));
+    return { pdf, startxref, count: parseInt(count, 10), offsets };
+};
+
+test('buildTextPdf: a well-formed PDF whose xref table points at its objects', () => {
+    const { pdf, count, offsets } = readPdf(buildTextPdf(['Defaulter list', 'Roll  Name']));
+    assert.ok(pdf.startsWith('%PDF-1.4\n'));
+    assert.strictEqual(offsets.length, count - 1);
+    offsets.forEach((offset, index) => {
+        assert.ok(pdf.startsWith(`${index + 1} 0 obj\n`, offset), `object ${index + 1} is not at offset ${offset}`);
+    });
+    assert.match(pdf, /<< \/Type \/Pages \/Kids \[5 0 R\] \/Count 1 >>/);
+    assert.match(pdf, /\(Defaulter list\) Tj T\*/);
+    assert.match(pdf, /\(Page 1 of 1\) Tj/);
+});
+
+test('buildTextPdf: stream lengths match their content', () => {
+    const { pdf } = readPdf(buildTextPdf(['one', 'two']));
+    for (const [, length, content] of pdf.matchAll(/<< \/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/g)) {
+        assert.strictEqual(Buffer.byteLength(content, 'latin1'), parseInt(length, 10));
+    }
+});
+
+test('buildTextPdf: long reports run onto numbered pages', () => {
+    const lines = Array.from({ length: 100 }, (_, i) => `Line ${i + 1}`);
+    const { pdf } = readPdf(buildTextPdf(lines));
+    assert.match(pdf, /\/Count 3 >>/);
+    assert.match(pdf, /\(Page 3 of 3\) Tj/);
+    assert.match(pdf, /\(Line 100\) Tj T\*/);
+});
+
+test('buildTextPdf: an empty report is a single blank page', () => {
+    const { pdf } = readPdf(buildTextPdf([]));
+    assert.match(pdf, /\/Count 1 >>/);
+});
+
+test('buildTextPdf: escapes PDF string delimiters and replaces non-ASCII text', () => {
+    const { pdf } = readPdf(buildTextPdf(['Dr. (Mrs.) Iyer \\ Café']));
+    assert.match(pdf, /\(Dr\. \\\(Mrs\.\\\) Iyer \\\\ Caf\?\) Tj T\*/);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./support/load-server');
+
+const { helpers, db } = loadServer();
+const { getHeldSessionCheck } = helpers;
+
+// Monday 19 Oct 2026, 10:00 IST
+const NOW = Date.UTC(2026, 9, 19, 4, 30, 0);
+
+// Dates as pg returns DATE columns: local midnight
+const localDate = (dateStr) => {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Class 5 over 12-25 Oct: a holiday bookmarked on the 16th; attendance taken for period 1 on the
+// 16th, for extra session 7 that day too, and (ahead of time) for period 2 on the 21st
+const loadCheck = async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    db.queries = [];
+    db.respond = (text) => {
+        if (text.includes('FROM bookmarks')) {
+            return [{ date: localDate('2026-10-16') }];
+        }
+        if (text.includes('FROM attendance')) {
+            return [
+                { date: localDate('2026-10-16'), period_id: 1, extra_session_id: null },
+                { date: localDate('2026-10-16'), period_id: null, extra_session_id: 7 },
+                { date: localDate('2026-10-21'), period_id: 2, extra_session_id: null }
+            ];
+        }
+        return [];
+    };
+    return getHeldSessionCheck(5, localDate('2026-10-12'), localDate('2026-10-25'));
+};
+
+const period = (id, end_time) => ({ id, end_time });
+
+test('getHeldSessionCheck: reads the class\'s bookmarks and attendance over the window', async (t) => {
+    await loadCheck(t);
+    assert.strictEqual(db.queries.length, 2);
+    db.queries.forEach(q => assert.deepStrictEqual(q.params, [5, '2026-10-12', '2026-10-25']));
+});
+
+test('getHeldSessionCheck: past working days count, holidays do not', async (t) => {
+    const isHeld = await loadCheck(t);
+    assert.strictEqual(isHeld(period(3, '10:50'), '2026-10-15'), true);
+    assert.strictEqual(isHeld(period(3, '10:50'), '2026-10-16'), false);
+});
+
+test('getHeldSessionCheck: a period with attendance taken counts, even on a holiday or ahead of time', async (t) => {
+    const isHeld = await loadCheck(t);
+    assert.strictEqual(isHeld(period(1, '09:50'), '2026-10-16'), true);
+    assert.strictEqual(isHeld(period(2, '10:50'), '2026-10-21'), true);
+});
+
+test('getHeldSessionCheck: future periods do not count', async (t) => {
+    const isHeld = await loadCheck(t);
+    assert.strictEqual(isHeld(period(3, '10:50'), '2026-10-20'), false);
+});
+
+test('getHeldSessionCheck: today\'s periods count once they have ended', async (t) => {
+    const isHeld = await loadCheck(t);
+    assert.strictEqual(isHeld(period(3, '09:50'), '2026-10-19'), true);
+    assert.strictEqual(isHeld(period(4, '10:50'), '2026-10-19'), false);
+});
+
+test('getHeldSessionCheck: extra sessions are told apart from timetable periods with the same id', async (t) => {
+    const isHeld = await loadCheck(t);
+    assert.strictEqual(isHeld(period(7, '16:00'), '2026-10-16', true), true);
+    assert.strictEqual(isHeld(period(7, '16:00'), '2026-10-16'), false);
+    assert.strictEqual(isHeld(period(1, '16:00'), '2026-10-16', true), false);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, startServer } = require('./support/load-server');
+
+const { app, db } = loadServer();
+
+// Monday 19 Oct 2026, 10:00 IST
+const NOW = Date.UTC(2026, 9, 19, 4, 30, 0);
+const TEACHER = { id: 2, username: 'teacher1', role: 'teacher', name: 'Sir CR Reddey' };
+
+// Class 5 has an extra session (id 9, subject 3) today taken by teacher 2; every student takes it
+const respond = (text, params) => {
+    if (text.includes('FROM attendance_status_weights')) {
+        return [{ status: 'P', label: 'Present', weight: 'present' }, { status: 'A', label: 'Absent', weight: 'absent' }];
+    }
+    if (text.includes('FROM extra_sessions WHERE id = $1 AND teacher_id = $2')) {
+        return params[0] === '9' && params[1] === TEACHER.id
+            ? [{ id: 9, class_id: 5, subject_id: 3, date: new Date(2026, 9, 19) }]
+            : [];
+    }
+    if (text.includes('SELECT 1 as ok WHERE')) {
+        return [{ ok: 1 }];
+    }
+    return [];
+};
+
+const attendanceWrites = () => db.queries.filter(q => q.text.includes('INSERT INTO attendance ('));
+
+let server;
+test.before(async () => {
+    server = await startServer(app);
+    await server.logIn(TEACHER);
+});
+test.after(() => server.close());
+test.beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    db.respond = respond;
+    db.queries = [];
+});
+
+test('POST /teacher/mark-attendance/batch: saves every mark of an extra session', async () => {
+    const res = await server.request('/teacher/mark-attendance/batch', {
+        method: 'POST',
+        body: { classId: '5', extraSessionId: '9', date: '2026-10-19', marks: [{ studentId: 11, status: 'P' }, { studentId: 12, status: 'A' }] }
+    });
+    assert.deepStrictEqual(await res.json(), {
+        success: true,
+        results: [{ studentId: 11, success: true, error: null }, { studentId: 12, success: true, error: null }]
+    });
+    const writes = attendanceWrites();
+    assert.strictEqual(writes.length, 2);
+    assert.deepStrictEqual(writes.map(q => q.params.slice(0, 6)), [
+        [11, 5, '2026-10-19', 'P', TEACHER.id, 9],
+        [12, 5, '2026-10-19', 'A', TEACHER.id, 9]
+    ]);
+});
+
+test('POST /teacher/mark-attendance/batch: refuses another teacher\'s extra session', async () => {
+    const res = await server.request('/teacher/mark-attendance/batch', {
+        method: 'POST',
+        body: { classId: '5', extraSessionId: '10', date: '2026-10-19', marks: [{ studentId: 11, status: 'P' }] }
+    });
+    assert.deepStrictEqual(await res.json(), { success: false, error: 'Extra session not found' });
+    assert.strictEqual(attendanceWrites().length, 0);
+});
+
+test('POST /teacher/mark-attendance/batch: rejects an unknown status before saving anything', async () => {
+    const res = await server.request('/teacher/mark-attendance/batch', {
+        method: 'POST',
+        body: { classId: '5', extraSessionId: '9', date: '2026-10-19', marks: [{ studentId: 11, status: 'P' }, { studentId: 12, status: 'X' }] }
+    });
+    assert.deepStrictEqual(await res.json(), { success: false, error: 'Invalid attendance status: X' });
+    assert.strictEqual(attendanceWrites().length, 0);
+});
+
+test('POST /teacher/mark-attendance: saves one mark of an extra session', async () => {
+    const res = await server.request('/teacher/mark-attendance', {
+        method: 'POST',
+        body: { classId: '5', extraSessionId: '9', date: '2026-10-19', studentId: 11, status: 'P' }
+    });
+    assert.deepStrictEqual(await res.json(), { success: true });
+    assert.deepStrictEqual(attendanceWrites().map(q => q.params.slice(0, 6)), [[11, 5, '2026-10-19', 'P', TEACHER.id, 9]]);
+});
+
+test('POST /teacher/mark-attendance/batch: needs a teacher session', async () => {
+    const anonymous = await startServer(app);
+    try {
+        const res = await anonymous.request('/teacher/mark-attendance/batch', {
+            method: 'POST',
+            body: { classId: '5', extraSessionId: '9', marks: [{ studentId: 11, status: 'P' }] }
+        });
+        assert.strictEqual(res.status, 401);
+        assert.strictEqual(attendanceWrites().length, 0);
+    } finally {
+        await anonymous.close();
+    }
+});
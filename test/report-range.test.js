@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./support/load-server');
+
+const { helpers } = loadServer({ INTERNAL_EXAM_DATES: '2026-09-20, 2026-11-20' });
+const { parseReportRangeQuery, getReportRangeLabel } = helpers;
+
+// Monday 19 Oct 2026, 10:00 IST: the first internal exam is over, the second is still to come
+const NOW = Date.UTC(2026, 9, 19, 4, 30, 0);
+
+test('parseReportRangeQuery: a preset, or the default for a missing or unknown one', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    assert.deepStrictEqual(parseReportRangeQuery({ period: 'last-month' }, 'month'),
+        { period: 'last-month', preset: 'last-month', from: '', to: '', error: null });
+    assert.deepStrictEqual(parseReportRangeQuery({}, 'month'),
+        { period: 'month', preset: 'month', from: '', to: '', error: null });
+    assert.strictEqual(parseReportRangeQuery({ period: 'decade' }, 'full').period, 'full');
+    assert.strictEqual(parseReportRangeQuery({ period: ['week', 'month'] }, 'full').period, 'full');
+});
+
+test('parseReportRangeQuery: "since the last internal exam" only once one has been held', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    assert.strictEqual(parseReportRangeQuery({ period: 'since-exam' }, 'month').period, 'since-exam');
+    t.mock.timers.setTime(Date.UTC(2026, 8, 1, 4, 30, 0));
+    assert.strictEqual(parseReportRangeQuery({ period: 'since-exam' }, 'month').period, 'month');
+});
+
+test('parseReportRangeQuery: a custom range, asked for explicitly or by giving dates alone', () => {
+    const expected = { period: { from: '2026-10-01', to: '2026-10-15' }, preset: 'custom', from: '2026-10-01', to: '2026-10-15', error: null };
+    assert.deepStrictEqual(parseReportRangeQuery({ period: 'custom', from: '2026-10-01', to: '2026-10-15' }, 'month'), expected);
+    assert.deepStrictEqual(parseReportRangeQuery({ from: '2026-10-01', to: '2026-10-15' }, 'month'), expected);
+    assert.strictEqual(parseReportRangeQuery({ period: 'custom', from: '2026-10-15', to: '2026-10-15' }, 'month').error, null);
+});
+
+test('parseReportRangeQuery: unusable custom dates fall back to the default with an error', () => {
+    const invalid = [
+        { period: 'custom' },
+        { from: '2026-10-01' },
+        { period: 'custom', from: '2026-10-15', to: '2026-10-01' },
+        { period: 'custom', from: '01/10/2026', to: '2026-10-15' },
+        { period: 'custom', from: ['2026-10-01'], to: '2026-10-15' },
+        { period: 'custom', from: '2026-02-30', to: '2026-03-15' }
+    ];
+    invalid.forEach(reqQuery => {
+        const range = parseReportRangeQuery(reqQuery, 'month');
+        assert.strictEqual(range.period, 'month');
+        assert.strictEqual(range.preset, 'month');
+        assert.match(range.error, /from and a to date/);
+    });
+    // The dates typed are echoed back so the form keeps them
+    assert.deepStrictEqual(
+        parseReportRangeQuery({ period: 'custom', from: '2026-10-15', to: '2026-10-01' }, 'month'),
+        { period: 'month', preset: 'month', from: '2026-10-15', to: '2026-10-01', error: 'Choose both a from and a to date, with from on or before to' }
+    );
+});
+
+test('parseReportRangeQuery: custom ranges are limited to a year', () => {
+    assert.strictEqual(parseReportRangeQuery({ from: '2025-10-20', to: '2026-10-20' }, 'month').error, null);
+    assert.deepStrictEqual(
+        parseReportRangeQuery({ from: '2025-10-19', to: '2026-10-20' }, 'month'),
+        { period: 'month', preset: 'month', from: '2025-10-19', to: '2026-10-20', error: 'Choose a range of at most 366 days' }
+    );
+    assert.strictEqual(parseReportRangeQuery({ from: '1000-01-01', to: '9999-12-31' }, 'full').period, 'full');
+});
+
+test('getReportRangeLabel: the preset or custom name with the dates it covers', () => {
+    const range = { startDate: new Date(2026, 9, 1), endDate: new Date(2026, 9, 19) };
+    assert.strictEqual(getReportRangeLabel('month', range), 'This Month (1 Oct 2026 - 19 Oct 2026)');
+    assert.strictEqual(getReportRangeLabel('full', range), 'This Semester (1 Oct 2026 - 19 Oct 2026)');
+    assert.strictEqual(getReportRangeLabel({ from: '2026-10-01', to: '2026-10-19' }, range), 'Custom Range (1 Oct 2026 - 19 Oct 2026)');
+    assert.strictEqual(getReportRangeLabel('full', { startDate: null, endDate: null }), 'This Semester');
+});
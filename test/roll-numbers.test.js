@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// parseRollNumbers runs in the attendance page; take it out of the view's script and evaluate it on its own
+const view = fs.readFileSync(path.join(__dirname, '..', 'views', 'teacher', 'attendance.ejs'), 'utf8');
+const source = view.match(/^( *)function parseRollNumbers\(text\) \{[\s\S]*?^\1\}$/m);
+assert.ok(source, 'parseRollNumbers not found in views/teacher/attendance.ejs');
+const context = {};
+vm.runInNewContext(`${source[0]}\nthis.parseRollNumbers = parseRollNumbers;`, context);
+const parseRollNumbers = (text) => {
+    const { rolls, invalid } = context.parseRollNumbers(text);
+    return { rolls: [...rolls], invalid: [...invalid] };
+};
+
+test('parseRollNumbers: single numbers and ranges, in any separator', () => {
+    assert.deepStrictEqual(parseRollNumbers('3, 7, 12-15'), { rolls: [3, 7, 12, 13, 14, 15], invalid: [] });
+    assert.deepStrictEqual(parseRollNumbers('1;2 3\n4'), { rolls: [1, 2, 3, 4], invalid: [] });
+});
+
+test('parseRollNumbers: duplicates and overlapping ranges count once', () => {
+    assert.deepStrictEqual(parseRollNumbers('5, 4-6, 5'), { rolls: [5, 4, 6], invalid: [] });
+});
+
+test('parseRollNumbers: empty input', () => {
+    assert.deepStrictEqual(parseRollNumbers(''), { rolls: [], invalid: [] });
+    assert.deepStrictEqual(parseRollNumbers(' , ; '), { rolls: [], invalid: [] });
+});
+
+test('parseRollNumbers: anything that is not a number or range is reported', () => {
+    assert.deepStrictEqual(parseRollNumbers('3, x, 4a, 1-2-3, -5'), { rolls: [3], invalid: ['x', '4a', '1-2-3', '-5'] });
+});
+
+test('parseRollNumbers: backwards and oversized ranges are reported', () => {
+    assert.deepStrictEqual(parseRollNumbers('9-3'), { rolls: [], invalid: ['9-3'] });
+    assert.deepStrictEqual(parseRollNumbers('1-502'), { rolls: [], invalid: ['1-502'] });
+    assert.strictEqual(parseRollNumbers('1-501').rolls.length, 501);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./support/load-server');
+
+const { helpers } = loadServer();
+const { getSessionPeriods } = helpers;
+
+const period = (id, day_of_week, period_number, subject_id, batch_id = null) => ({ id, day_of_week, period_number, subject_id, batch_id });
+
+// Monday: 1-2 Maths (double), 3 Physics, 4-6 Lab for batch 1 alongside 4-5 Lab for batch 2, 7 Maths
+const timetable = [
+    period(1, 1, 1, 10),
+    period(2, 1, 2, 10),
+    period(3, 1, 3, 20),
+    period(4, 1, 4, 30, 1),
+    period(5, 1, 5, 30, 1),
+    period(6, 1, 6, 30, 1),
+    period(7, 1, 4, 30, 2),
+    period(8, 1, 5, 30, 2),
+    period(9, 1, 7, 10),
+    period(10, 2, 3, 10)
+];
+const ids = (periods) => periods.map(p => p.id);
+
+test('getSessionPeriods: a double period from either of its periods', () => {
+    assert.deepStrictEqual(ids(getSessionPeriods(timetable, timetable[0])), [1, 2]);
+    assert.deepStrictEqual(ids(getSessionPeriods(timetable, timetable[1])), [1, 2]);
+});
+
+test('getSessionPeriods: a single period stands alone', () => {
+    assert.deepStrictEqual(ids(getSessionPeriods(timetable, timetable[2])), [3]);
+});
+
+test('getSessionPeriods: a lab follows its own batch only', () => {
+    assert.deepStrictEqual(ids(getSessionPeriods(timetable, timetable[4])), [4, 5, 6]);
+    assert.deepStrictEqual(ids(getSessionPeriods(timetable, timetable[6])), [7, 8]);
+});
+
+test('getSessionPeriods: the same subject after a gap or on another day is a separate session', () => {
+    assert.deepStrictEqual(ids(getSessionPeriods(timetable, timetable[8])), [9]);
+    assert.deepStrictEqual(ids(getSessionPeriods(timetable, timetable[9])), [10]);
+});
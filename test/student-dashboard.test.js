@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, startServer } = require('./support/load-server');
+
+const { app, db } = loadServer({ TERM_START_DATE: '2026-07-01' });
+
+// Monday 19 Oct 2026, 10:00 IST
+const NOW = Date.UTC(2026, 9, 19, 4, 30, 0);
+const STUDENT = { id: 30, username: '3A001', role: 'student', name: 'Arjun Sharma' };
+
+const respond = (text) => {
+    if (text.includes('WHERE s.user_id = $1')) {
+        return [{ id: 1, user_id: STUDENT.id, roll_no: 1, class_id: 5, student_name: 'Arjun Sharma', class_name: '3rd Year IT-A' }];
+    }
+    return [];
+};
+
+let server;
+test.before(async () => {
+    server = await startServer(app);
+    await server.logIn(STUDENT);
+});
+test.after(() => server.close());
+test.beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    db.respond = respond;
+    db.queries = [];
+});
+
+test('GET /student/dashboard: a repeated period parameter falls back to the full term', async () => {
+    const res = await server.request('/student/dashboard?period=week&period=month');
+    const html = await res.text();
+    assert.strictEqual(res.status, 200);
+    assert.doesNotMatch(html, /Database error/);
+    assert.match(html, /Subject-wise Attendance - Full Term/);
+    // Postgres rejects the NaN dates an array period used to turn into
+    const dates = db.queries.flatMap(q => q.params).filter(param => typeof param === 'string' && /NaN/.test(param));
+    assert.deepStrictEqual(dates, []);
+    assert.ok(db.queries.some(q => q.params.includes('2026-07-01')), 'the report starts at the start of the term');
+});
+
+test('GET /student/dashboard: a preset period', async () => {
+    const html = await (await server.request('/student/dashboard?period=month')).text();
+    assert.match(html, /Subject-wise Attendance - This Month/);
+});
+
+test('GET /student/dashboard: an unusable custom range shows the error over the full term', async () => {
+    const html = await (await server.request('/student/dashboard?from=1000-01-01&to=9999-12-31')).text();
+    assert.match(html, /Choose a range of at most 366 days/);
+    assert.match(html, /Subject-wise Attendance - Full Term/);
+});
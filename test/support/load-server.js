@@ -0,0 +1,76 @@
+// Loads server.js for unit tests without a database. config/postgres is replaced by a stand-in whose
+// queries are answered by `db.respond(text, params)` (rows to return, [] by default), so tests can feed
+// helpers and routes the rows they would read. Pass env to set configuration (TERM_START_DATE, ...) before
+// loading; each test file runs in its own process, so the values hold for that file only.
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+const db = {
+    respond: () => [],
+    queries: []
+};
+
+const run = async (text, params = []) => {
+    db.queries.push({ text, params });
+    const rows = await db.respond(text, params) || [];
+    return { rows, rowCount: rows.length };
+};
+
+const fakePostgres = {
+    pool: { query: run, connect: async () => ({ query: run, release: () => {} }) },
+    query: run,
+    queryOne: async (text, params) => (await run(text, params)).rows[0] || null,
+    queryAll: async (text, params) => (await run(text, params)).rows,
+    initDatabase: async () => {}
+};
+
+const loadServer = (env = {}) => {
+    Object.assign(process.env, env);
+    const postgresPath = require.resolve(path.join(__dirname, '..', '..', 'config', 'postgres'));
+    require.cache[postgresPath] = { id: postgresPath, filename: postgresPath, loaded: true, exports: fakePostgres };
+    const app = require('../../server');
+    return { app, helpers: app.helpers, db };
+};
+
+// Serve the app on a free port for route tests. Returns { request, logIn, close }: request(path, options)
+// is fetch against the server with the session cookie of the last logIn(user) attached.
+const startServer = async (app) => {
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+    let cookie = null;
+
+    const request = (urlPath, { body, ...options } = {}) => fetch(base + urlPath, {
+        redirect: 'manual',
+        ...options,
+        headers: {
+            ...(cookie ? { cookie } : {}),
+            ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+            ...options.headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    // Log in through POST /login as the given users row (id, username, role, name)
+    const logIn = async (user) => {
+        const password = 'test-password';
+        const account = { ...user, password: bcrypt.hashSync(password, 4), must_change_password: false };
+        const respond = db.respond;
+        db.respond = (text, params) => text.includes('FROM users WHERE username') ? [account] : respond(text, params);
+        try {
+            const res = await request('/login', { method: 'POST', body: { username: user.username, password } });
+            cookie = res.headers.get('set-cookie').split(';')[0];
+        } finally {
+            db.respond = respond;
+        }
+    };
+
+    const close = () => new Promise(resolve => {
+        server.close(resolve);
+        server.closeAllConnections();
+    });
+    return { request, logIn, close };
+};
+
+module.exports = { loadServer, startServer };
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, startServer } = require('./support/load-server');
+
+const { app, db } = loadServer();
+
+const HOD = { id: 1, username: 'hod', role: 'admin', name: 'Head of Department - IT' };
+
+// Class 5 has periods 31 and 32; period 31 is combined with a copy in another class
+const respond = (text) => {
+    if (text.includes('FROM timetable_periods tp')) {
+        return [{ id: 31, class_id: 5, class_name: '3rd Year IT-A', subject_name: 'Maths', day_of_week: 1, period_number: 1 }];
+    }
+    if (text.includes('SELECT * FROM classes WHERE id = $1')) {
+        return [{ id: 5, class_name: '3rd Year IT-A' }];
+    }
+    if (text.includes('SELECT id FROM timetable_periods WHERE class_id = $1')) {
+        return [{ id: 31 }, { id: 32 }];
+    }
+    if (text.includes('COUNT(*)')) {
+        return [{ count: '2' }];
+    }
+    return [];
+};
+
+// Index of the first query containing the given text
+const queryIndex = (snippet) => db.queries.findIndex(q => q.text.includes(snippet));
+
+let server;
+test.before(async () => {
+    server = await startServer(app);
+    await server.logIn(HOD);
+});
+test.after(() => server.close());
+test.beforeEach(() => {
+    db.respond = respond;
+    db.queries = [];
+});
+
+test('DELETE /api/timetable/period/:periodId: audits the attendance removed with the period', async () => {
+    const res = await server.request('/api/timetable/period/31', { method: 'DELETE' });
+    assert.strictEqual((await res.json()).success, true);
+    const audited = queryIndex('INSERT INTO attendance_audit_log');
+    const deleted = queryIndex('DELETE FROM timetable_periods');
+    assert.ok(audited >= 0 && audited < deleted, 'attendance is deleted through the audit log before the period');
+    assert.match(db.queries[audited].text, /linked_period_id = ANY\(\$1::int\[\]\)/);
+    assert.deepStrictEqual(db.queries[audited].params, [['31'], HOD.id, '/api/timetable/period', 'Timetable period deleted']);
+});
+
+test('DELETE /api/admin/class/:classId/periods: audits the attendance of every period of the class', async () => {
+    const res = await server.request('/api/admin/class/5/periods', { method: 'DELETE' });
+    assert.strictEqual((await res.json()).success, true);
+    const audited = queryIndex('INSERT INTO attendance_audit_log');
+    assert.ok(audited >= 0 && audited < queryIndex('DELETE FROM timetable_periods'));
+    assert.deepStrictEqual(db.queries[audited].params[0], [31, 32]);
+});
+
+test('DELETE /api/admin/class/:classId: audits the class\'s attendance and that taken in its periods', async () => {
+    const res = await server.request('/api/admin/class/5', { method: 'DELETE' });
+    assert.strictEqual((await res.json()).success, true);
+    const audits = db.queries.filter(q => q.text.includes('INSERT INTO attendance_audit_log'));
+    assert.deepStrictEqual(audits.map(q => q.params[0]), ['5', [31, 32]]);
+    assert.ok(queryIndex('INSERT INTO attendance_audit_log') < queryIndex('DELETE FROM timetable_periods'));
+});